@@ -25,11 +25,13 @@ import('./build/utils/active-task.js')
     activeTaskModule.setLogLevel(logLevel);
     console.error(`Log level set to: ${Object.keys(activeTaskModule.LogLevel)[logLevel]}`);
     
-    // Import and start the MCP server
-    return import('./build/mcp-server.js')
-      .then(module => {
+    // Import and start the MCP server with the remaining (transport) arguments
+    return Promise.all([import('./build/mcp-server.js'), import('./build/utils/cli-args.js')])
+      .then(([module, cliArgs]) => {
+        const serverArgs = args.filter(arg => !arg.startsWith('--log-level='));
+        
         // Start the MCP server
-        module.startMcpServer()
+        module.startMcpServer(cliArgs.parseServerArgs(serverArgs))
           .catch(error => {
             console.error('Failed to start MCP server:', error);
             process.exit(1);
@@ -50,4 +52,8 @@ Usage: node run-mcp-server.js [options]
 Options:
   --log-level=N    Set logging level (0=ERROR, 1=WARNING, 2=INFO, 3=DEBUG)
                    Default: 1 (WARNING)
+  --transport T    stdio (default) or http
+  --port N         Port for the HTTP transport (default: 3000)
+  --token TOKEN    Bearer token required by the HTTP transport
+                   (or set CLINE_MCP_HTTP_TOKEN)
 `);
@@ -0,0 +1,480 @@
+/**
+ * Cline Resources - exposes Cline task conversations as MCP resources
+ * Part of the Cline Chat Reader MCP Server
+ *
+ * Supported URIs:
+ * - cline://tasks/{taskId}/ui_messages  - ui_messages.json of any task
+ * - cline://tasks/{taskId}/api_history  - api_conversation_history.json of any task
+ * - cline://active/{label}              - ui_messages.json of the task currently marked with the label
+ *
+ * Subscribed resources are watched on disk and clients receive
+ * notifications/resources/updated whenever the backing file changes.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { watch, FSWatcher } from 'chokidar';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  ErrorCode,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { config } from './config.js';
+import { logDebug, logError, logInfo, logWarning } from './utils/diagnostic-logger.js';
+import {
+  findTaskAcrossPaths,
+  getApiConversationFilePath,
+  getUiMessagesFilePath
+} from './utils/paths.js';
+import {
+  getAllActiveTasksWithCache,
+  getActiveTasksFilePaths,
+  clearActiveTaskCache
+} from './utils/active-task-fixed.js';
+
+/**
+ * URI scheme used for all Cline resources
+ */
+export const RESOURCE_SCHEME = 'cline';
+
+/**
+ * Conversation files that can be exposed for a task
+ */
+export type TaskResourceKind = 'ui_messages' | 'api_history';
+
+/**
+ * A resource URI resolved to the task file backing it
+ */
+export interface ResolvedResource {
+  uri: string;
+  taskId: string;
+  kind: TaskResourceKind;
+  filePath: string;
+  label?: string;
+}
+
+/**
+ * Build the URI of a task conversation resource
+ * @param taskId Task ID
+ * @param kind Conversation file to expose
+ * @returns Resource URI
+ */
+export function getTaskResourceUri(taskId: string, kind: TaskResourceKind): string {
+  return `${RESOURCE_SCHEME}://tasks/${encodeURIComponent(taskId)}/${kind}`;
+}
+
+/**
+ * Build the URI of an active task resource
+ * @param label Active task label (e.g. A or frontend)
+ * @returns Resource URI
+ */
+export function getActiveResourceUri(label: string): string {
+  return `${RESOURCE_SCHEME}://active/${encodeURIComponent(label)}`;
+}
+
+/**
+ * A resource URI split into its parts
+ */
+export type ParsedResourceUri =
+  | { type: 'task'; taskId: string; kind: TaskResourceKind }
+  | { type: 'active'; label: string };
+
+/**
+ * Check that a task ID is safe to join onto a tasks directory
+ * @param taskId Decoded task ID
+ * @returns True if the ID contains no path separators and is not a dot segment
+ */
+function isValidTaskId(taskId: string): boolean {
+  return /^[\w.-]+$/.test(taskId) && !taskId.startsWith('.');
+}
+
+/**
+ * Decode one percent-encoded URI path segment
+ * @param segment Raw path segment
+ * @param uri Full URI, for the error message
+ * @returns Decoded segment
+ * @throws McpError if the segment is not valid percent-encoding
+ */
+function decodeSegment(segment: string, uri: string): string {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid resource URI encoding: ${uri}`);
+  }
+}
+
+/**
+ * Parse a resource URI without touching the file system
+ * @param uri Resource URI
+ * @returns Parsed URI
+ * @throws McpError if the URI is malformed
+ */
+export function parseResourceUri(uri: string): ParsedResourceUri {
+  let parsed: URL;
+  try {
+    parsed = new URL(uri);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid resource URI: ${uri}`);
+  }
+
+  if (parsed.protocol !== `${RESOURCE_SCHEME}:`) {
+    throw new McpError(ErrorCode.InvalidParams, `Unsupported resource scheme: ${parsed.protocol}`);
+  }
+
+  const segments = parsed.pathname.split('/').filter(Boolean).map(segment => decodeSegment(segment, uri));
+
+  // cline://tasks/{taskId}/{kind}
+  if (parsed.host === 'tasks' && segments.length === 2) {
+    const [taskId, kind] = segments;
+    if (kind !== 'ui_messages' && kind !== 'api_history') {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown task resource: ${kind}`);
+    }
+    if (!isValidTaskId(taskId)) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid task ID in resource URI: ${uri}`);
+    }
+    return { type: 'task', taskId, kind };
+  }
+
+  // cline://active/{label}
+  if (parsed.host === 'active' && segments.length === 1) {
+    return { type: 'active', label: segments[0] };
+  }
+
+  throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+}
+
+/**
+ * Resolve a resource URI to the task file backing it
+ * @param uri Resource URI
+ * @returns Resolved resource
+ * @throws McpError if the URI is malformed or the task cannot be found
+ */
+export async function resolveResourceUri(uri: string): Promise<ResolvedResource> {
+  const parsed = parseResourceUri(uri);
+
+  if (parsed.type === 'task') {
+    const { taskId, kind } = parsed;
+    const taskLocation = await findTaskAcrossPaths(taskId);
+    if (!taskLocation) {
+      throw new McpError(ErrorCode.InvalidParams, `Task not found: ${taskId}`);
+    }
+
+    const filePath = kind === 'ui_messages'
+      ? getUiMessagesFilePath(taskLocation.basePath, taskId)
+      : getApiConversationFilePath(taskLocation.basePath, taskId);
+
+    return { uri, taskId, kind, filePath };
+  }
+
+  const { label } = parsed;
+  const [activeTask] = await getAllActiveTasksWithCache(label);
+  if (!activeTask) {
+    throw new McpError(ErrorCode.InvalidParams, `No conversation marked as Active ${label} was found.`);
+  }
+
+  const taskLocation = await findTaskAcrossPaths(activeTask.id);
+  if (!taskLocation) {
+    throw new McpError(ErrorCode.InvalidParams, `Task not found: ${activeTask.id}`);
+  }
+
+  return {
+    uri,
+    taskId: activeTask.id,
+    kind: 'ui_messages',
+    filePath: getUiMessagesFilePath(taskLocation.basePath, activeTask.id),
+    label
+  };
+}
+
+/**
+ * Tracks resource subscriptions and watches the files backing them
+ * @param server MCP server used to send notifications
+ * @returns Functions to subscribe, unsubscribe and stop watching
+ */
+function createSubscriptionManager(server: Server) {
+  // Subscribed URI -> file currently backing it (null if an active label is unassigned)
+  const subscriptions = new Map<string, string | null>();
+  // Watched file -> subscribed URIs backed by it
+  const watchedFiles = new Map<string, Set<string>>();
+  const pendingNotifications = new Map<string, NodeJS.Timeout>();
+  const activeTasksFiles = getActiveTasksFilePaths().map(p => path.resolve(p));
+  let watcher: FSWatcher | null = null;
+  let watchingActiveTasks = false;
+
+  function getWatcher(): FSWatcher {
+    if (!watcher) {
+      watcher = watch([], { ignoreInitial: true });
+      watcher.on('add', onFileEvent);
+      watcher.on('change', onFileEvent);
+      watcher.on('unlink', onFileEvent);
+      watcher.on('error', error => logWarning('Resource watcher error', error));
+    }
+    return watcher;
+  }
+
+  function watchFile(filePath: string, uri: string): void {
+    const key = path.resolve(filePath);
+    let uris = watchedFiles.get(key);
+    if (!uris) {
+      uris = new Set();
+      watchedFiles.set(key, uris);
+      getWatcher().add(key);
+      logDebug(`Watching ${key} for resource updates`);
+    }
+    uris.add(uri);
+  }
+
+  function unwatchFile(filePath: string, uri: string): void {
+    const key = path.resolve(filePath);
+    const uris = watchedFiles.get(key);
+    if (!uris) return;
+    uris.delete(uri);
+    if (uris.size === 0) {
+      watchedFiles.delete(key);
+      watcher?.unwatch(key);
+      logDebug(`Stopped watching ${key}`);
+    }
+  }
+
+  function hasActiveSubscriptions(): boolean {
+    for (const uri of subscriptions.keys()) {
+      if (parseResourceUri(uri).type === 'active') return true;
+    }
+    return false;
+  }
+
+  // Active labels are re-resolved whenever active_tasks.json changes
+  function updateActiveTasksWatch(): void {
+    const needed = hasActiveSubscriptions();
+    if (needed && !watchingActiveTasks) {
+      getWatcher().add(activeTasksFiles);
+    } else if (!needed && watchingActiveTasks) {
+      watcher?.unwatch(activeTasksFiles);
+    }
+    watchingActiveTasks = needed;
+  }
+
+  function scheduleNotification(uri: string): void {
+    const pending = pendingNotifications.get(uri);
+    if (pending) clearTimeout(pending);
+
+    pendingNotifications.set(uri, setTimeout(() => {
+      pendingNotifications.delete(uri);
+      if (!subscriptions.has(uri)) return;
+      logDebug(`Sending resource updated notification for ${uri}`);
+      server.sendResourceUpdated({ uri }).catch(error => {
+        logWarning(`Failed to send resource updated notification for ${uri}`, error);
+      });
+    }, config.watch.debounceMs));
+  }
+
+  async function resolveActiveFile(uri: string): Promise<string | null> {
+    try {
+      return (await resolveResourceUri(uri)).filePath;
+    } catch (error) {
+      logDebug(`Active resource ${uri} is not assigned to a task`);
+      return null;
+    }
+  }
+
+  async function onActiveTasksChanged(): Promise<void> {
+    clearActiveTaskCache();
+
+    for (const [uri, previousFile] of subscriptions) {
+      if (parseResourceUri(uri).type !== 'active') continue;
+
+      const currentFile = await resolveActiveFile(uri);
+      if (currentFile === previousFile) continue;
+
+      if (previousFile) unwatchFile(previousFile, uri);
+      if (currentFile) watchFile(currentFile, uri);
+      subscriptions.set(uri, currentFile);
+      scheduleNotification(uri);
+    }
+
+    server.sendResourceListChanged().catch(error => {
+      logWarning('Failed to send resource list changed notification', error);
+    });
+  }
+
+  function onFileEvent(filePath: string): void {
+    const key = path.resolve(filePath);
+
+    if (activeTasksFiles.includes(key)) {
+      onActiveTasksChanged().catch(error => {
+        logError(`Error handling active tasks change: ${(error as Error).message}`, error);
+      });
+    }
+
+    const uris = watchedFiles.get(key);
+    if (uris) {
+      uris.forEach(scheduleNotification);
+    }
+  }
+
+  async function subscribe(uri: string): Promise<void> {
+    if (subscriptions.has(uri)) return;
+
+    const parsed = parseResourceUri(uri);
+    // Task resources must exist; an active label may be assigned later
+    const filePath = parsed.type === 'task'
+      ? (await resolveResourceUri(uri)).filePath
+      : await resolveActiveFile(uri);
+
+    subscriptions.set(uri, filePath);
+    if (filePath) watchFile(filePath, uri);
+    updateActiveTasksWatch();
+    logInfo(`Subscribed to resource ${uri}`);
+  }
+
+  function unsubscribe(uri: string): void {
+    if (!subscriptions.has(uri)) return;
+
+    const filePath = subscriptions.get(uri);
+    subscriptions.delete(uri);
+    if (filePath) unwatchFile(filePath, uri);
+    updateActiveTasksWatch();
+
+    const pending = pendingNotifications.get(uri);
+    if (pending) {
+      clearTimeout(pending);
+      pendingNotifications.delete(uri);
+    }
+    logInfo(`Unsubscribed from resource ${uri}`);
+  }
+
+  async function close(): Promise<void> {
+    pendingNotifications.forEach(timer => clearTimeout(timer));
+    pendingNotifications.clear();
+    subscriptions.clear();
+    watchedFiles.clear();
+    watchingActiveTasks = false;
+    if (watcher) {
+      await watcher.close();
+      watcher = null;
+    }
+  }
+
+  return { subscribe, unsubscribe, close };
+}
+
+/**
+ * Register resource handlers with the MCP server
+ * @param server MCP server instance
+ */
+export function registerClineResources(server: Server): void {
+  // List the conversations of the active tasks
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const activeTasks = await getAllActiveTasksWithCache();
+    const resources = [];
+
+    for (const task of activeTasks) {
+      resources.push(
+        {
+          uri: getActiveResourceUri(task.label),
+          name: `Active ${task.label} conversation`,
+          description: `UI messages of the conversation currently marked as Active ${task.label} (task ${task.id})`,
+          mimeType: 'application/json'
+        },
+        {
+          uri: getTaskResourceUri(task.id, 'ui_messages'),
+          name: `Task ${task.id} UI messages`,
+          mimeType: 'application/json'
+        },
+        {
+          uri: getTaskResourceUri(task.id, 'api_history'),
+          name: `Task ${task.id} API conversation history`,
+          mimeType: 'application/json'
+        }
+      );
+    }
+
+    return { resources };
+  });
+
+  // Templates let clients address any task, not only the active ones
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return {
+      resourceTemplates: [
+        {
+          uriTemplate: `${RESOURCE_SCHEME}://tasks/{taskId}/ui_messages`,
+          name: 'Task UI messages',
+          description: 'ui_messages.json of a Cline task',
+          mimeType: 'application/json'
+        },
+        {
+          uriTemplate: `${RESOURCE_SCHEME}://tasks/{taskId}/api_history`,
+          name: 'Task API conversation history',
+          description: 'api_conversation_history.json of a Cline task',
+          mimeType: 'application/json'
+        },
+        {
+          uriTemplate: `${RESOURCE_SCHEME}://active/{label}`,
+          name: 'Active task conversation',
+          description: 'UI messages of the conversation marked with an active label (e.g. A, B or frontend)',
+          mimeType: 'application/json'
+        }
+      ]
+    };
+  });
+
+  // Subscribe to changes of a resource
+  const subscriptionManager = createSubscriptionManager(server);
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    await subscriptionManager.subscribe(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptionManager.unsubscribe(request.params.uri);
+    return {};
+  });
+
+  // Stop watching once the client disconnects
+  const previousOnClose = server.onclose;
+  server.onclose = () => {
+    previousOnClose?.();
+    subscriptionManager.close().catch(error => {
+      logWarning('Error closing resource watcher', error);
+    });
+  };
+
+  // Read a resource
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const resource = await resolveResourceUri(uri);
+    logDebug(`Reading resource ${uri} from ${resource.filePath}`);
+
+    if (!await fs.pathExists(resource.filePath)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Resource file not found for task ${resource.taskId}: ${resource.filePath}`
+      );
+    }
+
+    try {
+      const text = await fs.readFile(resource.filePath, 'utf8');
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: 'application/json',
+            text
+          }
+        ]
+      };
+    } catch (error) {
+      logError(`Error reading resource ${uri}: ${(error as Error).message}`, error);
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to read resource ${uri}: ${(error as Error).message}`
+      );
+    }
+  });
+}
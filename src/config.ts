@@ -1,133 +1,463 @@
 /**
  * Configuration settings for the Cline Chat Reader MCP
- * Consolidated version with simplified tools and platform-specific paths
+ *
+ * Settings are built from, in increasing precedence: the defaults in ConfigSchema, the
+ * cline-mcp.config.json file, and CLINE_MCP_* environment variables. The file is read from the
+ * path given by --config or CLINE_MCP_CONFIG; otherwise cline-mcp/cline-mcp.config.json in the
+ * user configuration directory ($XDG_CONFIG_HOME or ~/.config, %APPDATA% on Windows) is used if it
+ * exists. The merged settings are validated once at startup, and an invalid file or variable
+ * stops the server with a ConfigError naming the setting.
  */
 
 import * as path from 'path';
 import * as os from 'os';
 import * as fs from 'fs';
+import { z } from 'zod';
+import { EDITOR_PROVIDERS, EXTENSION_PROVIDERS } from './utils/storage-providers.js';
 
-const homedir = os.homedir();
-
-// Get platform-specific paths with fully resolved absolute paths
-function getPlatformPaths() {
-  // Log current working directory and home directory for debugging
-  console.error(`Current working directory: ${process.cwd()}`);
-  console.error(`Home directory: ${homedir}`);
-  
-  // Get the base path with fully resolved absolute paths
-  const basePath = (() => {
-    switch (process.platform) {
-      case 'win32':
-        const winPath = path.resolve(process.env.APPDATA || '', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev');
-        console.error(`Windows absolute path: ${winPath}`);
-        return winPath;
-      case 'darwin':
-        const macPath = path.resolve(homedir, 'Library', 'Application Support', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev');
-        console.error(`macOS absolute path: ${macPath}`);
-        return macPath;
-      case 'linux':
-        const linuxPath = path.resolve(homedir, '.config', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev');
-        console.error(`Linux absolute path: ${linuxPath}`);
-        return linuxPath;
-      default:
-        console.warn(`Unsupported platform: ${process.platform}, using fallback paths`);
-        const fallbackPath = path.resolve(homedir, '.vscode', 'saoudrizwan.claude-dev');
-        console.error(`Fallback absolute path: ${fallbackPath}`);
-        return fallbackPath;
-    }
-  })();
-  
-  // Create fully resolved absolute paths
-  const activeTasksFile = path.resolve(basePath, 'active_tasks.json');
-  const standardTasksDir = path.resolve(basePath, 'tasks');
-  const crashReportsDir = path.resolve(basePath, 'crashReports');
-  
-  // Log the paths for debugging
-  console.error(`Active tasks file path: ${activeTasksFile}`);
-  console.error(`Standard tasks directory: ${standardTasksDir}`);
-  console.error(`Crash reports directory: ${crashReportsDir}`);
-  
-  // Check if the paths exist
-  console.error(`Active tasks file exists: ${fs.existsSync(activeTasksFile)}`);
-  console.error(`Standard tasks directory exists: ${fs.existsSync(standardTasksDir)}`);
-  console.error(`Crash reports directory exists: ${fs.existsSync(crashReportsDir)}`);
-  
-  return {
-    activeTasksFile,
-    standardTasksDir,
-    crashReportsDir
-  };
+// Name of the configuration file
+export const CONFIG_FILE_NAME = 'cline-mcp.config.json';
+
+// Prefix of environment variables overriding settings, e.g. CLINE_MCP_MESSAGES_MAX_LIMIT
+const ENV_PREFIX = 'CLINE_MCP_';
+
+/**
+ * Error thrown when the configuration file or an environment override is invalid
+ */
+export class ConfigError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ConfigError';
+  }
 }
 
-// Define fallback paths for active tasks file
-export function getActiveTasksFallbackPaths(): string[] {
-  const paths = [];
-  
-  // Primary path from platform-specific configuration
-  paths.push(config.paths.activeTasksFile);
-  
-  // Fallback 1: Use OS home directory with explicit path
-  const fallbackPath1 = path.resolve(homedir, 'Library', 'Application Support', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'active_tasks.json');
-  paths.push(fallbackPath1);
-  
-  // Fallback 2: Check relative to current working directory
-  const fallbackPath2 = path.resolve(process.cwd(), 'active_tasks.json');
-  paths.push(fallbackPath2);
-  
-  // Fallback 3: Common locations
-  paths.push(path.resolve('/Users/ant/Library/Application Support/Code/User/globalStorage/saoudrizwan.claude-dev/active_tasks.json'));
-  paths.push(path.resolve('/Library/Application Support/Code/User/globalStorage/saoudrizwan.claude-dev/active_tasks.json'));
-  
-  // Log all fallback paths
-  console.error('Active tasks fallback paths:');
-  paths.forEach((p, i) => console.error(`  ${i}: ${p}`));
-  
-  return paths;
+/**
+ * Expand a leading ~ to the home directory
+ * @param value Path from the configuration
+ * @returns Absolute path
+ */
+function expandHomeDirectory(value: string): string {
+  const expanded = value === '~' || value.startsWith('~/') || value.startsWith('~\\')
+    ? path.join(os.homedir(), value.slice(1))
+    : value;
+  return path.resolve(expanded);
 }
 
-export const config = {
-  version: '0.6.2',
-  
-  // Paths configuration
-  paths: getPlatformPaths(),
-  
+// Path setting; ~ is expanded and relative paths are resolved against the working directory
+const PathSchema = z.string().min(1).transform(expandHomeDirectory);
+
+// Page size settings shared by the tools that page their results
+const pageSizeShape = (defaultLimit: number, maxLimit: number) => ({
+  defaultLimit: z.number().int().min(1).default(defaultLimit),
+  maxLimit: z.number().int().min(1).default(maxLimit)
+});
+
+/**
+ * Schema of the settings, with their defaults
+ * Every section and setting is optional in the configuration file
+ */
+const ConfigSchema = z.object({
+  // Where tasks are read from (see storage-roots.ts)
+  storage: z.object({
+    // Search the storage of every editor × extension pair in the registry
+    discover: z.boolean().default(true),
+
+    // Editor IDs to search when discovering (default: all)
+    editors: z.array(z.enum(EDITOR_PROVIDERS.map(editor => editor.id) as [string, ...string[]])).optional(),
+
+    // Extension IDs to search when discovering (default: all)
+    extensions: z.array(z.enum(EXTENSION_PROVIDERS.map(extension => extension.id) as [string, ...string[]])).optional(),
+
+    // Additional globalStorage/<extension ID> directories, searched before discovered ones
+    roots: z.array(z.union([
+      PathSchema,
+      z.object({
+        path: PathSchema,
+        editor: z.string().min(1).optional(),       // Editor ID reported in the task source (default: custom)
+        extension: z.string().min(1).optional()     // Extension ID (default: the directory name)
+      }).strict()
+    ])).default([])
+  }).strict().default({}),
+
   // Message reading configuration
-  messages: {
-    // Default number of messages to retrieve for read_last_messages
-    defaultLimit: 20,
-    
-    // Extended number of messages to retrieve for read_last_40_messages
-    extendedLimit: 40,
-    
-    // Threshold for small files (1MB)
-    smallFileThreshold: 1024 * 1024
-  },
-  
-  // Cache configuration
-  cache: {
-    // Cache expiration time in milliseconds (30 seconds)
-    expirationTime: 30 * 1000
-  },
-  
+  messages: z.object({
+    // Default and largest page size for read_messages
+    ...pageSizeShape(20, 200),
+
+    // Files at least this large are logged when parsed whole (1MB)
+    smallFileThreshold: z.number().int().min(0).default(1024 * 1024)
+  }).strict().default({}),
+
+  // Task listing configuration: default and largest page size for list_tasks
+  tasks: z.object(pageSizeShape(50, 500)).strict().default({}),
+
+  // Conversation search configuration: default and largest result count for search_conversations
+  search: z.object(pageSizeShape(20, 200)).strict().default({}),
+
+  // External advice
+  advice: z.object({
+    // Default and largest page size for list_external_advice
+    ...pageSizeShape(50, 500),
+
+    // Longest wait between passes of the scheduler delivering and expiring advice
+    schedulerIntervalMs: z.number().int().min(1000).default(60 * 1000),
+
+    // Largest code snippet or diff attached to an advice, in bytes
+    maxAttachmentBytes: z.number().int().positive().default(64 * 1024)
+  }).strict().default({}),
+
+  // Persistent search index used by ranked_search
+  searchIndex: z.object({
+    // Index file name, written beside the diagnostic log
+    fileName: z.string().min(1).default('mcp-search-index.json'),
+
+    // Default and largest result count for ranked_search
+    ...pageSizeShape(20, 200),
+
+    // BM25 term frequency saturation
+    k1: z.number().min(0).default(1.2),
+
+    // BM25 document length normalization
+    b: z.number().min(0).max(1).default(0.75)
+  }).strict().default({}),
+
+  // Active task labels (active_tasks.json)
+  activeTasks: z.object({
+    // Prefix selecting the task marked with a label, e.g. ACTIVE_A or ACTIVE_frontend
+    referencePrefix: z.string().min(1).default('ACTIVE_'),
+
+    // Labels preferred, in order, when no task or label is given; other labels follow,
+    // most recently activated first
+    labelPriority: z.array(z.string().min(1)).default(['A', 'B'])
+  }).strict().default({}),
+
+  // Caches of parsed files, invalidated by size, modification time and file watch events
+  cache: z.object({
+    // Most files kept parsed in memory by each cache
+    maxFiles: z.number().int().min(1).default(20)
+  }).strict().default({}),
+
+  // File watching configuration for resource subscriptions
+  watch: z.object({
+    // Quiet period before notifying subscribers, so a burst of writes sends one update
+    debounceMs: z.number().int().min(0).default(250)
+  }).strict().default({}),
+
+  // Streamable HTTP transport (--transport http)
+  http: z.object({
+    // Loopback interface to bind; the server exposes private conversation data and write tools,
+    // so other interfaces are refused
+    host: z.enum(['127.0.0.1', '::1', 'localhost']).default('127.0.0.1'),
+
+    // Default port
+    port: z.number().int().min(0).max(65535).default(3000),
+
+    // MCP endpoint path
+    path: z.string().startsWith('/').default('/mcp'),
+
+    // Largest accepted request body (4MB)
+    maxBodyBytes: z.number().int().min(1).default(4 * 1024 * 1024),
+
+    // Close sessions with no request for this long (30 minutes); 0 keeps them until DELETE
+    sessionIdleMs: z.number().int().min(0).default(30 * 60 * 1000)
+  }).strict().default({}),
+
+  // VS Code monitoring tools (get_vscode_workspaces, analyze_workspace, ...)
+  vscodeMonitoring: z.object({
+    // Opt-in: these tools read workspace files and Git history outside the Cline storage
+    enabled: z.boolean().default(false)
+  }).strict().default({}),
+
+  // Tools offered to clients, by tool name
+  toolAccess: z.object({
+    // Only offer these tools (default: all)
+    enabled: z.array(z.string().min(1)).optional(),
+
+    // Never offer these tools
+    disabled: z.array(z.string().min(1)).default([])
+  }).strict().default({}),
+
+  // Diagnostic log
+  logging: z.object({
+    // Most verbose level written
+    level: z.enum(['error', 'warning', 'info', 'debug']).default('info'),
+
+    // Log file; the search index is stored beside it
+    file: PathSchema.default(path.join(os.homedir(), 'mcp-diagnostic.log')),
+
+    // Also write log messages to the console
+    console: z.boolean().default(true)
+  }).strict().default({}),
+
   // Error handling configuration
-  errorHandling: {
+  errorHandling: z.object({
     // Maximum number of retries for file operations
-    maxRetries: 3,
-    
+    maxRetries: z.number().int().min(1).default(3),
+
     // Base delay for retry backoff in milliseconds
-    baseRetryDelay: 100,
-    
+    baseRetryDelay: z.number().int().min(0).default(100),
+
     // Timeout for operations in milliseconds (5 seconds)
-    timeout: 5000
-  },
-  
+    timeout: z.number().int().min(1).default(5000)
+  }).strict().default({})
+}).strict().superRefine((settings, ctx) => {
+  // A default page size above the largest one could never be requested explicitly
+  for (const section of ['messages', 'tasks', 'search', 'advice', 'searchIndex'] as const) {
+    if (settings[section].defaultLimit > settings[section].maxLimit) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [section, 'defaultLimit'],
+        message: `Must not exceed ${section}.maxLimit (${settings[section].maxLimit})`
+      });
+    }
+  }
+});
+
+/**
+ * Validated settings
+ */
+export type Settings = z.output<typeof ConfigSchema>;
+
+// Environment variables kept from before the configuration file, mapped to their setting
+const LEGACY_ENV_VARIABLES: Record<string, string> = {
+  CLINE_MCP_ACTIVE_LABEL_PRIORITY: 'activeTasks.labelPriority',
+  CLINE_MCP_VSCODE_MONITORING: 'vscodeMonitoring.enabled',
+  LOG_LEVEL: 'logging.level'
+};
+
+/**
+ * Get the environment variable overriding a setting
+ * @param section Section name, e.g. errorHandling
+ * @param key Setting name, e.g. maxRetries
+ * @returns Variable name, e.g. CLINE_MCP_ERROR_HANDLING_MAX_RETRIES
+ */
+export function getEnvVariableName(section: string, key: string): string {
+  const toUpperSnakeCase = (name: string) => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  return `${ENV_PREFIX}${toUpperSnakeCase(section)}_${toUpperSnakeCase(key)}`;
+}
+
+/**
+ * Remove default, optional and effect wrappers from a setting's schema
+ * @param schema Setting schema
+ * @returns The schema of the setting's value
+ */
+function unwrapSchema(schema: z.ZodTypeAny): z.ZodTypeAny {
+  if (schema instanceof z.ZodDefault) return unwrapSchema(schema._def.innerType);
+  if (schema instanceof z.ZodOptional) return unwrapSchema(schema.unwrap());
+  if (schema instanceof z.ZodEffects) return unwrapSchema(schema.innerType());
+  return schema;
+}
+
+/**
+ * Convert an environment variable to a setting value
+ * Values that cannot be converted are passed through, so validation reports them
+ * @param schema Setting schema
+ * @param value Variable value
+ * @returns Setting value
+ */
+function parseEnvValue(schema: z.ZodTypeAny, value: string): unknown {
+  const valueSchema = unwrapSchema(schema);
+
+  if (valueSchema instanceof z.ZodNumber) {
+    return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+  }
+  if (valueSchema instanceof z.ZodBoolean) {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    return value;
+  }
+  if (valueSchema instanceof z.ZodArray) {
+    // Comma-separated list
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+/**
+ * Collect the settings overridden by environment variables
+ * @param env Environment variables
+ * @returns Overrides by section, and the variable that set each overridden setting
+ */
+function readEnvOverrides(env: NodeJS.ProcessEnv): { overrides: Record<string, Record<string, unknown>>; sources: Map<string, string> } {
+  const overrides: Record<string, Record<string, unknown>> = {};
+  const sources = new Map<string, string>();
+
+  const apply = (section: string, key: string, variable: string, value: string) => {
+    const sectionSchema = unwrapSchema(ConfigSchema.innerType().shape[section as keyof Settings]) as z.AnyZodObject;
+    let parsed = parseEnvValue(sectionSchema.shape[key], value);
+
+    // LOG_LEVEL used numeric levels (0 = error ... 3 = debug)
+    if (variable === 'LOG_LEVEL' && /^[0-3]$/.test(value)) {
+      parsed = ['error', 'warning', 'info', 'debug'][Number(value)];
+    }
+
+    overrides[section] = { ...overrides[section], [key]: parsed };
+    sources.set(`${section}.${key}`, variable);
+  };
+
+  for (const [variable, setting] of Object.entries(LEGACY_ENV_VARIABLES)) {
+    const value = env[variable];
+    if (value !== undefined && value !== '') {
+      const [section, key] = setting.split('.');
+      apply(section, key, variable, value);
+    }
+  }
+
+  // Settings named by the current scheme win over the legacy variables
+  for (const [section, sectionSchema] of Object.entries(ConfigSchema.innerType().shape)) {
+    for (const key of Object.keys((unwrapSchema(sectionSchema) as z.AnyZodObject).shape)) {
+      const variable = getEnvVariableName(section, key);
+      const value = env[variable];
+      if (value !== undefined && value !== '') {
+        apply(section, key, variable, value);
+      }
+    }
+  }
+
+  return { overrides, sources };
+}
+
+/**
+ * Get the default location of the configuration file
+ * @param env Environment variables
+ * @returns cline-mcp/cline-mcp.config.json in the user configuration directory
+ */
+export function getDefaultConfigFilePath(env: NodeJS.ProcessEnv = process.env): string {
+  const configDir = process.platform === 'win32'
+    ? env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming')
+    : env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.resolve(configDir, 'cline-mcp', CONFIG_FILE_NAME);
+}
+
+/**
+ * Get the configuration file given with --config FILE or --config=FILE
+ * @param argv Command line arguments after the script name
+ * @returns The file, or undefined if --config is not given
+ * @throws ConfigError if --config has no value
+ */
+function getConfigArgument(argv: string[]): string | undefined {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--config') {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        throw new ConfigError('--config requires a file path');
+      }
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith('--config=')) {
+      return argv[i].slice('--config='.length);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Read the configuration file
+ * @param filePath File to read
+ * @returns Parsed settings, not yet validated
+ * @throws ConfigError if the file cannot be read or is not a JSON object
+ */
+function readConfigFile(filePath: string): Record<string, unknown> {
+  let content: string;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read configuration file ${filePath}: ${(error as Error).message}`);
+  }
+
+  let data: unknown;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(`Configuration file ${filePath} is not valid JSON: ${(error as Error).message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError(`Configuration file ${filePath} must contain a JSON object`);
+  }
+  return data as Record<string, unknown>;
+}
+
+/**
+ * Load and validate the settings
+ * @param argv Command line arguments after the script name, for --config
+ * @param env Environment variables, for CLINE_MCP_CONFIG and the CLINE_MCP_* overrides
+ * @returns Settings and the configuration file they were read from, if any
+ * @throws ConfigError if the file or an override is invalid, or an explicitly given file is missing
+ */
+export function loadConfig(
+  argv: string[] = process.argv.slice(2),
+  env: NodeJS.ProcessEnv = process.env
+): Settings & { configFile: string | null } {
+  // An explicitly given file must exist; the default one is optional
+  const explicitFile = getConfigArgument(argv) || env.CLINE_MCP_CONFIG || undefined;
+  const configFile = explicitFile ? path.resolve(explicitFile) : getDefaultConfigFilePath(env);
+  const useFile = explicitFile !== undefined || fs.existsSync(configFile);
+
+  const fileSettings = useFile ? readConfigFile(configFile) : {};
+  const { overrides, sources } = readEnvOverrides(env);
+
+  // Environment variables override single settings, so merge section by section
+  const merged: Record<string, unknown> = { ...fileSettings };
+  for (const [section, values] of Object.entries(overrides)) {
+    const fileSection = fileSettings[section];
+    merged[section] = fileSection && typeof fileSection === 'object' && !Array.isArray(fileSection)
+      ? { ...fileSection, ...values }
+      : values;
+  }
+
+  const parsed = ConfigSchema.safeParse(merged);
+  if (!parsed.success) {
+    const problems = parsed.error.issues.map(issue => {
+      const setting = issue.path.join('.');
+      const variable = sources.get(issue.path.slice(0, 2).join('.'));
+      const origin = variable ? `${variable} (${setting})` : setting || '(root)';
+      return `  ${origin}: ${issue.message}`;
+    });
+    const location = useFile ? ` in ${configFile}` : '';
+    throw new ConfigError(`Invalid configuration${location}:\n${problems.join('\n')}`);
+  }
+
+  return { ...parsed.data, configFile: useFile ? configFile : null };
+}
+
+/**
+ * Check whether a tool is offered to clients under config.toolAccess
+ * @param name Tool name
+ * @returns False if the tool is disabled or not in the enabled list
+ */
+export function isToolEnabled(name: string): boolean {
+  const { enabled, disabled } = config.toolAccess;
+  return (!enabled || enabled.includes(name)) && !disabled.includes(name);
+}
+
+export const config = {
+  version: '0.6.2',
+
+  // Validated settings from defaults, cline-mcp.config.json and CLINE_MCP_* variables
+  ...loadConfig(),
+
   // Tool configuration
   tools: {
     // Tool names
-    readLastMessages: 'read_last_messages',
-    readLast40Messages: 'read_last_40_messages',
+    readMessages: 'read_messages',
     getActiveTask: 'get_active_task',
-    sendExternalAdvice: 'send_external_advice'
+    setActiveTask: 'set_active_task',
+    sendExternalAdvice: 'send_external_advice',
+    broadcastAdvice: 'broadcast_advice',
+    listTasks: 'list_tasks',
+    getTaskSummary: 'get_task_summary',
+    searchConversations: 'search_conversations',
+    rankedSearch: 'ranked_search',
+    rebuildSearchIndex: 'rebuild_search_index',
+    recoverCrashedConversation: 'recover_crashed_conversation',
+    listCrashReports: 'list_crash_reports',
+    dismissCrashReport: 'dismiss_crash_report',
+    listExternalAdvice: 'list_external_advice',
+    markAdviceRead: 'mark_advice_read',
+    dismissAdvice: 'dismiss_advice',
+    retractAdvice: 'retract_advice',
+    getAdviceThread: 'get_advice_thread',
+    getAdviceStatus: 'get_advice_status',
+    waitForAdviceAck: 'wait_for_advice_ack'
   }
 };
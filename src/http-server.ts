@@ -0,0 +1,279 @@
+/**
+ * Streamable HTTP transport for the Cline Chat Reader MCP Server
+ * Lets several clients share one server process (and its caches) over localhost
+ *
+ * Each client session gets its own MCP Server instance connected to its own
+ * StreamableHTTPServerTransport; task caches and the search index are module-level and shared.
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { config } from './config.js';
+import { logDebug, logError, logInfo, logWarning } from './utils/diagnostic-logger.js';
+
+/**
+ * Options for the HTTP transport
+ */
+export interface HttpServerOptions {
+  port: number;
+  host: string;
+  token?: string;               // Bearer token required on every request when set
+}
+
+/**
+ * Running HTTP transport
+ */
+export interface McpHttpServer {
+  url: string;
+  close: () => Promise<void>;
+}
+
+/**
+ * A connected client session
+ */
+interface HttpSession {
+  server: Server;
+  transport: StreamableHTTPServerTransport;
+  openRequests: number;         // Requests still being answered, including open SSE streams
+  lastActivity: number;         // When the last request started or finished (ms)
+}
+
+/**
+ * Longest interval between checks for idle sessions
+ */
+const MAX_IDLE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Error thrown when a request body exceeds config.http.maxBodyBytes
+ */
+class RequestBodyTooLargeError extends Error {
+  constructor(limit: number) {
+    super(`Request body exceeds ${limit} bytes`);
+    this.name = 'RequestBodyTooLargeError';
+  }
+}
+
+/**
+ * Send a JSON-RPC error response outside of any transport
+ * @param res HTTP response
+ * @param status HTTP status code
+ * @param message Error message
+ * @param headers Additional response headers
+ */
+function sendJsonRpcError(res: http.ServerResponse, status: number, message: string, headers: Record<string, string> = {}): void {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
+  }));
+}
+
+/**
+ * Check the request's bearer token in constant time
+ * @param req HTTP request
+ * @param token Expected token
+ * @returns True if the Authorization header carries the token
+ */
+function isAuthorized(req: http.IncomingMessage, token: string): boolean {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(match[1].trim());
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param req HTTP request
+ * @returns Parsed body
+ * @throws RequestBodyTooLargeError if the body is too large, SyntaxError if it is not valid JSON
+ */
+async function readJsonBody(req: http.IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > config.http.maxBodyBytes) {
+      throw new RequestBodyTooLargeError(config.http.maxBodyBytes);
+    }
+    chunks.push(chunk);
+  }
+
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Start the MCP server on the Streamable HTTP transport
+ * @param createServer Factory creating a fully configured MCP server for each client session
+ * @param options Port, host and optional bearer token
+ * @returns Running HTTP server
+ */
+export async function startHttpServer(
+  createServer: () => Promise<Server>,
+  options: HttpServerOptions
+): Promise<McpHttpServer> {
+  const sessions = new Map<string, HttpSession>();
+  
+  // Host headers accepted by the transports, filled in once the listening port is known
+  let allowedHosts: string[] = [];
+
+  /**
+   * Create a session for an initialize request
+   * @returns New transport, registered once the client completes initialization
+   */
+  const createSession = async (): Promise<StreamableHTTPServerTransport> => {
+    const server = await createServer();
+    const transport: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      // Reject requests whose Host header is not localhost, so web pages cannot reach the server
+      enableDnsRebindingProtection: true,
+      allowedHosts,
+      onsessioninitialized: sessionId => {
+        sessions.set(sessionId, { server, transport, openRequests: 0, lastActivity: Date.now() });
+        logInfo(`HTTP session started: ${sessionId} (${sessions.size} active)`);
+      }
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        logInfo(`HTTP session closed: ${transport.sessionId} (${sessions.size} active)`);
+      }
+    };
+
+    await server.connect(transport);
+    return transport;
+  };
+
+  /**
+   * Count a request against a session until its response closes, so open SSE streams keep the session alive
+   * @param session Session the request belongs to
+   * @param res HTTP response
+   */
+  const trackRequest = (session: HttpSession, res: http.ServerResponse): void => {
+    session.openRequests++;
+    session.lastActivity = Date.now();
+    res.once('close', () => {
+      session.openRequests--;
+      session.lastActivity = Date.now();
+    });
+  };
+
+  /**
+   * Close sessions abandoned without a DELETE; closing the transport also closes the
+   * session's MCP server and stops its resource subscription watchers
+   */
+  const closeIdleSessions = async (): Promise<void> => {
+    const now = Date.now();
+    for (const [sessionId, session] of Array.from(sessions.entries())) {
+      if (session.openRequests > 0 || now - session.lastActivity < config.http.sessionIdleMs) continue;
+
+      logInfo(`HTTP session ${sessionId} idle for ${now - session.lastActivity}ms, closing`);
+      sessions.delete(sessionId);
+      await session.transport.close().catch(error => {
+        logWarning(`Error closing idle HTTP session ${sessionId}`, error);
+      });
+    }
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+      if (url.pathname !== config.http.path) {
+        sendJsonRpcError(res, 404, `Not found. The MCP endpoint is ${config.http.path}`);
+        return;
+      }
+
+      if (options.token && !isAuthorized(req, options.token)) {
+        logWarning(`Rejected unauthorized HTTP request from ${req.socket.remoteAddress}`);
+        sendJsonRpcError(res, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+
+      const sessionId = req.headers['mcp-session-id'];
+      const session = typeof sessionId === 'string' ? sessions.get(sessionId) : undefined;
+
+      if (req.method === 'POST') {
+        const body = await readJsonBody(req);
+
+        if (session) {
+          trackRequest(session, res);
+          await session.transport.handleRequest(req, res, body);
+          return;
+        }
+
+        if (!sessionId && isInitializeRequest(body)) {
+          const transport = await createSession();
+          await transport.handleRequest(req, res, body);
+          return;
+        }
+
+        sendJsonRpcError(res, sessionId ? 404 : 400, sessionId ? 'Session not found' : 'Bad Request: No valid session ID provided');
+        return;
+      }
+
+      if (req.method === 'GET' || req.method === 'DELETE') {
+        if (!session) {
+          sendJsonRpcError(res, sessionId ? 404 : 400, sessionId ? 'Session not found' : 'Bad Request: No valid session ID provided');
+          return;
+        }
+        trackRequest(session, res);
+        await session.transport.handleRequest(req, res);
+        return;
+      }
+
+      sendJsonRpcError(res, 405, 'Method not allowed', { Allow: 'GET, POST, DELETE' });
+    } catch (error) {
+      logError(`Error handling HTTP request: ${(error as Error).message}`, error);
+      if (res.headersSent) {
+        return;
+      }
+      if (error instanceof RequestBodyTooLargeError) {
+        sendJsonRpcError(res, 413, error.message);
+      } else if (error instanceof SyntaxError) {
+        sendJsonRpcError(res, 400, 'Parse error: invalid JSON');
+      } else {
+        sendJsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.port, options.host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const port = typeof address === 'object' && address ? address.port : options.port;
+  const host = options.host.includes(':') ? `[${options.host}]` : options.host;
+  const url = `http://${host}:${port}${config.http.path}`;
+  allowedHosts = Array.from(new Set([host, 'localhost', '127.0.0.1', '[::1]'])).map(name => `${name}:${port}`);
+  logDebug(`HTTP transport allowed hosts: ${allowedHosts.join(', ')}`);
+
+  const idleSweep = config.http.sessionIdleMs > 0
+    ? setInterval(() => {
+        closeIdleSessions().catch(error => logError('Error closing idle HTTP sessions', error));
+      }, Math.min(config.http.sessionIdleMs, MAX_IDLE_SWEEP_INTERVAL_MS))
+    : undefined;
+  idleSweep?.unref();
+
+  return {
+    url,
+    close: async () => {
+      if (idleSweep) clearInterval(idleSweep);
+      for (const { transport } of Array.from(sessions.values())) {
+        await transport.close().catch(() => undefined);
+      }
+      sessions.clear();
+      await new Promise<void>(resolve => httpServer.close(() => resolve()));
+    }
+  };
+}
@@ -2,12 +2,41 @@
 
 /**
  * Main entry point for the Claude Task Reader MCP Server
+ * Modules are imported dynamically because importing them loads the configuration; an invalid
+ * cline-mcp.config.json or CLINE_MCP_* variable is then reported without a stack trace.
  */
 
-import { startMcpServer } from './mcp-server.js';
+import type { ServerStartOptions } from './utils/cli-args.js';
 
-// Start the server
-startMcpServer().catch(error => {
+const USAGE = 'Usage: cline-chat-reader [--config FILE] [--transport stdio|http] [--port N] [--token TOKEN]';
+
+async function main(): Promise<void> {
+  let cliArgs: typeof import('./utils/cli-args.js');
+  let mcpServer: typeof import('./mcp-server.js');
+  try {
+    cliArgs = await import('./utils/cli-args.js');
+    mcpServer = await import('./mcp-server.js');
+  } catch (error) {
+    if ((error as Error).name === 'ConfigError') {
+      console.error((error as Error).message);
+      process.exit(1);
+    }
+    throw error;
+  }
+
+  let options: ServerStartOptions;
+  try {
+    options = cliArgs.parseServerArgs();
+  } catch (error) {
+    console.error(`${(error as Error).message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  // Start the server
+  await mcpServer.startMcpServer(options);
+}
+
+main().catch(error => {
   console.error('Failed to start server:', error);
   process.exit(1);
 });
@@ -1,16 +1,39 @@
 /**
  * MCP Server for Cline Chat Reader
- * Implements four essential tools with fixed message limits
+ * Implements the following tools
  * 
- * 1. read_last_messages - Retrieve 20 most recent conversation messages
- * 2. read_last_40_messages - Retrieve 40 most recent conversation messages
- * 3. get_active_task - Get active conversations
- * 4. send_external_advice - Send notifications between agents
+ * - read_messages - Page backwards through conversation messages with a cursor
+ * - get_active_task - Get active conversations
+ * - set_active_task - Assign, move or clear an active task label
+ * - send_external_advice - Send notifications between agents
+ * - broadcast_advice - Send the same advice to several tasks
+ * - list_tasks - List all tasks with filtering, sorting and paging
+ * - get_task_summary - Single-pass statistics for any task
+ * - search_conversations - Search all tasks with role, type, date and regex filters
+ * - ranked_search - BM25-ranked search over the persistent search index
+ * - rebuild_search_index - Rebuild the search index from scratch
+ * 
+ * Crash recovery tools:
+ * - recover_crashed_conversation - Recover a crashed task and save a crash report
+ * - list_crash_reports - List saved crash reports
+ * - dismiss_crash_report - Move a crash report into crashReports/Dismissed
+ * 
+ * External advice tools:
+ * - list_external_advice - List advice sent to tasks, with target, source, status and priority filters
+ * - mark_advice_read - Mark an advice as read
+ * - dismiss_advice - Move an advice into external-advice/Dismissed
+ * - retract_advice - Delete an advice the sender no longer wants shown
+ * - get_advice_thread - Reconstruct a thread of advice exchanged between tasks
+ * - get_advice_status - Check whether an advice was read or dismissed
+ * - wait_for_advice_ack - Wait until an advice is read or dismissed, up to a timeout
+ * 
+ * Optional VS Code monitoring tools (see vscode-monitoring.ts) are added when enabled in config
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { 
   initDiagnosticLogger, 
+  disableConsoleLogging,
   setLogLevel, 
   LogLevel, 
   logError, 
@@ -19,592 +42,1922 @@ import {
   logDebug 
 } from './utils/diagnostic-logger.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import {
-  CallToolRequestSchema,
-  ErrorCode,
-  ListToolsRequestSchema,
-  ListResourcesRequestSchema,
-  ListResourceTemplatesRequestSchema,
-  ListPromptsRequestSchema,
-  McpError,
-} from '@modelcontextprotocol/sdk/types.js';
+import { ListPromptsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
 import path from 'path';
 import fs from 'fs-extra';
-import { config } from './config.js';
+import { config, isToolEnabled } from './config.js';
 import { Message } from './models/task.js';
-import { getTasksDirectoryForTask } from './utils/paths.js';
+import {
+  getTasksDirectoryForTask,
+  getVSCodeTasksDirectory,
+  findTaskAcrossPaths,
+  getApiConversationFilePath as getTaskApiConversationFilePath,
+  parseActiveTaskReference
+} from './utils/paths.js';
+import { registerClineResources } from './cline-resources.js';
+import {
+  ToolContext,
+  ToolDefinition,
+  ToolResponse,
+  defineTool,
+  registerTools,
+  toolResult
+} from './tool-registry.js';
+import { ToolError, ToolErrorCode, toToolError } from './tool-errors.js';
+import { throwIfAborted } from './utils/cancellation.js';
+import { startHttpServer } from './http-server.js';
+import { ServerStartOptions } from './utils/cli-args.js';
+import { queryTasks, getTaskSummary, findTasksInWorkspace } from './services/task-service.js';
+import { searchConversations } from './services/conversation-service.js';
+import { rankedSearch, rebuildSearchIndex } from './services/search-index.js';
+import {
+  recoverCrashedConversation,
+  formatRecoveredContext,
+  createCrashReport
+} from './utils/crash-recovery.js';
+import {
+  saveCrashReport,
+  listCrashReports,
+  dismissCrashReport,
+  CrashReport
+} from './utils/crash-reports.js';
+import {
+  listAdvice,
+  findAdvice,
+  markAdviceRead,
+  dismissAdvice,
+  retractAdvice,
+  getAdvicePriority,
+  getAdviceThread,
+  getAdviceThreadId,
+  isAdviceDue,
+  isAdviceAcknowledged,
+  scheduleAdvice,
+  waitForAdviceAck,
+  AdviceEntry,
+  ExternalAdvice
+} from './utils/external-advice.js';
+import { startAdviceScheduler, stopAdviceScheduler, notifyAdviceDue } from './services/advice-scheduler.js';
+import { resolveAdviceAttachments, AdviceAttachmentError, AdviceAttachmentInput } from './services/advice-attachments.js';
 import { 
   getActiveTaskWithCache, 
   getAllActiveTasksWithCache,
-  getApiConversationFilePath,
+  setActiveTaskLabel,
   validateTaskExists,
   writeAdviceToTask,
-  ActiveTaskErrorCode
+  ActiveTasksConflictError
 } from './utils/active-task-fixed.js';
 import { 
+  readAllConversationMessages,
   readConversationMessages,
-  readConversationMessagesWithTimeout,
-  FileErrorCode
+  readConversationMessagesWithTimeout
 } from './utils/file-utils.js';
 import {
   standardizeMessageContent,
   MessageErrorCode,
-  parseConversationContent
+  paginateMessages,
+  encodeMessageCursor,
+  decodeMessageCursor,
+  MessageCursor
 } from './utils/message-utils.js';
 
 /**
- * Error codes for MCP server operations
+ * Schema for read_messages tool
+ */
+const ReadMessagesSchema = z.object({
+  task_id: z.string().optional().describe('Task ID (timestamp) of the conversation. If not provided, uses the active conversation with the highest-priority label. Pass "ACTIVE_<label>" (e.g. "ACTIVE_A", "ACTIVE_frontend") to request the conversation marked with a label.'),
+  limit: z.number().int().min(1).max(config.messages.maxLimit).default(config.messages.defaultLimit)
+    .describe(`Maximum number of messages to return (default: ${config.messages.defaultLimit}, max: ${config.messages.maxLimit})`),
+  before_ts: z.number().optional().describe('Only return messages with a timestamp strictly before this value (ms since epoch)'),
+  after_ts: z.number().optional().describe('Only return messages with a timestamp strictly after this value (ms since epoch)'),
+  cursor: z.string().optional().describe('Opaque cursor from a previous call (next_cursor) to fetch the next older page')
+}).strict();
+
+/**
+ * Schema for get_active_task tool
+ */
+const GetActiveTaskSchema = z.object({
+  label: z.string().min(1).optional().describe('Optional label to filter by (any label from active_tasks.json, e.g. "A" or "frontend")')
+}).strict();
+
+/**
+ * Schema for set_active_task tool
+ */
+const SetActiveTaskSchema = z.object({
+  label: z.string().min(1).max(64).describe('Label to assign or clear (e.g. "A" or "frontend")'),
+  task_id: z.string().optional().describe('Task ID (timestamp) to mark with the label. The label moves off any task that carried it, and replaces any other label this task carried.'),
+  clear: z.boolean().default(false).describe('Remove the label from whichever task carries it instead of assigning it')
+}).strict().superRefine((args, ctx) => {
+  if (args.clear === (args.task_id !== undefined)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'Provide either task_id, or clear set to true'
+    });
+  }
+});
+
+// Advice and thread IDs as generated by send_external_advice; advice IDs are also used as file names
+const ADVICE_ID_PATTERN = /^[\w-][\w.-]*$/;
+const AdviceIdSchema = z.string().regex(ADVICE_ID_PATTERN, 'Invalid advice ID').describe('ID of the advice (advice_id from send_external_advice)');
+const ThreadIdSchema = z.string().regex(ADVICE_ID_PATTERN, 'Invalid thread ID');
+
+// Git reference for a diff attachment; never an option, since it is passed to git diff
+const GitRefSchema = z.string().regex(/^(?!-)[\w./~^@{}-]+$/, 'Invalid Git reference');
+
+/**
+ * Advice attachment: a file in the target task's workspace, a code snippet, a diff of a file
+ * generated with git diff, or a link to a UI message of a task
+ */
+const AdviceAttachmentSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('file'),
+    path: z.string().min(1).describe('File path, relative to the target task\'s workspace or absolute inside it'),
+    start_line: z.number().int().min(1).optional().describe('First line referenced (1-based)'),
+    end_line: z.number().int().min(1).optional().describe('Last line referenced (default: start_line)')
+  }).strict(),
+  z.object({
+    type: z.literal('snippet'),
+    language: z.string().regex(/^[\w#+.-]+$/, 'Invalid language').describe('Language of the code, as in a fenced code block, e.g. typescript'),
+    code: z.string().min(1).describe('The code'),
+    caption: z.string().min(1).max(500).optional().describe('What the snippet shows')
+  }).strict(),
+  z.object({
+    type: z.literal('diff'),
+    path: z.string().min(1).describe('File to diff, relative to the target task\'s workspace or absolute inside it'),
+    old_ref: GitRefSchema.optional().describe('Git reference to diff from (requires new_ref; default: HEAD against the working tree)'),
+    new_ref: GitRefSchema.optional().describe('Git reference to diff to (requires old_ref)')
+  }).strict(),
+  z.object({
+    type: z.literal('message'),
+    task_id: z.string().min(1).describe('Task the message belongs to'),
+    ts: z.number().describe('Timestamp (ts) of the UI message')
+  }).strict()
+]);
+
+/**
+ * Advice message fields shared by send_external_advice and broadcast_advice
+ * Accepts either a simple `message` or a structured `title` + `content`; a plain message takes precedence
+ */
+const AdviceMessageShape = {
+  message: z.string().min(1).max(10000).optional().describe('The advice message to send (simple format)'),
+  title: z.string().min(1).max(200).optional().describe('Message title/summary (structured format, requires content)'),
+  content: z.string().min(1).max(10000).optional().describe('The advice message content (structured format, requires title)'),
+  type: z.enum(['info', 'warning', 'error']).default('info').describe('Message type (structured format only)'),
+  priority: z.enum(['low', 'medium', 'high']).default('medium').describe('Message priority (structured format only)'),
+  source_task_id: z.string().optional().describe('Task ID of the source conversation'),
+  deliver_after: z.number().optional().describe('Hold the advice back until this time (ms since epoch); it is delivered by the server\'s scheduler'),
+  expires_at: z.number().optional().describe('Dismiss the advice as expired if it is still unread at this time (ms since epoch)'),
+  attachments: z.array(AdviceAttachmentSchema).max(20).optional()
+    .describe('Files, code snippets, diffs and message links giving the advice precise context; checked against each target task')
+};
+
+/**
+ * Require either a simple or a structured advice message, a delivery window that can be met and
+ * consistent attachments
+ * @param args Arguments with the AdviceMessageShape fields
+ * @param ctx Refinement context
+ */
+function refineAdviceMessage(
+  args: {
+    message?: string;
+    title?: string;
+    content?: string;
+    deliver_after?: number;
+    expires_at?: number;
+    attachments?: Array<z.output<typeof AdviceAttachmentSchema>>;
+  },
+  ctx: z.RefinementCtx
+): void {
+  if (args.message === undefined && (args.title === undefined || args.content === undefined)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'Provide either message, or both title and content'
+    });
+  }
+  if (args.expires_at !== undefined && args.expires_at <= Math.max(args.deliver_after ?? 0, Date.now())) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['expires_at'],
+      message: 'Must be in the future and after deliver_after'
+    });
+  }
+  args.attachments?.forEach((attachment, index) => {
+    if (attachment.type === 'file' && attachment.start_line !== undefined && attachment.end_line !== undefined && attachment.end_line < attachment.start_line) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['attachments', index, 'end_line'],
+        message: 'Must not be before start_line'
+      });
+    }
+    if (attachment.type === 'diff' && (attachment.old_ref === undefined) !== (attachment.new_ref === undefined)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['attachments', index],
+        message: 'Provide both old_ref and new_ref, or neither'
+      });
+    }
+  });
+}
+
+// Advice status: scheduled (waiting for deliver_after), unread, read or dismissed
+const AdviceStatusSchema = z.enum(['scheduled', 'unread', 'read', 'dismissed']);
+
+/**
+ * Schema for send_external_advice tool
+ */
+const SendExternalAdviceSchema = z.object({
+  target_task_id: z.string().describe('Task ID of the target conversation'),
+  ...AdviceMessageShape,
+  thread_id: ThreadIdSchema.optional()
+    .describe('Thread to add the advice to. Defaults to the thread of in_reply_to, or a new thread identified by this advice\'s ID.'),
+  in_reply_to: AdviceIdSchema.optional()
+    .describe('ID of the advice this one answers; the advice joins its thread')
+}).strict().superRefine(refineAdviceMessage);
+
+/**
+ * Schema for broadcast_advice tool
+ * Targets from every given selector are combined
+ */
+const BroadcastAdviceSchema = z.object({
+  active: z.boolean().default(false).describe('Send to every task that carries an active label'),
+  labels: z.array(z.string().min(1)).optional().describe('Send to the tasks carrying these active labels (e.g. ["A", "frontend"])'),
+  workspace: z.string().min(1).optional().describe('Send to every task started in this workspace directory'),
+  task_ids: z.array(z.string().min(1)).optional().describe('Send to these task IDs'),
+  ...AdviceMessageShape,
+  thread_id: ThreadIdSchema.optional()
+    .describe('Thread to add every copy to (default: a new thread identified by the broadcast ID)')
+}).strict().superRefine((args, ctx) => {
+  refineAdviceMessage(args, ctx);
+  if (!args.active && !args.labels?.length && !args.workspace && !args.task_ids?.length) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'Provide at least one target: active, labels, workspace or task_ids'
+    });
+  }
+});
+
+/**
+ * Schema for list_tasks tool
+ */
+const ListTasksSchema = z.object({
+  created_after: z.number().optional().describe('Only include tasks created at or after this time (ms since epoch)'),
+  created_before: z.number().optional().describe('Only include tasks created at or before this time (ms since epoch)'),
+  modified_after: z.number().optional().describe('Only include tasks modified at or after this time (ms since epoch)'),
+  modified_before: z.number().optional().describe('Only include tasks modified at or before this time (ms since epoch)'),
+  min_size_bytes: z.number().int().min(0).optional().describe('Only include tasks whose conversation files total at least this many bytes'),
+  max_size_bytes: z.number().int().min(0).optional().describe('Only include tasks whose conversation files total at most this many bytes'),
+  has_ui_messages: z.boolean().optional().describe('Only include tasks with (true) or without (false) a ui_messages.json file'),
+  extension_type: z.string().optional().describe('Only include tasks of this extension (e.g. "Cline", "Roo Code", "Cline Ultra")'),
+  source: z.string().optional().describe('Only include tasks from this storage root ("<editor>/<extension ID>", e.g. "cursor/rooveterinaryinc.roo-cline"), or from every root of one editor ("cursor") or extension ("rooveterinaryinc.roo-cline")'),
+  sort_by: z.enum(['created', 'modified', 'size']).default('created').describe('Field to sort by (default: created)'),
+  order: z.enum(['asc', 'desc']).default('desc').describe('Sort order (default: desc)'),
+  offset: z.number().int().min(0).default(0).describe('Number of matching tasks to skip (default: 0)'),
+  limit: z.number().int().min(1).max(config.tasks.maxLimit).default(config.tasks.defaultLimit)
+    .describe(`Maximum number of tasks to return (default: ${config.tasks.defaultLimit}, max: ${config.tasks.maxLimit})`)
+}).strict();
+
+/**
+ * Schema for get_task_summary tool
+ */
+const GetTaskSummarySchema = z.object({
+  task_id: z.string().optional().describe('Task ID (timestamp) of any task. If not provided, uses the active conversation with the highest-priority label. Pass "ACTIVE_<label>" (e.g. "ACTIVE_A", "ACTIVE_frontend") to request the conversation marked with a label.')
+}).strict();
+
+/**
+ * Schema for search_conversations tool
+ */
+const SearchConversationsSchema = z.object({
+  query: z.string().min(1).describe('Text to search for, or a regular expression when regex is true'),
+  regex: z.boolean().default(false).describe('Treat query as a regular expression (default: false)'),
+  case_sensitive: z.boolean().default(false).describe('Match case exactly (default: false)'),
+  roles: z.array(z.enum(['human', 'assistant', 'system'])).optional().describe('Only match messages with these roles'),
+  message_types: z.array(z.string()).optional().describe('Only match UI messages with these say/ask types (e.g. "text", "tool", "followup"). Excludes API history.'),
+  sources: z.array(z.enum(['ui', 'api'])).optional().describe('Files to search: "ui" (ui_messages.json) and/or "api" (api_conversation_history.json). Default: both'),
+  since: z.number().optional().describe('Only match messages at or after this time (ms since epoch)'),
+  until: z.number().optional().describe('Only match messages at or before this time (ms since epoch)'),
+  task_ids: z.array(z.string()).optional().describe('Only search these task IDs'),
+  limit: z.number().int().min(1).max(config.search.maxLimit).default(config.search.defaultLimit)
+    .describe(`Maximum number of results to return (default: ${config.search.defaultLimit}, max: ${config.search.maxLimit})`)
+}).strict();
+
+/**
+ * Schema for ranked_search tool
+ */
+const RankedSearchSchema = z.object({
+  query: z.string().min(1).describe('Free-text query; messages are ranked by how well they match its words'),
+  roles: z.array(z.enum(['human', 'assistant', 'system'])).optional().describe('Only match messages with these roles'),
+  sources: z.array(z.enum(['ui', 'api'])).optional().describe('Files to search: "ui" (ui_messages.json) and/or "api" (api_conversation_history.json). Default: both'),
+  since: z.number().optional().describe('Only match messages at or after this time (ms since epoch)'),
+  until: z.number().optional().describe('Only match messages at or before this time (ms since epoch)'),
+  task_ids: z.array(z.string()).optional().describe('Only search these task IDs'),
+  include_snippets: z.boolean().default(false).describe('Read the matching messages to include a snippet with each result (default: false)'),
+  limit: z.number().int().min(1).max(config.searchIndex.maxLimit).default(config.searchIndex.defaultLimit)
+    .describe(`Maximum number of results to return (default: ${config.searchIndex.defaultLimit}, max: ${config.searchIndex.maxLimit})`)
+}).strict();
+
+/**
+ * Schema for rebuild_search_index tool
+ */
+const RebuildSearchIndexSchema = z.object({}).strict();
+
+/**
+ * Schema for recover_crashed_conversation tool
+ */
+const RecoverCrashedConversationSchema = z.object({
+  task_id: z.string().describe('Task ID (timestamp) of the crashed conversation'),
+  max_length: z.number().int().min(100).max(20000).default(2000).describe('Maximum length of the generated summary (default: 2000)'),
+  include_code_snippets: z.boolean().default(true).describe('Whether to include code snippets and code evolution (default: true)'),
+  save_report: z.boolean().default(true).describe('Whether to save a crash report into crashReports/ (default: true)')
+}).strict();
+
+/**
+ * Schema for list_crash_reports tool
+ */
+const ListCrashReportsSchema = z.object({
+  task_id: z.string().optional().describe('Only list crash reports for this task ID'),
+  include_dismissed: z.boolean().default(false).describe('Whether to include reports in crashReports/Dismissed (default: false)')
+}).strict();
+
+/**
+ * Schema for dismiss_crash_report tool
+ */
+const DismissCrashReportSchema = z.object({
+  report_id: z.string().regex(/^[\w-][\w.-]*$/, 'Invalid crash report ID').describe('ID of the crash report to dismiss')
+}).strict();
+
+/**
+ * Schema for list_external_advice tool
+ */
+const ListExternalAdviceSchema = z.object({
+  target_task_id: z.string().optional().describe('Only list advice sent to this task'),
+  source_task_id: z.string().optional().describe('Only list advice sent from this task'),
+  thread_id: ThreadIdSchema.optional().describe('Only list advice in this thread'),
+  status: z.array(AdviceStatusSchema).optional().describe('Only list advice with these statuses (default: all)'),
+  priority: z.array(z.enum(['low', 'medium', 'high'])).optional().describe('Only list advice with these priorities; advice sent as a plain message counts as medium'),
+  offset: z.number().int().min(0).default(0).describe('Number of matching advice entries to skip (default: 0)'),
+  limit: z.number().int().min(1).max(config.advice.maxLimit).default(config.advice.defaultLimit)
+    .describe(`Maximum number of advice entries to return (default: ${config.advice.defaultLimit}, max: ${config.advice.maxLimit})`)
+}).strict();
+
+/**
+ * Schema for mark_advice_read tool
+ */
+const MarkAdviceReadSchema = z.object({
+  advice_id: AdviceIdSchema,
+  target_task_id: z.string().optional().describe('Task the advice was sent to; speeds up the lookup'),
+  read_by: z.string().min(1).max(200).default('cline-chat-reader').describe('Who read the advice, e.g. an agent name or task ID')
+}).strict();
+
+/**
+ * Schema for dismiss_advice tool
+ */
+const DismissAdviceSchema = z.object({
+  advice_id: AdviceIdSchema,
+  target_task_id: z.string().optional().describe('Task the advice was sent to; speeds up the lookup'),
+  dismissed_by: z.string().min(1).max(200).default('cline-chat-reader').describe('Who dismissed the advice, e.g. an agent name or task ID'),
+  reason: z.string().min(1).max(500).optional().describe('Why the advice is dismissed')
+}).strict();
+
+/**
+ * Schema for retract_advice tool
+ */
+const RetractAdviceSchema = z.object({
+  advice_id: AdviceIdSchema,
+  target_task_id: z.string().optional().describe('Task the advice was sent to; speeds up the lookup'),
+  source_task_id: z.string().optional().describe('Task that sent the advice; the advice is only retracted if it was sent from this task')
+}).strict();
+
+/**
+ * Schema for get_advice_status tool
+ */
+const GetAdviceStatusSchema = z.object({
+  advice_id: AdviceIdSchema,
+  target_task_id: z.string().optional().describe('Task the advice was sent to; speeds up the lookup')
+}).strict();
+
+/**
+ * Schema for wait_for_advice_ack tool
+ */
+const WaitForAdviceAckSchema = z.object({
+  advice_id: AdviceIdSchema,
+  target_task_id: z.string().optional().describe('Task the advice was sent to; speeds up the lookup'),
+  timeout_ms: z.number().int().min(0).max(10 * 60 * 1000).default(30 * 1000)
+    .describe('Longest time to wait, in milliseconds (default: 30000, max: 600000)')
+}).strict();
+
+/**
+ * Schema for get_advice_thread tool
+ */
+const GetAdviceThreadSchema = z.object({
+  thread_id: ThreadIdSchema.optional().describe('ID of the thread (thread_id returned by send_external_advice)'),
+  advice_id: AdviceIdSchema.optional().describe('ID of any advice in the thread, to look up its thread')
+}).strict().superRefine((args, ctx) => {
+  if (args.thread_id === undefined && args.advice_id === undefined) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'Provide either thread_id or advice_id'
+    });
+  }
+});
+
+/**
+ * Conversation message as returned by read_messages and get_task_summary
+ */
+const MessageOutputSchema = z.object({
+  role: z.string().describe('Message role (human, assistant or system)'),
+  timestamp: z.number().optional().describe('Message time (ms since epoch)'),
+  content: z.union([z.string(), z.array(z.unknown()), z.record(z.unknown())]).describe('Message text, or the raw content blocks')
+});
+
+/**
+ * Output schema for read_messages tool
+ */
+const ReadMessagesOutputSchema = z.object({
+  task_id: z.string(),
+  is_active_task: z.boolean(),
+  active_label: z.string().optional(),
+  message_count: z.number().int().describe('Messages in this page'),
+  total_messages: z.number().int().describe('Messages in the conversation'),
+  has_more: z.boolean(),
+  next_cursor: z.string().nullable().describe('Cursor for the next older page, or null on the last page'),
+  messages: z.array(MessageOutputSchema)
+});
+
+/**
+ * Output schema for get_active_task tool
+ */
+const GetActiveTaskOutputSchema = z.object({
+  active_tasks: z.array(z.object({
+    id: z.string(),
+    label: z.string(),
+    lastActivated: z.number(),
+    source: z.string().optional(),
+    extensionType: z.string().optional()
+  })),
+  count: z.number().int(),
+  message: z.string().optional()
+});
+
+/**
+ * Output schema for set_active_task tool
+ */
+const SetActiveTaskOutputSchema = z.object({
+  label: z.string(),
+  task_id: z.string().nullable().describe('Task now marked with the label, or null if it was cleared'),
+  previous_task_id: z.string().nullable().describe('Task that carried the label before'),
+  replaced_label: z.string().nullable().describe('Label the task carried before, now removed'),
+  last_activated: z.number().nullable(),
+  active_tasks: GetActiveTaskOutputSchema.shape.active_tasks,
+  active_tasks_file: z.string()
+});
+
+/**
+ * Output schema for send_external_advice tool
+ */
+const SendExternalAdviceOutputSchema = z.object({
+  success: z.boolean(),
+  advice_id: z.string(),
+  target_task_id: z.string(),
+  thread_id: z.string(),
+  in_reply_to: z.string().optional(),
+  scheduled: z.boolean().describe('True if the advice waits for deliver_after')
+});
+
+/**
+ * Output schema for broadcast_advice tool
+ */
+const BroadcastAdviceOutputSchema = z.object({
+  broadcast_id: z.string(),
+  thread_id: z.string(),
+  scheduled: z.boolean().describe('True if every delivered copy waits for deliver_after'),
+  target_count: z.number().int(),
+  delivered: z.number().int(),
+  failed: z.number().int(),
+  results: z.array(z.object({
+    target_task_id: z.string(),
+    success: z.boolean(),
+    advice_id: z.string().optional(),
+    scheduled: z.boolean().optional().describe('True if this copy waits for deliver_after'),
+    error_code: z.string().optional(),
+    error: z.string().optional()
+  })).describe('One result per target task'),
+  unmatched_labels: z.array(z.string()).optional().describe('Requested labels that no task carries'),
+  message: z.string().optional()
+});
+
+/**
+ * Output schema for list_tasks tool
+ */
+const ListTasksOutputSchema = z.object({
+  tasks: z.array(z.object({
+    task_id: z.string(),
+    created: z.string().describe('ISO 8601 creation time'),
+    modified: z.string().describe('ISO 8601 modification time'),
+    has_api_conversation: z.boolean(),
+    has_ui_messages: z.boolean(),
+    api_file_size: z.string().describe('Human-readable size of api_conversation_history.json'),
+    ui_file_size: z.string().describe('Human-readable size of ui_messages.json'),
+    total_size_bytes: z.number(),
+    extension_type: z.string(),
+    editor: z.string(),
+    source: z.string().describe('Storage root of the task: <editor>/<extension ID>'),
+    active_label: z.string().optional(),
+    tasks_dir: z.string()
+  })),
+  count: z.number().int(),
+  total: z.number().int().describe('Tasks matching the filters'),
+  offset: z.number().int(),
+  next_offset: z.number().int().nullable().describe('Offset of the next page, or null on the last page'),
+  storage_roots: z.array(z.string())
+});
+
+/**
+ * Output schema for get_task_summary tool
+ */
+const FileSizeOutputSchema = z.object({
+  size: z.string(),
+  size_bytes: z.number()
+}).nullable();
+
+const GetTaskSummaryOutputSchema = z.object({
+  task_id: z.string(),
+  extension_type: z.string(),
+  editor: z.string(),
+  source: z.string().describe('Storage root of the task: <editor>/<extension ID>'),
+  created: z.string().describe('ISO 8601 creation time'),
+  modified: z.string().describe('ISO 8601 modification time'),
+  first_timestamp: z.number().nullable(),
+  last_timestamp: z.number().nullable(),
+  duration_ms: z.number().nullable(),
+  files: z.object({
+    api_conversation: FileSizeOutputSchema,
+    ui_messages: FileSizeOutputSchema
+  }),
+  api_messages: z.object({
+    total: z.number().int(),
+    human: z.number().int(),
+    assistant: z.number().int(),
+    by_role: z.record(z.number())
+  }),
+  ui_messages: z.object({
+    total: z.number().int(),
+    by_say: z.record(z.number()),
+    by_ask: z.record(z.number())
+  }),
+  preview_messages: z.array(MessageOutputSchema)
+});
+
+/**
+ * Output schema for search_conversations tool
+ */
+const SearchConversationsOutputSchema = z.object({
+  results: z.array(z.object({
+    task_id: z.string(),
+    task_source: z.string().optional().describe('Storage root of the task: <editor>/<extension ID>'),
+    timestamp: z.number().optional(),
+    role: z.enum(['human', 'assistant', 'system']),
+    source: z.enum(['ui', 'api']),
+    message_type: z.string().optional(),
+    message_index: z.number().int(),
+    snippet: z.string()
+  })),
+  count: z.number().int(),
+  tasks_searched: z.number().int(),
+  truncated: z.boolean().describe('True if the search stopped at the result limit')
+});
+
+/**
+ * Output schema for ranked_search tool
+ */
+const RankedSearchOutputSchema = z.object({
+  results: z.array(z.object({
+    task_id: z.string(),
+    task_source: z.string().describe('Storage root of the task: <editor>/<extension ID>'),
+    score: z.number(),
+    timestamp: z.number().optional(),
+    role: z.enum(['human', 'assistant', 'system']),
+    source: z.enum(['ui', 'api']),
+    message_type: z.string().optional(),
+    message_index: z.number().int(),
+    snippet: z.string().optional()
+  })),
+  count: z.number().int(),
+  total_matches: z.number().int(),
+  index: z.object({
+    tasks_indexed: z.number().int(),
+    tasks_updated: z.number().int(),
+    tasks_removed: z.number().int(),
+    documents: z.number().int(),
+    update_ms: z.number()
+  }),
+  duration_ms: z.number()
+});
+
+/**
+ * Output schema for rebuild_search_index tool
+ */
+const RebuildSearchIndexOutputSchema = z.object({
+  success: z.boolean(),
+  tasks_indexed: z.number().int(),
+  documents: z.number().int(),
+  terms: z.number().int(),
+  duration_ms: z.number(),
+  index_path: z.string()
+});
+
+/**
+ * Output schema for recover_crashed_conversation tool
+ */
+const RecoverCrashedConversationOutputSchema = z.object({
+  task_id: z.string(),
+  report_id: z.string().optional(),
+  report_path: z.string().optional(),
+  recovery_confidence: z.number().describe('Share of messages recovered, from 0 to 1'),
+  message_count: z.object({
+    total: z.number().int(),
+    recovered: z.number().int(),
+    human: z.number().int(),
+    assistant: z.number().int()
+  }),
+  main_topic: z.string(),
+  current_status: z.string(),
+  active_files: z.array(z.string()),
+  open_questions: z.array(z.string()),
+  formatted_message: z.string()
+});
+
+/**
+ * Output schema for list_crash_reports tool
+ */
+const ListCrashReportsOutputSchema = z.object({
+  crash_reports: z.array(z.object({
+    id: z.string(),
+    task_id: z.string(),
+    timestamp: z.number(),
+    main_topic: z.string(),
+    read: z.boolean(),
+    dismissed: z.boolean(),
+    dismissed_at: z.number().optional(),
+    source: z.string().optional().describe('Storage root the report is kept in'),
+    path: z.string()
+  })),
+  count: z.number().int(),
+  message: z.string().optional()
+});
+
+/**
+ * Output schema for dismiss_crash_report tool
+ */
+const DismissCrashReportOutputSchema = z.object({
+  success: z.boolean(),
+  report_id: z.string(),
+  dismissed_path: z.string()
+});
+
+/**
+ * External advice as returned by the advice tools
+ */
+const AdviceOutputSchema = z.object({
+  advice_id: z.string(),
+  target_task_id: z.string(),
+  source_task_id: z.string().optional(),
+  thread_id: z.string(),
+  in_reply_to: z.string().optional(),
+  title: z.string().optional(),
+  content: z.string(),
+  type: z.string().optional(),
+  priority: z.enum(['low', 'medium', 'high']),
+  timestamp: z.number().describe('Time the advice was sent (ms since epoch)'),
+  deliver_after: z.number().optional(),
+  delivered_at: z.number().optional().describe('Time a scheduled advice was delivered'),
+  expires_at: z.number().optional(),
+  status: AdviceStatusSchema,
+  read_at: z.number().optional(),
+  read_by: z.string().optional(),
+  dismissed_at: z.number().optional(),
+  dismissed_by: z.string().optional(),
+  dismissed_reason: z.string().optional().describe('Why the advice was dismissed, e.g. "expired"'),
+  attachments: z.array(z.object({ type: z.string() }).passthrough()).optional()
+    .describe('Attachments as stored: file and diff paths are relative to the target task\'s workspace'),
+  task_source: z.string().optional().describe('Storage root of the target task'),
+  path: z.string()
+});
+
+/**
+ * Output schema for list_external_advice tool
+ */
+const ListExternalAdviceOutputSchema = z.object({
+  advice: z.array(AdviceOutputSchema),
+  count: z.number().int(),
+  total: z.number().int().describe('Advice entries matching the filters'),
+  offset: z.number().int(),
+  next_offset: z.number().int().nullable(),
+  message: z.string().optional()
+});
+
+/**
+ * Output schema for get_advice_thread tool
+ */
+const GetAdviceThreadOutputSchema = z.object({
+  thread_id: z.string(),
+  participants: z.array(z.string()).describe('Task IDs that sent or received advice in the thread'),
+  advice: z.array(AdviceOutputSchema).describe('Advice in the order it was sent'),
+  count: z.number().int()
+});
+
+/**
+ * Output schema for get_advice_status tool
+ */
+const GetAdviceStatusOutputSchema = z.object({
+  acknowledged: z.boolean().describe('True if the advice was read, or dismissed for any reason but expiry'),
+  advice: AdviceOutputSchema
+});
+
+/**
+ * Output schema for wait_for_advice_ack tool
+ */
+const WaitForAdviceAckOutputSchema = z.object({
+  acknowledged: z.boolean().describe('True if the advice was read, or dismissed for any reason but expiry'),
+  timed_out: z.boolean().describe('True if the advice was still scheduled or unread when timeout_ms ran out'),
+  waited_ms: z.number().int(),
+  advice: AdviceOutputSchema
+});
+
+/**
+ * Output schema for mark_advice_read and dismiss_advice tools
+ */
+const UpdateAdviceOutputSchema = z.object({
+  success: z.boolean(),
+  changed: z.boolean().describe('False if the advice was already read or dismissed'),
+  advice: AdviceOutputSchema
+});
+
+/**
+ * Output schema for retract_advice tool
+ */
+const RetractAdviceOutputSchema = z.object({
+  success: z.boolean(),
+  advice_id: z.string(),
+  target_task_id: z.string(),
+  previous_status: AdviceStatusSchema.describe('Status of the advice when it was retracted')
+});
+
+/**
+ * Handle read_messages tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleReadMessages(args: z.output<typeof ReadMessagesSchema>): Promise<ToolResponse> {
+  const { task_id, limit, before_ts, after_ts, cursor } = args;
+  
+  // Decode the cursor from a previous page, if any
+  let decodedCursor: MessageCursor | undefined;
+  if (cursor) {
+    const parsedCursor = decodeMessageCursor(cursor);
+    if (!parsedCursor || (task_id && !parseActiveTaskReference(task_id) && task_id !== parsedCursor.task_id)) {
+      throw new ToolError(
+        ToolErrorCode.INVALID_ARGUMENTS,
+        `Invalid cursor${parsedCursor ? ` for task ${task_id}` : ''}.`,
+        { recommendation: 'Pass the next_cursor value exactly as returned by the previous read_messages call.' }
+      );
+    }
+    decodedCursor = parsedCursor;
+  }
+  
+  // A cursor pins the task it was issued for; active labels are resolved, any other task ID is accepted
+  let taskId = decodedCursor ? decodedCursor.task_id : task_id;
+  if (!taskId || parseActiveTaskReference(taskId)) {
+    const labeledTask = await getActiveTaskWithCache(taskId);
+    if (!labeledTask) {
+      throw new ToolError(ToolErrorCode.NO_ACTIVE_TASK, 'No active conversation found.');
+    }
+    taskId = labeledTask.id;
+  }
+
+  const taskLocation = await findTaskAcrossPaths(taskId);
+  if (!taskLocation) {
+    throw new ToolError(ToolErrorCode.TASK_NOT_FOUND, `Task ${taskId} not found.`);
+  }
+
+  const activeTask = await getActiveTaskWithCache(taskId);
+  const uiFilePath = path.join(taskLocation.taskDir, 'ui_messages.json');
+  
+  if (!await fs.pathExists(uiFilePath)) {
+    throw new ToolError(ToolErrorCode.FILE_NOT_FOUND, `UI messages file not found for task ${taskId}`, {
+      details: { attempted_path: uiFilePath }
+    });
+  }
+
+  // Parse the whole conversation (cached until the file changes), then select the requested page
+  let allMessages: Message[];
+  try {
+    allMessages = await readAllConversationMessages(uiFilePath, true);
+  } catch (error) {
+    const classified = toToolError(error);
+    const details: Record<string, unknown> = {
+      attempted_path: uiFilePath,
+      directory_exists: await fs.pathExists(path.dirname(uiFilePath)),
+      raw_error: (error as Error).message
+    };
+    
+    try {
+      details.file_permissions = (await fs.stat(uiFilePath)).mode.toString(8);
+    } catch (statError) {
+      details.file_permissions = 'unknown';
+    }
+    
+    throw new ToolError(
+      classified.code === ToolErrorCode.INTERNAL_ERROR ? ToolErrorCode.READ_ERROR : classified.code,
+      `Failed to read messages for task ${taskId}`,
+      { retryable: classified.retryable, details, cause: error }
+    );
+  }
+
+  if (allMessages.length === 0) {
+    throw new ToolError(ToolErrorCode.FILE_NOT_FOUND, `No messages found in UI file for task ${taskId}`, {
+      recommendation: 'The UI messages file exists but contains no messages.',
+      details: {
+        attempted_path: uiFilePath,
+        file_size: (await fs.stat(uiFilePath)).size
+      }
+    });
+  }
+
+  const page = paginateMessages(allMessages, taskId, {
+    limit,
+    beforeTs: before_ts,
+    afterTs: after_ts,
+    cursor: decodedCursor
+  });
+
+  // Transform messages for Claude Desktop compatibility
+  const transformedMessages = standardizeMessageContent(page.messages);
+  
+  return toolResult({
+    task_id: taskId,
+    is_active_task: activeTask !== undefined,
+    active_label: activeTask?.label,
+    message_count: transformedMessages.length,
+    total_messages: allMessages.length,
+    has_more: page.hasMore,
+    next_cursor: page.nextCursor ? encodeMessageCursor(page.nextCursor) : null,
+    messages: transformedMessages
+  });
+}
+
+/**
+ * Handle get_active_task tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleGetActiveTask(args: z.output<typeof GetActiveTaskSchema>): Promise<ToolResponse> {
+  const { label } = args;
+  
+  // Get active tasks with caching
+  const activeTasks = await getAllActiveTasksWithCache(label);
+  
+  return toolResult({
+    active_tasks: activeTasks,
+    count: activeTasks.length,
+    message: activeTasks.length === 0 ? 
+      (label ? `No conversation marked as Active ${label} was found.` : 'No active conversations found.') : 
+      undefined
+  });
+}
+
+/**
+ * Handle set_active_task tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleSetActiveTask(args: z.output<typeof SetActiveTaskSchema>): Promise<ToolResponse> {
+  const { label, task_id, clear } = args;
+  
+  if (!clear && !await validateTaskExists(task_id!)) {
+    throw new ToolError(ToolErrorCode.TASK_NOT_FOUND, `Task ${task_id} not found.`);
+  }
+  
+  let change;
+  try {
+    change = await setActiveTaskLabel(label, clear ? null : task_id!);
+  } catch (error) {
+    // Never overwrite an active tasks file that cannot be parsed; it may be mid-write by Cline
+    if (error instanceof SyntaxError) {
+      throw new ToolError(ToolErrorCode.PARSE_ERROR, `active_tasks.json is not valid JSON: ${error.message}`, {
+        recommendation: 'Retry in a moment; if the error persists, fix or remove active_tasks.json.',
+        retryable: true,
+        cause: error
+      });
+    }
+    if (error instanceof ActiveTasksConflictError) {
+      throw new ToolError(ToolErrorCode.WRITE_ERROR, `active_tasks.json kept changing while the label was being set: ${error.message}`, {
+        recommendation: 'Cline is updating its active tasks; retry in a moment.',
+        retryable: true,
+        details: { active_tasks_file: error.filePath },
+        cause: error
+      });
+    }
+    const classified = toToolError(error);
+    if (classified.code !== ToolErrorCode.INTERNAL_ERROR) {
+      throw classified;
+    }
+    throw new ToolError(ToolErrorCode.WRITE_ERROR, `Failed to update active_tasks.json: ${(error as Error).message}`, { cause: error });
+  }
+  
+  return toolResult({
+    label: change.label,
+    task_id: change.taskId,
+    previous_task_id: change.previousTaskId,
+    replaced_label: change.replacedLabel,
+    last_activated: change.lastActivated,
+    active_tasks: change.activeTasks,
+    active_tasks_file: change.filePath
+  });
+}
+
+/**
+ * Generate an advice ID
+ * @param prefix ID prefix
+ * @returns Unique ID, also used as the advice file name
+ */
+function generateAdviceId(prefix: string = 'advice'): string {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
+}
+
+/**
+ * Create an advice from the message arguments
+ * @param args Arguments with the AdviceMessageShape fields; a plain message takes precedence
+ * @param fields ID, thread and any other fields to record
+ * @returns Advice to write into a task
+ */
+function createAdvice(
+  args: {
+    message?: string;
+    title?: string;
+    content?: string;
+    type: ExternalAdvice['type'];
+    priority: ExternalAdvice['priority'];
+    source_task_id?: string;
+    deliver_after?: number;
+    expires_at?: number;
+  },
+  fields: { id: string; thread_id: string; [key: string]: unknown }
+): ExternalAdvice {
+  const message = args.message !== undefined
+    ? { content: args.message }
+    : { content: args.content!, title: args.title, type: args.type, priority: args.priority };
+  
+  return {
+    ...fields,
+    ...message,
+    source_task_id: args.source_task_id,
+    timestamp: Date.now(),
+    deliver_after: args.deliver_after,
+    expires_at: args.expires_at,
+    read: false
+  };
+}
+
+/**
+ * Write an advice into its target task, or into its Scheduled folder if deliver_after is ahead
+ * @param targetTaskId Target task ID
+ * @param advice Advice to write
+ * @param options Attachments to resolve against the target task, and abort signal
+ * @returns True if the advice was scheduled rather than delivered
+ * @throws ToolError TASK_NOT_FOUND, INVALID_ARGUMENTS (attachment), TIMEOUT_ERROR or WRITE_ERROR
+ */
+async function deliverAdvice(
+  targetTaskId: string,
+  advice: ExternalAdvice,
+  options: { attachments?: AdviceAttachmentInput[]; signal?: AbortSignal } = {}
+): Promise<boolean> {
+  // Validate target task exists with timeout
+  const targetTaskExists = await Promise.race([
+    validateTaskExists(targetTaskId),
+    new Promise<boolean>((_, reject) => 
+      setTimeout(() => reject(new ToolError(ToolErrorCode.TIMEOUT_ERROR, 'Operation timed out: Timeout validating target task')), config.errorHandling.timeout)
+    )
+  ]);
+  
+  if (!targetTaskExists) {
+    throw new ToolError(ToolErrorCode.TASK_NOT_FOUND, `Target task ${targetTaskId} not found.`);
+  }
+  
+  // Log the target task directory path
+  const tasksDir = await getTasksDirectoryForTask(targetTaskId);
+  const taskDir = path.join(tasksDir, targetTaskId);
+  logDebug(`[send_external_advice] Writing to task directory: ${taskDir}`);
+  
+  // Attachments are checked against the target task, e.g. its workspace
+  if (options.attachments?.length) {
+    try {
+      advice = {
+        ...advice,
+        attachments: await resolveAdviceAttachments(options.attachments, tasksDir, targetTaskId, { signal: options.signal })
+      };
+    } catch (error) {
+      if (error instanceof AdviceAttachmentError) {
+        throw new ToolError(ToolErrorCode.INVALID_ARGUMENTS, error.message, {
+          recommendation: 'Fix or remove the attachment and send the advice again.',
+          details: { attachment: error.index, target_task_id: targetTaskId },
+          cause: error
+        });
+      }
+      throw error;
+    }
+  }
+  
+  // Write advice to target task
+  const scheduled = !isAdviceDue(advice);
+  try {
+    if (scheduled) {
+      await scheduleAdvice(taskDir, advice);
+    } else {
+      await writeAdviceToTask(targetTaskId, advice);
+    }
+  } catch (error) {
+    throw new ToolError(ToolErrorCode.WRITE_ERROR, `Failed to write advice to task ${targetTaskId}: ${(error as Error).message}`, {
+      details: { task_dir: taskDir },
+      cause: error
+    });
+  }
+  
+  // Wake the scheduler when the advice falls due or expires
+  const dueAt = scheduled ? advice.deliver_after : advice.expires_at;
+  if (dueAt !== undefined) {
+    notifyAdviceDue(dueAt);
+  }
+  return scheduled;
+}
+
+/**
+ * Handle send_external_advice tool call
+ * @param args Validated tool arguments
+ * @param context Cancellation signal
+ * @returns Tool response
+ */
+async function handleSendExternalAdvice(args: z.output<typeof SendExternalAdviceSchema>, context: ToolContext): Promise<ToolResponse> {
+  const { target_task_id, in_reply_to } = args;
+  
+  // Replies join the thread of the advice they answer
+  let threadId = args.thread_id;
+  if (in_reply_to) {
+    const parent = await findAdvice(in_reply_to);
+    if (!parent) {
+      throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice ${in_reply_to} to reply to not found.`);
+    }
+    const parentThreadId = getAdviceThreadId(parent.advice);
+    if (threadId && threadId !== parentThreadId) {
+      throw new ToolError(ToolErrorCode.INVALID_ARGUMENTS, `Advice ${in_reply_to} belongs to thread ${parentThreadId}, not ${threadId}.`, {
+        recommendation: 'Omit thread_id when replying; the reply joins the thread of in_reply_to.'
+      });
+    }
+    threadId = parentThreadId;
+  }
+  
+  // Advice that starts a thread names it
+  const adviceId = generateAdviceId();
+  threadId = threadId || adviceId;
+  
+  const scheduled = await deliverAdvice(target_task_id, createAdvice(args, { id: adviceId, thread_id: threadId, in_reply_to }), {
+    attachments: args.attachments,
+    signal: context.signal
+  });
+  
+  return toolResult({
+    success: true,
+    advice_id: adviceId,
+    target_task_id,
+    thread_id: threadId,
+    in_reply_to,
+    scheduled
+  });
+}
+
+/**
+ * Handle broadcast_advice tool call
+ * Every target gets its own advice file; a failed target does not stop the others
+ * @param args Validated tool arguments
+ * @param context Cancellation signal and progress reporter (tasks scanned for the workspace)
+ * @returns Tool response
+ */
+async function handleBroadcastAdvice(args: z.output<typeof BroadcastAdviceSchema>, context: ToolContext): Promise<ToolResponse> {
+  const { active, labels, workspace, task_ids, source_task_id } = args;
+  
+  // Collect targets from every selector, in order and without duplicates
+  const targets = new Set<string>(task_ids);
+  let unmatchedLabels: string[] | undefined;
+  
+  if (active || labels?.length) {
+    const activeTasks = await getAllActiveTasksWithCache();
+    for (const task of activeTasks) {
+      if (active || labels!.includes(task.label)) {
+        targets.add(task.id);
+      }
+    }
+    unmatchedLabels = labels?.filter(label => !activeTasks.some(task => task.label === label));
+  }
+  
+  if (workspace) {
+    const workspaceTasks = await findTasksInWorkspace(getVSCodeTasksDirectory(), workspace, {
+      signal: context.signal,
+      onProgress: context.reportProgress
+    });
+    for (const { taskId } of workspaceTasks) {
+      targets.add(taskId);
+    }
+  }
+  
+  // The sending task does not advise itself
+  if (source_task_id) {
+    targets.delete(source_task_id);
+  }
+  
+  // Every copy shares one thread, so replies from all targets can be followed together
+  const broadcastId = generateAdviceId('broadcast');
+  const threadId = args.thread_id || broadcastId;
+  
+  const results: z.output<typeof BroadcastAdviceOutputSchema>['results'] = [];
+  for (const targetTaskId of targets) {
+    throwIfAborted(context.signal);
+    const adviceId = generateAdviceId();
+    try {
+      const scheduled = await deliverAdvice(targetTaskId, createAdvice(args, { id: adviceId, thread_id: threadId, broadcast_id: broadcastId }), {
+        attachments: args.attachments,
+        signal: context.signal
+      });
+      results.push({ target_task_id: targetTaskId, success: true, advice_id: adviceId, scheduled });
+    } catch (error) {
+      const toolError = toToolError(error);
+      logWarning(`[broadcast_advice] Failed to send advice to task ${targetTaskId}: ${toolError.message}`);
+      results.push({ target_task_id: targetTaskId, success: false, error_code: toolError.code, error: toolError.message });
+    }
+  }
+  
+  const succeeded = results.filter(result => result.success);
+  const delivered = succeeded.length;
+  
+  return toolResult({
+    broadcast_id: broadcastId,
+    thread_id: threadId,
+    scheduled: delivered > 0 && succeeded.every(result => result.scheduled),
+    target_count: results.length,
+    delivered,
+    failed: results.length - delivered,
+    results,
+    unmatched_labels: unmatchedLabels?.length ? unmatchedLabels : undefined,
+    message: results.length === 0 ? 'No tasks matched the targets.' : undefined
+  });
+}
+
+/**
+ * Handle list_tasks tool call
+ * @param options Validated tool arguments
+ * @returns Tool response
  */
-enum ServerErrorCode {
-  UNKNOWN_TOOL = 'UNKNOWN_TOOL',
-  INVALID_ARGUMENTS = 'INVALID_ARGUMENTS',
-  INTERNAL_ERROR = 'INTERNAL_ERROR'
+async function handleListTasks(options: z.output<typeof ListTasksSchema>): Promise<ToolResponse> {
+  // Scan every storage root
+  const tasksDirs = getVSCodeTasksDirectory();
+  const { tasks, total } = await queryTasks(tasksDirs, {
+    createdAfter: options.created_after,
+    createdBefore: options.created_before,
+    modifiedAfter: options.modified_after,
+    modifiedBefore: options.modified_before,
+    minSizeBytes: options.min_size_bytes,
+    maxSizeBytes: options.max_size_bytes,
+    hasUiMessages: options.has_ui_messages,
+    extensionType: options.extension_type,
+    source: options.source,
+    sortBy: options.sort_by,
+    order: options.order,
+    offset: options.offset,
+    limit: options.limit
+  });
+  
+  // Mark tasks that currently carry an active label
+  const activeTasks = await getAllActiveTasksWithCache();
+  const activeLabels = new Map(activeTasks.map(task => [task.id, task.label]));
+  
+  const nextOffset = options.offset + tasks.length;
+  
+  return toolResult({
+    tasks: tasks.map(task => ({
+      task_id: task.id,
+      created: new Date(task.createdMs).toISOString(),
+      modified: new Date(task.modifiedMs).toISOString(),
+      has_api_conversation: task.hasApiConversation,
+      has_ui_messages: task.hasUiMessages,
+      api_file_size: task.apiFileSize,
+      ui_file_size: task.uiFileSize,
+      total_size_bytes: task.totalSizeBytes,
+      extension_type: task.extensionType,
+      editor: task.editor,
+      source: task.source,
+      active_label: activeLabels.get(task.id),
+      tasks_dir: task.tasksDir
+    })),
+    count: tasks.length,
+    total,
+    offset: options.offset,
+    next_offset: nextOffset < total ? nextOffset : null,
+    storage_roots: tasksDirs
+  });
 }
 
 /**
- * Schema for read_last_messages tool
+ * Handle get_task_summary tool call
+ * @param args Validated tool arguments
+ * @param context Cancellation signal and progress reporter (bytes read)
+ * @returns Tool response
  */
-const ReadLastMessagesSchema = z.object({
-  task_id: z.union([
-    z.string().describe('Task ID (timestamp) of the conversation. If not provided, uses the active conversation. Special values: "ACTIVE_A" or "ACTIVE_B" to explicitly request active tasks.'),
-    z.literal('ACTIVE_A').describe('Explicitly request the conversation marked as Active A'),
-    z.literal('ACTIVE_B').describe('Explicitly request the conversation marked as Active B')
-  ]).optional()
-});
+async function handleGetTaskSummary(args: z.output<typeof GetTaskSummarySchema>, context: ToolContext): Promise<ToolResponse> {
+  const { task_id } = args;
+  
+  // Resolve active labels, otherwise accept any task ID
+  let taskId = task_id;
+  if (!taskId || parseActiveTaskReference(taskId)) {
+    const activeTask = await getActiveTaskWithCache(taskId);
+    if (!activeTask) {
+      throw new ToolError(ToolErrorCode.NO_ACTIVE_TASK, 'No active conversation found.');
+    }
+    taskId = activeTask.id;
+  }
+  
+  const taskLocation = await findTaskAcrossPaths(taskId);
+  if (!taskLocation) {
+    throw new ToolError(ToolErrorCode.TASK_NOT_FOUND, `Task ${taskId} not found.`);
+  }
+  
+  const summary = await getTaskSummary(taskLocation.basePath, taskId, {
+    signal: context.signal,
+    onProgress: context.reportProgress
+  });
+  
+  return toolResult({
+    task_id: summary.id,
+    extension_type: summary.extensionType,
+    editor: summary.editor,
+    source: summary.source,
+    created: new Date(summary.created).toISOString(),
+    modified: new Date(summary.modified).toISOString(),
+    first_timestamp: summary.firstTimestamp,
+    last_timestamp: summary.lastTimestamp,
+    duration_ms: summary.duration,
+    files: {
+      api_conversation: summary.hasApiConversation ? {
+        size: summary.apiFileSize,
+        size_bytes: summary.apiFileSizeBytes
+      } : null,
+      ui_messages: summary.hasUiMessages ? {
+        size: summary.uiFileSize,
+        size_bytes: summary.uiFileSizeBytes
+      } : null
+    },
+    api_messages: {
+      total: summary.totalMessages,
+      human: summary.totalHumanMessages,
+      assistant: summary.totalAssistantMessages,
+      by_role: summary.messagesByRole
+    },
+    ui_messages: {
+      total: summary.totalUiMessages,
+      by_say: summary.uiMessagesByType.say,
+      by_ask: summary.uiMessagesByType.ask
+    },
+    preview_messages: summary.previewMessages
+  });
+}
 
 /**
- * Schema for read_last_40_messages tool
+ * Handle search_conversations tool call
+ * @param options Validated tool arguments
+ * @param context Cancellation signal and progress reporter (bytes read)
+ * @returns Tool response
  */
-const ReadLast40MessagesSchema = z.object({
-  task_id: z.union([
-    z.string().describe('Task ID (timestamp) of the conversation. If not provided, uses the active conversation. Special values: "ACTIVE_A" or "ACTIVE_B" to explicitly request active tasks.'),
-    z.literal('ACTIVE_A').describe('Explicitly request the conversation marked as Active A'),
-    z.literal('ACTIVE_B').describe('Explicitly request the conversation marked as Active B')
-  ]).optional()
-});
+async function handleSearchConversations(options: z.output<typeof SearchConversationsSchema>, context: ToolContext): Promise<ToolResponse> {
+  let search;
+  try {
+    search = await searchConversations(options.query, {
+      regex: options.regex,
+      caseSensitive: options.case_sensitive,
+      roles: options.roles,
+      messageTypes: options.message_types,
+      sources: options.sources,
+      since: options.since,
+      until: options.until,
+      taskIds: options.task_ids,
+      limit: options.limit,
+      signal: context.signal,
+      onProgress: context.reportProgress
+    });
+  } catch (error) {
+    // An invalid regular expression is a caller error, not a server failure
+    if ((error as Error).message.startsWith('Invalid search query')) {
+      throw new ToolError(ToolErrorCode.INVALID_ARGUMENTS, (error as Error).message, {
+        recommendation: 'Fix the regular expression, or set regex to false to search for the literal text.',
+        cause: error
+      });
+    }
+    throw error;
+  }
+  
+  return toolResult({
+    results: search.results.map(result => ({
+      task_id: result.taskId,
+      task_source: result.taskSource,
+      timestamp: result.timestamp,
+      role: result.role,
+      source: result.source,
+      message_type: result.messageType,
+      message_index: result.messageIndex,
+      snippet: result.snippet
+    })),
+    count: search.results.length,
+    tasks_searched: search.tasksSearched,
+    truncated: search.truncated
+  });
+}
 
 /**
- * Schema for get_active_task tool
+ * Handle ranked_search tool call
+ * @param options Validated tool arguments
+ * @param context Cancellation signal and progress reporter (tasks checked while updating the index)
+ * @returns Tool response
  */
-const GetActiveTaskSchema = z.object({
-  label: z.enum(['A', 'B']).optional().describe('Optional label (A, B) to filter by')
-});
+async function handleRankedSearch(options: z.output<typeof RankedSearchSchema>, context: ToolContext): Promise<ToolResponse> {
+  const startTime = Date.now();
+  let search;
+  try {
+    search = await rankedSearch(options.query, {
+      roles: options.roles,
+      sources: options.sources,
+      since: options.since,
+      until: options.until,
+      taskIds: options.task_ids,
+      limit: options.limit,
+      includeSnippets: options.include_snippets,
+      signal: context.signal,
+      onProgress: context.reportProgress
+    });
+  } catch (error) {
+    // Failures other than file access point at an out-of-sync or corrupted index
+    const classified = toToolError(error);
+    if (classified.code !== ToolErrorCode.INTERNAL_ERROR) {
+      throw classified;
+    }
+    throw new ToolError(ToolErrorCode.SEARCH_INDEX_ERROR, `Search index error: ${(error as Error).message}`, { cause: error });
+  }
+  const { results, totalMatches, update } = search;
+  
+  return toolResult({
+    results: results.map(result => ({
+      task_id: result.taskId,
+      task_source: result.taskSource,
+      score: result.score,
+      timestamp: result.timestamp,
+      role: result.role,
+      source: result.source,
+      message_type: result.messageType,
+      message_index: result.messageIndex,
+      snippet: result.snippet
+    })),
+    count: results.length,
+    total_matches: totalMatches,
+    index: {
+      tasks_indexed: update.tasksIndexed,
+      tasks_updated: update.tasksUpdated,
+      tasks_removed: update.tasksRemoved,
+      documents: update.documents,
+      update_ms: update.durationMs
+    },
+    duration_ms: Date.now() - startTime
+  });
+}
 
 /**
- * Schema for send_external_advice tool
+ * Handle rebuild_search_index tool call
+ * @param args Validated tool arguments (none)
+ * @param context Cancellation signal and progress reporter (tasks indexed)
+ * @returns Tool response
  */
-const SendExternalAdviceSchema = z.union([
-  z.object({
-    target_task_id: z.string().describe('Task ID of the target conversation'),
-    message: z.string().min(1).max(10000).describe('The advice message to send'),
-    source_task_id: z.string().optional().describe('Task ID of the source conversation')
-  }),
-  z.object({
-    target_task_id: z.string().describe('Task ID of the target conversation'),
-    title: z.string().min(1).max(200).describe('Message title/summary'),
-    content: z.string().min(1).max(10000).describe('The advice message content'),
-    type: z.enum(['info', 'warning', 'error']).default('info').describe('Message type'),
-    priority: z.enum(['low', 'medium', 'high']).default('medium').describe('Message priority'),
-    source_task_id: z.string().optional().describe('Task ID of the source conversation')
-  })
-]);
+async function handleRebuildSearchIndex(args: z.output<typeof RebuildSearchIndexSchema>, context: ToolContext): Promise<ToolResponse> {
+  const update = await rebuildSearchIndex({
+    signal: context.signal,
+    onProgress: context.reportProgress
+  });
+  
+  return toolResult({
+    success: true,
+    tasks_indexed: update.tasksIndexed,
+    documents: update.documents,
+    terms: update.terms,
+    duration_ms: update.durationMs,
+    index_path: update.indexPath
+  });
+}
 
 /**
- * Handle read_last_messages tool call
- * @param args Tool arguments
+ * Handle recover_crashed_conversation tool call
+ * @param args Validated tool arguments
+ * @param context Cancellation signal and progress reporter (recovery phases completed)
  * @returns Tool response
  */
-async function handleReadLastMessages(args: unknown): Promise<any> {
-  try {
-    // Parse and validate arguments
-    const { task_id } = ReadLastMessagesSchema.parse(args);
-    
-    // Get active task with caching
-    const activeTask = await getActiveTaskWithCache(task_id);
-    if (!activeTask) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: ActiveTaskErrorCode.TASK_NOT_FOUND,
-              error: `No active conversation found.`,
-              recommendation: "Please open VS Code and mark a conversation as active."
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
+async function handleRecoverCrashedConversation(args: z.output<typeof RecoverCrashedConversationSchema>, context: ToolContext): Promise<ToolResponse> {
+  const { task_id, max_length, include_code_snippets, save_report } = args;
+  
+  // Resolve the conversation file across all task directories
+  const taskLocation = await findTaskAcrossPaths(task_id);
+  if (!taskLocation) {
+    throw new ToolError(ToolErrorCode.TASK_NOT_FOUND, `Task ${task_id} not found.`);
+  }
+  
+  const apiFilePath = getTaskApiConversationFilePath(taskLocation.basePath, task_id);
+  if (!await fs.pathExists(apiFilePath)) {
+    throw new ToolError(ToolErrorCode.FILE_NOT_FOUND, `API conversation file not found for task ${task_id}`, {
+      recommendation: 'The conversation has no API history to recover from.',
+      details: { attempted_path: apiFilePath }
+    });
+  }
+  
+  // Recover the conversation and format it for resuming
+  logInfo(`Recovering crashed conversation for task ${task_id} from ${apiFilePath}`);
+  const recovered = await recoverCrashedConversation(apiFilePath, max_length, include_code_snippets, {
+    signal: context.signal,
+    onProgress: context.reportProgress
+  });
+  const formattedMessage = formatRecoveredContext(recovered);
+  
+  // Persist the crash report
+  const report: CrashReport = createCrashReport(task_id, recovered, formattedMessage);
+  const reportPath = save_report ? await saveCrashReport(report, taskLocation.root.crashReportsDir) : undefined;
+  
+  return toolResult({
+    task_id,
+    report_id: save_report ? report.id : undefined,
+    report_path: reportPath,
+    recovery_confidence: recovered.recovery_confidence,
+    message_count: recovered.message_count,
+    main_topic: recovered.main_topic,
+    current_status: recovered.current_status,
+    active_files: recovered.active_files,
+    open_questions: recovered.open_questions,
+    formatted_message: formattedMessage
+  });
+}
 
-    const uiFilePath = path.join(path.dirname(await getApiConversationFilePath(activeTask.id)), 'ui_messages.json');
-    let messages: Message[] = [];
-    
-    try {
-      if (!await fs.pathExists(uiFilePath)) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                error_code: FileErrorCode.FILE_NOT_FOUND,
-                error: `UI messages file not found for task ${activeTask.id}`,
-                details: {
-                  attempted_path: uiFilePath,
-                  recommendation: "The conversation may not exist or may be corrupted."
-                }
-              }, null, 2),
-            },
-          ],
-          isError: true,
-        };
-      }
+/**
+ * Handle list_crash_reports tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleListCrashReports(args: z.output<typeof ListCrashReportsSchema>): Promise<ToolResponse> {
+  const { task_id, include_dismissed } = args;
+  
+  const reports = await listCrashReports({ taskId: task_id, includeDismissed: include_dismissed });
+  
+  return toolResult({
+    crash_reports: reports,
+    count: reports.length,
+    message: reports.length === 0 ? 'No crash reports found.' : undefined
+  });
+}
 
-      const uiContent = await fs.readFile(uiFilePath, 'utf8');
-      messages = parseConversationContent(uiContent, config.messages.defaultLimit, true);
-
-      // If no messages found, return error
-      if (messages.length === 0) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                error_code: FileErrorCode.FILE_NOT_FOUND,
-                error: `No messages found in UI file for task ${activeTask.id}`,
-                details: {
-                  attempted_path: uiFilePath,
-                  file_exists: await fs.pathExists(uiFilePath),
-                  file_size: (await fs.stat(uiFilePath)).size,
-                  recommendation: "The UI messages file exists but contains no messages."
-                }
-              }, null, 2),
-            },
-          ],
-          isError: true,
-        };
-      }
+/**
+ * Handle dismiss_crash_report tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleDismissCrashReport(args: z.output<typeof DismissCrashReportSchema>): Promise<ToolResponse> {
+  const { report_id } = args;
+  
+  const dismissedPath = await dismissCrashReport(report_id);
+  if (!dismissedPath) {
+    throw new ToolError(ToolErrorCode.CRASH_REPORT_NOT_FOUND, `Crash report ${report_id} not found.`);
+  }
+  
+  return toolResult({
+    success: true,
+    report_id,
+    dismissed_path: dismissedPath
+  });
+}
 
-      // Transform messages for Claude Desktop compatibility
-      const transformedMessages = standardizeMessageContent(messages);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              task_id: activeTask.id,
-              is_active_task: true,
-              active_label: activeTask.label,
-              message_count: transformedMessages.length,
-              messages: transformedMessages
-            }, null, 2),
-          },
-        ],
-      };
-    } catch (error) {
-      const errorDetails: any = {
-        attempted_path: uiFilePath,
-        directory_exists: await fs.pathExists(path.dirname(uiFilePath)),
-        raw_error: (error as Error).message
-      };
-      
-      try {
-        errorDetails.file_permissions = (await fs.stat(uiFilePath)).mode.toString(8);
-      } catch (statError) {
-        errorDetails.file_permissions = "unknown";
-      }
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: FileErrorCode.FILE_NOT_FOUND,
-              error: `Failed to read messages for task ${activeTask.id}`,
-              details: {
-                ...errorDetails,
-                recommendations: [
-                  "Verify the file exists at the expected path", 
-                  "Check file permissions and ownership",
-                  "Ensure the file is valid JSON format"
-                ]
-              }
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
-    } catch (error) {
-      // Handle outer errors (argument parsing, etc)
-      if (error instanceof z.ZodError) {
-        logError(ServerErrorCode.INVALID_ARGUMENTS, `Invalid arguments for read_last_messages: ${error.message}`);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                error_code: ServerErrorCode.INVALID_ARGUMENTS,
-                error: `Invalid arguments: ${error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ')}`
-              }, null, 2),
-            },
-          ],
-          isError: true,
-        };
-      }
-      
-      logError(ServerErrorCode.INTERNAL_ERROR, `Error in read_last_messages: ${(error as Error).message}`);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: ServerErrorCode.INTERNAL_ERROR,
-              error: `Error: ${(error as Error).message}`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
+/**
+ * Convert an advice entry to its tool output form
+ * @param entry Advice entry
+ * @returns Advice as described by AdviceOutputSchema
+ */
+function formatAdvice(entry: AdviceEntry): z.output<typeof AdviceOutputSchema> {
+  const { advice } = entry;
+  return {
+    advice_id: advice.id,
+    target_task_id: entry.targetTaskId,
+    source_task_id: advice.source_task_id,
+    thread_id: getAdviceThreadId(advice),
+    in_reply_to: advice.in_reply_to,
+    title: advice.title,
+    content: advice.content,
+    type: advice.type,
+    priority: getAdvicePriority(advice),
+    timestamp: advice.timestamp,
+    deliver_after: advice.deliver_after,
+    delivered_at: advice.delivered_at,
+    expires_at: advice.expires_at,
+    status: entry.status,
+    read_at: advice.read_at,
+    read_by: advice.read_by,
+    dismissed_at: advice.dismissed_at,
+    dismissed_by: advice.dismissed_by,
+    dismissed_reason: advice.dismissed_reason,
+    attachments: advice.attachments,
+    task_source: entry.taskSource,
+    path: entry.path
+  };
 }
 
 /**
- * Handle read_last_40_messages tool call
- * @param args Tool arguments
+ * Handle list_external_advice tool call
+ * @param args Validated tool arguments
  * @returns Tool response
  */
-async function handleReadLast40Messages(args: unknown): Promise<any> {
-  try {
-    // Parse and validate arguments
-    const { task_id } = ReadLast40MessagesSchema.parse(args);
-    
-    // Get active task with caching
-    const activeTask = await getActiveTaskWithCache(task_id);
-    if (!activeTask) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: ActiveTaskErrorCode.TASK_NOT_FOUND,
-              error: `No active conversation found.`,
-              recommendation: "Please open VS Code and mark a conversation as active."
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
-    
-    // Get UI messages file path
-    const uiFilePath = path.join(path.dirname(await getApiConversationFilePath(activeTask.id)), 'ui_messages.json');
-    
-    // Check if UI messages file exists
-    if (!await fs.pathExists(uiFilePath)) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: FileErrorCode.FILE_NOT_FOUND,
-              error: `UI messages file not found for task ${activeTask.id}`,
-              details: {
-                attempted_path: uiFilePath,
-                recommendation: "The conversation may not exist or may be corrupted."
-              }
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
+async function handleListExternalAdvice(args: z.output<typeof ListExternalAdviceSchema>): Promise<ToolResponse> {
+  const { target_task_id, source_task_id, thread_id, status, priority, offset, limit } = args;
+  
+  const entries = await listAdvice({
+    targetTaskId: target_task_id,
+    sourceTaskId: source_task_id,
+    threadId: thread_id,
+    statuses: status,
+    priorities: priority
+  });
+  
+  const page = entries.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+  
+  return toolResult({
+    advice: page.map(formatAdvice),
+    count: page.length,
+    total: entries.length,
+    offset,
+    next_offset: nextOffset < entries.length ? nextOffset : null,
+    message: entries.length === 0 ? 'No advice found.' : undefined
+  });
+}
 
-    // Read and parse UI messages with 40 message limit
-    const uiContent = await fs.readFile(uiFilePath, 'utf8');
-    const messages = parseConversationContent(uiContent, config.messages.extendedLimit, true);
-
-    if (messages.length === 0) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: FileErrorCode.FILE_NOT_FOUND,
-              error: `No messages found in UI file for task ${activeTask.id}`,
-              details: {
-                attempted_path: uiFilePath,
-                file_size: (await fs.stat(uiFilePath)).size,
-                recommendation: "The conversation file exists but contains no messages."
-              }
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
-    
-    // Transform messages for Claude Desktop compatibility
-    const transformedMessages = standardizeMessageContent(messages);
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            task_id: activeTask.id,
-            is_active_task: true,
-            active_label: activeTask.label,
-            message_count: transformedMessages.length,
-            messages: transformedMessages
-          }, null, 2),
-        },
-      ],
-    };
-  } catch (error) {
-    // Handle errors with proper error codes
-    if (error instanceof z.ZodError) {
-      logError(ServerErrorCode.INVALID_ARGUMENTS, `Invalid arguments for read_last_40_messages: ${error.message}`);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: ServerErrorCode.INVALID_ARGUMENTS,
-              error: `Invalid arguments: ${error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ')}`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
-    
-    logError(ServerErrorCode.INTERNAL_ERROR, `Error in read_last_40_messages: ${(error as Error).message}`);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            error_code: ServerErrorCode.INTERNAL_ERROR,
-            error: `Error: ${(error as Error).message}`
-          }, null, 2),
-        },
-      ],
-      isError: true,
-    };
+/**
+ * Handle mark_advice_read tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleMarkAdviceRead(args: z.output<typeof MarkAdviceReadSchema>): Promise<ToolResponse> {
+  const { advice_id, target_task_id, read_by } = args;
+  
+  const existing = await findAdvice(advice_id, target_task_id);
+  if (!existing) {
+    throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice ${advice_id} not found.`);
   }
+  
+  const entry = await markAdviceRead(advice_id, { targetTaskId: existing.targetTaskId, readBy: read_by });
+  if (!entry) {
+    throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice ${advice_id} not found.`);
+  }
+  
+  return toolResult({
+    success: true,
+    changed: existing.status === 'unread',
+    advice: formatAdvice(entry)
+  });
 }
 
 /**
- * Handle get_active_task tool call
- * @param args Tool arguments
+ * Handle dismiss_advice tool call
+ * @param args Validated tool arguments
  * @returns Tool response
  */
-async function handleGetActiveTask(args: unknown): Promise<any> {
-  try {
-    // Parse and validate arguments
-    const { label } = GetActiveTaskSchema.parse(args);
-    
-    // Get active tasks with caching
-    const activeTasks = await getAllActiveTasksWithCache(label);
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            active_tasks: activeTasks,
-            count: activeTasks.length,
-            message: activeTasks.length === 0 ? 
-              (label ? `No conversation marked as Active ${label} was found.` : 'No active conversations found.') : 
-              undefined
-          }, null, 2),
-        },
-      ],
-    };
-  } catch (error) {
-    // Handle errors with proper error codes
-    if (error instanceof z.ZodError) {
-      logError(ServerErrorCode.INVALID_ARGUMENTS, `Invalid arguments for get_active_task: ${error.message}`);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: ServerErrorCode.INVALID_ARGUMENTS,
-              error: `Invalid arguments: ${error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ')}`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
-    
-    logError(ServerErrorCode.INTERNAL_ERROR, `Error in get_active_task: ${(error as Error).message}`);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            error_code: ServerErrorCode.INTERNAL_ERROR,
-            error: `Error: ${(error as Error).message}`
-          }, null, 2),
-        },
-      ],
-      isError: true,
-    };
+async function handleDismissAdvice(args: z.output<typeof DismissAdviceSchema>): Promise<ToolResponse> {
+  const { advice_id, target_task_id, dismissed_by, reason } = args;
+  
+  const existing = await findAdvice(advice_id, target_task_id);
+  if (!existing) {
+    throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice ${advice_id} not found.`);
   }
+  
+  const entry = await dismissAdvice(advice_id, { targetTaskId: existing.targetTaskId, dismissedBy: dismissed_by, reason });
+  if (!entry) {
+    throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice ${advice_id} not found.`);
+  }
+  
+  return toolResult({
+    success: true,
+    changed: existing.status !== 'dismissed',
+    advice: formatAdvice(entry)
+  });
 }
 
 /**
- * Handle send_external_advice tool call
- * @param args Tool arguments
+ * Handle retract_advice tool call
+ * @param args Validated tool arguments
  * @returns Tool response
  */
-async function handleSendExternalAdvice(args: unknown): Promise<any> {
-  try {
-    // Type definitions for message formats
-    type SimpleMessage = {
-      message: string;
-      target_task_id: string;
-      source_task_id?: string;
-    };
+async function handleRetractAdvice(args: z.output<typeof RetractAdviceSchema>): Promise<ToolResponse> {
+  const { advice_id, target_task_id, source_task_id } = args;
+  
+  const existing = await findAdvice(advice_id, target_task_id);
+  if (!existing) {
+    throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice ${advice_id} not found.`);
+  }
+  
+  // Only the sending task may retract when it identifies itself
+  if (source_task_id && existing.advice.source_task_id !== source_task_id) {
+    throw new ToolError(ToolErrorCode.INVALID_ARGUMENTS, `Advice ${advice_id} was not sent from task ${source_task_id}.`, {
+      recommendation: 'Pass the source_task_id the advice was sent with, or omit it.',
+      details: { source_task_id: existing.advice.source_task_id ?? null }
+    });
+  }
+  
+  const entry = await retractAdvice(advice_id, { targetTaskId: existing.targetTaskId });
+  if (!entry) {
+    throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice ${advice_id} not found.`);
+  }
+  
+  return toolResult({
+    success: true,
+    advice_id,
+    target_task_id: entry.targetTaskId,
+    previous_status: entry.status
+  });
+}
 
-    type StructuredMessage = {
-      content: string;
-      title: string;
-      type: 'info' | 'warning' | 'error';
-      priority: 'low' | 'medium' | 'high';
-      target_task_id: string;
-      source_task_id?: string;
-    };
+/**
+ * Handle get_advice_status tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleGetAdviceStatus(args: z.output<typeof GetAdviceStatusSchema>): Promise<ToolResponse> {
+  const { advice_id, target_task_id } = args;
+  
+  const entry = await findAdvice(advice_id, target_task_id);
+  if (!entry) {
+    throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice ${advice_id} not found.`);
+  }
+  
+  return toolResult({
+    acknowledged: isAdviceAcknowledged(entry),
+    advice: formatAdvice(entry)
+  });
+}
 
-    // Parse and validate arguments
-    const parsedArgs = SendExternalAdviceSchema.parse(args) as SimpleMessage | StructuredMessage;
-    const { target_task_id, source_task_id } = parsedArgs;
-    
-    // Handle both message formats
-    const isSimpleMessage = (msg: any): msg is SimpleMessage => 'message' in msg;
-    const message = isSimpleMessage(parsedArgs) ? parsedArgs.message : parsedArgs.content;
-    
-    // Validate target task exists with timeout
-    const targetTaskExists = await Promise.race([
-      validateTaskExists(target_task_id),
-      new Promise<boolean>((_, reject) => 
-        setTimeout(() => reject(new Error('Timeout validating target task')), config.errorHandling.timeout)
-      )
-    ]);
-    
-    if (!targetTaskExists) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: ActiveTaskErrorCode.TASK_NOT_FOUND,
-              error: `Target task ${target_task_id} not found.`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
+/**
+ * Handle wait_for_advice_ack tool call
+ * @param args Validated tool arguments
+ * @param context Cancellation signal and progress reporter (milliseconds waited)
+ * @returns Tool response
+ */
+async function handleWaitForAdviceAck(args: z.output<typeof WaitForAdviceAckSchema>, context: ToolContext): Promise<ToolResponse> {
+  const { advice_id, target_task_id, timeout_ms } = args;
+  const startedAt = Date.now();
+  
+  const { entry, settled } = await waitForAdviceAck(advice_id, {
+    targetTaskId: target_task_id,
+    timeoutMs: timeout_ms,
+    signal: context.signal,
+    onProgress: context.reportProgress
+  });
+  if (!entry) {
+    throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice ${advice_id} not found; it may have been retracted.`);
+  }
+  
+  return toolResult({
+    acknowledged: isAdviceAcknowledged(entry),
+    timed_out: !settled,
+    waited_ms: Date.now() - startedAt,
+    advice: formatAdvice(entry)
+  });
+}
+
+/**
+ * Handle get_advice_thread tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleGetAdviceThread(args: z.output<typeof GetAdviceThreadSchema>): Promise<ToolResponse> {
+  let threadId = args.thread_id;
+  if (!threadId) {
+    const entry = await findAdvice(args.advice_id!);
+    if (!entry) {
+      throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice ${args.advice_id} not found.`);
     }
-    
-    // Generate advice ID
-    const adviceId = `advice-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
-    
-    // Create advice object - handle both formats
-    const advice = isSimpleMessage(parsedArgs)
-      ? {
-          id: adviceId,
-          content: parsedArgs.message,
-          source_task_id: source_task_id,
-          timestamp: Date.now(),
-          read: false
-        }
-      : {
-          id: adviceId,
-          content: parsedArgs.content,
-          title: parsedArgs.title,
-          type: parsedArgs.type,
-          priority: parsedArgs.priority,
-          source_task_id: source_task_id,
-          timestamp: Date.now(),
-          read: false
-        };
-    
-    // Log the target task directory path
-    const tasksDir = await getTasksDirectoryForTask(target_task_id);
-    const taskDir = path.join(tasksDir, target_task_id);
-    logDebug(`[send_external_advice] Writing to task directory: ${taskDir}`);
-    
-    // Write advice to target task
-    await writeAdviceToTask(target_task_id, advice);
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            success: true,
-            advice_id: adviceId,
-            target_task_id
-          }, null, 2),
-        },
-      ],
-    };
-  } catch (error) {
-    // Handle timeout errors specifically
-    if ((error as Error).message.includes('Timeout')) {
-      logError(FileErrorCode.TIMEOUT_ERROR, `Timeout in send_external_advice: ${(error as Error).message}`);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: FileErrorCode.TIMEOUT_ERROR,
-              error: `Operation timed out: ${(error as Error).message}`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
+    threadId = getAdviceThreadId(entry.advice);
+  }
+  
+  const entries = await getAdviceThread(threadId);
+  if (entries.length === 0) {
+    throw new ToolError(ToolErrorCode.ADVICE_NOT_FOUND, `Advice thread ${threadId} not found.`);
+  }
+  
+  // Senders and recipients, in the order they joined the thread
+  const participants = new Set<string>();
+  for (const { advice, targetTaskId } of entries) {
+    if (advice.source_task_id) {
+      participants.add(advice.source_task_id);
     }
+    participants.add(targetTaskId);
+  }
+  
+  return toolResult({
+    thread_id: threadId,
+    participants: [...participants],
+    advice: entries.map(formatAdvice),
+    count: entries.length
+  });
+}
+
+/**
+ * Core tools, in the order they are listed
+ */
+const coreTools: ToolDefinition[] = [
+  defineTool({
+    name: config.tools.readMessages,
+    description: 'Read conversation messages page by page, newest first. Returns up to `limit` messages (oldest first within the page) and a next_cursor for fetching older messages. If no task_id is provided, uses the active conversation.',
+    inputSchema: ReadMessagesSchema,
+    outputSchema: ReadMessagesOutputSchema,
+    handler: handleReadMessages
+  }),
+  defineTool({
+    name: config.tools.getActiveTask,
+    description: 'Get the active task(s)',
+    inputSchema: GetActiveTaskSchema,
+    outputSchema: GetActiveTaskOutputSchema,
+    handler: handleGetActiveTask
+  }),
+  defineTool({
+    name: config.tools.setActiveTask,
+    description: 'Mark a task as active with a label, move a label to another task, or clear a label. Updates lastActivated and writes active_tasks.json atomically under a lock, so orchestrating agents can switch focus between tasks without VS Code.',
+    inputSchema: SetActiveTaskSchema,
+    outputSchema: SetActiveTaskOutputSchema,
+    handler: handleSetActiveTask
+  }),
+  defineTool({
+    name: config.tools.sendExternalAdvice,
+    description: 'Send advice to another conversation (supports both simple and structured formats). Pass in_reply_to to answer an advice in its thread; the returned thread_id identifies the exchange for get_advice_thread. Pass deliver_after to hold the advice back until a time, and expires_at to dismiss it if it is still unread by then. Attach files, snippets, diffs and message links with attachments.',
+    inputSchema: SendExternalAdviceSchema,
+    outputSchema: SendExternalAdviceOutputSchema,
+    handler: handleSendExternalAdvice
+  }),
+  defineTool({
+    name: config.tools.broadcastAdvice,
+    description: 'Send the same advice to several tasks at once: every task with an active label, the tasks carrying given labels, every task started in a workspace directory, and/or a list of task IDs. Writes one advice file per target and returns the result for each target; all copies share one thread.',
+    inputSchema: BroadcastAdviceSchema,
+    outputSchema: BroadcastAdviceOutputSchema,
+    handler: handleBroadcastAdvice
+  }),
+  defineTool({
+    name: config.tools.listTasks,
+    description: 'List all Cline, Roo Code and Cline Ultra tasks across every storage root (VS Code, Insiders, VSCodium, Cursor, Windsurf), not only the active ones. Each task reports its source. Supports filtering by date range, size, presence of ui_messages.json, extension type and source, sorting and paging.',
+    inputSchema: ListTasksSchema,
+    outputSchema: ListTasksOutputSchema,
+    handler: handleListTasks
+  }),
+  defineTool({
+    name: config.tools.getTaskSummary,
+    description: 'Summarize any task in a single pass over its files: message counts by role and by UI say/ask type, first and last timestamps, duration, preview messages and file sizes',
+    inputSchema: GetTaskSummarySchema,
+    outputSchema: GetTaskSummaryOutputSchema,
+    handler: handleGetTaskSummary
+  }),
+  defineTool({
+    name: config.tools.searchConversations,
+    description: 'Search the UI messages and API history of all tasks, newest first. Supports literal or regex matching and filters by role, UI message type, source file, date range and task. Returns the task ID, timestamp, role and a context snippet for each match.',
+    inputSchema: SearchConversationsSchema,
+    outputSchema: SearchConversationsOutputSchema,
+    handler: handleSearchConversations
+  }),
+  defineTool({
+    name: config.tools.rankedSearch,
+    description: 'Ranked (BM25) full-text search over a persistent index of every task\'s messages. Much faster than search_conversations on large histories; only tasks whose files changed since the last query are re-indexed. Returns the best matching messages with their score, task ID, timestamp and role.',
+    inputSchema: RankedSearchSchema,
+    outputSchema: RankedSearchOutputSchema,
+    handler: handleRankedSearch
+  }),
+  defineTool({
+    name: config.tools.rebuildSearchIndex,
+    description: 'Discard the persistent search index and re-index every task. Use when ranked_search results look out of sync.',
+    inputSchema: RebuildSearchIndexSchema,
+    outputSchema: RebuildSearchIndexOutputSchema,
+    handler: handleRebuildSearchIndex
+  }),
+  defineTool({
+    name: config.tools.recoverCrashedConversation,
+    description: 'Recover a crashed conversation by task ID. Returns a formatted recovery message for resuming the work and saves a crash report into crashReports/.',
+    inputSchema: RecoverCrashedConversationSchema,
+    outputSchema: RecoverCrashedConversationOutputSchema,
+    handler: handleRecoverCrashedConversation
+  }),
+  defineTool({
+    name: config.tools.listCrashReports,
+    description: 'List saved crash reports, newest first',
+    inputSchema: ListCrashReportsSchema,
+    outputSchema: ListCrashReportsOutputSchema,
+    handler: handleListCrashReports
+  }),
+  defineTool({
+    name: config.tools.dismissCrashReport,
+    description: 'Dismiss a crash report by moving it into crashReports/Dismissed',
+    inputSchema: DismissCrashReportSchema,
+    outputSchema: DismissCrashReportOutputSchema,
+    handler: handleDismissCrashReport
+  }),
+  defineTool({
+    name: config.tools.listExternalAdvice,
+    description: 'List advice sent to tasks with send_external_advice, newest first, across every task and storage root. Filter by target task, source task, status (scheduled, unread, read, dismissed) and priority.',
+    inputSchema: ListExternalAdviceSchema,
+    outputSchema: ListExternalAdviceOutputSchema,
+    handler: handleListExternalAdvice
+  }),
+  defineTool({
+    name: config.tools.markAdviceRead,
+    description: 'Mark an advice as read, recording who read it and when',
+    inputSchema: MarkAdviceReadSchema,
+    outputSchema: UpdateAdviceOutputSchema,
+    handler: handleMarkAdviceRead
+  }),
+  defineTool({
+    name: config.tools.dismissAdvice,
+    description: 'Dismiss an advice by moving it into external-advice/Dismissed, recording who dismissed it, when and why. Dismissing scheduled advice cancels its delivery.',
+    inputSchema: DismissAdviceSchema,
+    outputSchema: UpdateAdviceOutputSchema,
+    handler: handleDismissAdvice
+  }),
+  defineTool({
+    name: config.tools.retractAdvice,
+    description: 'Retract an advice sent with send_external_advice by deleting it from the target task, whether or not it was read. Pass source_task_id to only retract advice sent from that task.',
+    inputSchema: RetractAdviceSchema,
+    outputSchema: RetractAdviceOutputSchema,
+    handler: handleRetractAdvice
+  }),
+  defineTool({
+    name: config.tools.getAdviceThread,
+    description: 'Get a thread of advice exchanged between tasks, in the order it was sent, from the external-advice folders of every task involved. Identify the thread by thread_id or by any of its advice IDs.',
+    inputSchema: GetAdviceThreadSchema,
+    outputSchema: GetAdviceThreadOutputSchema,
+    handler: handleGetAdviceThread
+  }),
+  defineTool({
+    name: config.tools.getAdviceStatus,
+    description: 'Check whether an advice was picked up: its status (scheduled, unread, read or dismissed), and acknowledged if it was read or dismissed for any reason but expiry.',
+    inputSchema: GetAdviceStatusSchema,
+    outputSchema: GetAdviceStatusOutputSchema,
+    handler: handleGetAdviceStatus
+  }),
+  defineTool({
+    name: config.tools.waitForAdviceAck,
+    description: 'Wait until an advice is read or dismissed, watching its file, for up to timeout_ms. Returns at once if that already happened. Use it to block until guidance sent with send_external_advice has been picked up; check acknowledged and timed_out in the result.',
+    inputSchema: WaitForAdviceAckSchema,
+    outputSchema: WaitForAdviceAckOutputSchema,
+    handler: handleWaitForAdviceAck
+  })
+];
+
+/**
+ * Load the VS Code monitoring tools if they are enabled in the configuration
+ * The module is imported lazily so a build without its JavaScript helpers still starts
+ * @returns Tool declarations, or null if disabled or unavailable
+ */
+async function loadVSCodeMonitoringTools(): Promise<ToolDefinition[] | null> {
+  if (!config.vscodeMonitoring.enabled) {
+    logDebug('VS Code monitoring tools disabled');
+    return null;
+  }
+  
+  try {
+    const { vscodeMonitoringTools } = await import('./vscode-monitoring.js');
     
-    // Handle validation errors
-    if (error instanceof z.ZodError) {
-      logError(ServerErrorCode.INVALID_ARGUMENTS, `Invalid arguments for send_external_advice: ${error.message}`);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: ServerErrorCode.INVALID_ARGUMENTS,
-              error: `Invalid arguments: ${error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ')}`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
+    logInfo('VS Code monitoring tools enabled');
+    return vscodeMonitoringTools;
+  } catch (error) {
+    logWarning(`VS Code monitoring tools unavailable: ${(error as Error).message}`);
+    return null;
+  }
+}
+
+/**
+ * Keep the tools that config.toolAccess offers to clients
+ * Names in the configuration that match no tool are reported, since they are likely typos
+ * @param tools Available tool declarations
+ * @returns Enabled tool declarations
+ */
+function selectEnabledTools(tools: ToolDefinition[]): ToolDefinition[] {
+  const { enabled = [], disabled } = config.toolAccess;
+  const available = new Set(tools.map(tool => tool.name));
+  
+  for (const name of [...enabled, ...disabled]) {
+    if (!available.has(name)) {
+      logWarning(`Unknown tool "${name}" in toolAccess configuration`);
     }
-    
-    // Handle other errors
-    logError(ServerErrorCode.INTERNAL_ERROR, `Error in send_external_advice: ${(error as Error).message}`);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            error_code: ServerErrorCode.INTERNAL_ERROR,
-            error: `Error: ${(error as Error).message}`
-          }, null, 2),
-        },
-      ],
-      isError: true,
-    };
   }
+  
+  return tools.filter(tool => isToolEnabled(tool.name));
 }
 
 /**
@@ -620,26 +1973,18 @@ export async function initMcpServer(): Promise<Server> {
     },
     {
       capabilities: {
-        resources: {},
+        resources: {
+          subscribe: true,
+          listChanged: true,
+        },
         tools: {},
         prompts: {},
       },
     }
   );
 
-  // Handle resources/list requests (empty)
-  server.setRequestHandler(ListResourcesRequestSchema, async () => {
-    return {
-      resources: []
-    };
-  });
-
-  // Handle resource templates (empty)
-  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
-    return {
-      resourceTemplates: []
-    };
-  });
+  // Handle resources/list, resources/templates/list and resources/read requests
+  registerClineResources(server);
 
   // Handle prompts/list requests (empty)
   server.setRequestHandler(ListPromptsRequestSchema, async () => {
@@ -648,169 +1993,14 @@ export async function initMcpServer(): Promise<Server> {
     };
   });
 
-  // Define available tools
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-      tools: [
-        {
-          name: config.tools.readLastMessages,
-          description: 'Retrieve the last 20 messages from a conversation. If no task_id is provided, uses the active conversation.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              task_id: {
-                type: 'string',
-                description: 'Task ID (timestamp) of the conversation. If not provided, uses the active conversation. Special values: "ACTIVE_A" or "ACTIVE_B" to explicitly request active tasks.'
-              }
-            },
-            required: []
-          }
-        },
-        {
-          name: config.tools.readLast40Messages,
-          description: 'Retrieve the last 40 messages from a conversation for more context. If no task_id is provided, uses the active conversation.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              task_id: {
-                type: 'string',
-                description: 'Task ID (timestamp) of the conversation. If not provided, uses the active conversation. Special values: "ACTIVE_A" or "ACTIVE_B" to explicitly request active tasks.'
-              }
-            },
-            required: []
-          }
-        },
-        {
-          name: config.tools.getActiveTask,
-          description: 'Get the active task(s)',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              label: {
-                type: 'string',
-                description: 'Optional label (A, B) to filter by'
-              }
-            },
-            required: []
-          }
-        },
-        {
-          name: config.tools.sendExternalAdvice,
-          description: 'Send advice to another conversation (supports both simple and structured formats)',
-          inputSchema: {
-            oneOf: [
-              {
-                type: 'object',
-                properties: {
-                  target_task_id: {
-                    type: 'string',
-                    description: 'Task ID of the target conversation'
-                  },
-                  message: {
-                    type: 'string',
-                    description: 'The advice message to send'
-                  },
-                  source_task_id: {
-                    type: 'string',
-                    description: 'Task ID of the source conversation'
-                  }
-                },
-                required: ['target_task_id', 'message']
-              },
-              {
-                type: 'object',
-                properties: {
-                  target_task_id: {
-                    type: 'string',
-                    description: 'Task ID of the target conversation'
-                  },
-                  title: {
-                    type: 'string',
-                    description: 'Message title/summary'
-                  },
-                  content: {
-                    type: 'string',
-                    description: 'The advice message content'
-                  },
-                  type: {
-                    type: 'string',
-                    enum: ['info', 'warning', 'error'],
-                    description: 'Message type'
-                  },
-                  priority: {
-                    type: 'string',
-                    enum: ['low', 'medium', 'high'],
-                    description: 'Message priority'
-                  },
-                  source_task_id: {
-                    type: 'string',
-                    description: 'Task ID of the source conversation'
-                  }
-                },
-                required: ['target_task_id', 'title', 'content']
-              }
-            ]
-          }
-        }
-      ]
-    };
-  });
+  // Load optional tool groups
+  const vscodeMonitoringTools = await loadVSCodeMonitoringTools();
 
-  // Handle tool calls
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
-    
-    try {
-      switch (name) {
-        case config.tools.readLastMessages:
-          return await handleReadLastMessages(args);
-          
-        case config.tools.readLast40Messages:
-          return await handleReadLast40Messages(args);
-          
-        case config.tools.getActiveTask:
-          return await handleGetActiveTask(args);
-          
-        case config.tools.sendExternalAdvice:
-          return await handleSendExternalAdvice(args);
-          
-        default:
-          throw new McpError(
-            ErrorCode.MethodNotFound,
-            `Unknown tool: ${name}`
-          );
-      }
-    } catch (error) {
-      logError(`Error executing tool ${name} (${ServerErrorCode.INTERNAL_ERROR}): ${(error as Error).message}`, error);
-      
-      // Return formatted error
-      if (error instanceof McpError) {
-        throw error;
-      }
-      
-      if (error instanceof z.ZodError) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          `Invalid arguments: ${error.errors
-            .map((e) => `${e.path.join(".")}: ${e.message}`)
-            .join(", ")}`
-        );
-      }
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error_code: ServerErrorCode.INTERNAL_ERROR,
-              error: `Error: ${(error as Error).message}`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
-  });
+  // Handle tools/list and tools/call from the tool declarations
+  registerTools(server, selectEnabledTools([
+    ...coreTools,
+    ...(vscodeMonitoringTools || [])
+  ]));
 
   // Return the server instance
   return server;
@@ -818,36 +2008,62 @@ export async function initMcpServer(): Promise<Server> {
 
 /**
  * Start the MCP server
+ * @param options Transport to run on; stdio unless --transport http was given
  */
-export async function startMcpServer() {
+export async function startMcpServer(options: ServerStartOptions = { transport: 'stdio', port: config.http.port }) {
   try {
     // Initialize diagnostic logger
-    const logLevel = process.env.LOG_LEVEL ? parseInt(process.env.LOG_LEVEL, 10) : LogLevel.INFO;
+    const logLevel = LogLevel[config.logging.level.toUpperCase() as keyof typeof LogLevel];
     initDiagnosticLogger(logLevel);
+    if (!config.logging.console) {
+      disableConsoleLogging();
+    }
     logInfo(`Starting MCP server with log level ${LogLevel[logLevel]} (${logLevel})`);
+    logInfo(config.configFile ? `Configuration file: ${config.configFile}` : 'No configuration file; using defaults and environment variables');
     
-    // Initialize MCP server
-    const server = await initMcpServer();
+    let shutdown: () => Promise<void>;
+    
+    if (options.transport === 'http') {
+      // One MCP server per client session, sharing this process's caches
+      const httpServer = await startHttpServer(initMcpServer, {
+        port: options.port,
+        host: config.http.host,
+        token: options.token
+      });
+      shutdown = httpServer.close;
+      
+      logInfo(`Cline Chat Reader MCP server listening on ${httpServer.url}`);
+      if (!options.token) {
+        logWarning('No bearer token set; any local process can connect. Use --token or CLINE_MCP_HTTP_TOKEN to require one.');
+      }
+    } else {
+      // Initialize MCP server
+      const server = await initMcpServer();
+      
+      // Connect to transport
+      const transport = new StdioServerTransport();
+      await server.connect(transport);
+      shutdown = () => server.close();
+      
+      logInfo('Cline Chat Reader MCP server running on stdio');
+    }
     
-    // Connect to transport
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
+    // Deliver scheduled advice and expire stale advice while the server runs
+    startAdviceScheduler();
     
-    logInfo('Cline Chat Reader MCP server running on stdio');
     logInfo(`Version: ${config.version}`);
-    logInfo('Supporting four essential tools:');
-    logInfo(`- ${config.tools.readLastMessages}`);
-    logInfo(`- ${config.tools.readLast40Messages}`);
-    logInfo(`- ${config.tools.getActiveTask}`);
-    logInfo(`- ${config.tools.sendExternalAdvice}`);
+    logInfo('Supporting tools:');
+    Object.values(config.tools).filter(isToolEnabled).forEach(tool => logInfo(`- ${tool}`));
     
     // Handle process termination
     process.on('SIGINT', async () => {
       logInfo('Shutting down server...');
+      stopAdviceScheduler();
+      await shutdown().catch(() => undefined);
       process.exit(0);
     });
   } catch (error) {
-    logError(`Error starting MCP server (${ServerErrorCode.INTERNAL_ERROR}): ${(error as Error).message}`, error);
+    logError(`Error starting MCP server (${ToolErrorCode.INTERNAL_ERROR}): ${(error as Error).message}`, error);
     process.exit(1);
   }
 }
@@ -16,7 +16,9 @@ export interface TaskMetadata {
   uiFileSize: string;         // Human-readable UI file size
   apiFileSizeBytes: number;   // API file size in bytes
   uiFileSizeBytes: number;    // UI file size in bytes
-  extensionType: string;      // Type of extension: 'Cline Ultra' or 'Cline Regular'
+  extensionType: string;      // Extension the task belongs to, e.g. 'Cline' or 'Roo Code'
+  editor: string;             // Editor the task belongs to, e.g. 'VS Code' or 'Cursor'
+  source: string;             // Storage root, <editor ID>/<extension ID>
 }
 
 /**
@@ -59,21 +61,32 @@ export type Message = TextMessage | ObjectMessage;
  */
 export interface SearchResult {
   taskId: string;
+  taskSource?: string;        // Storage root of the task
   timestamp?: number;
   role: MessageRole;
+  source: 'ui' | 'api';       // File the match was found in
+  messageType?: string;       // UI say/ask type
+  messageIndex: number;       // Position of the message in its file
   snippet: string;
-  message: Message;
 }
 
 /**
  * Task summary with conversation statistics
  */
 export interface TaskSummary extends TaskMetadata {
-  totalMessages: number;
-  totalHumanMessages: number;
+  totalMessages: number;          // Messages in api_conversation_history.json
+  totalHumanMessages: number;     // API messages with role 'human' or 'user'
   totalAssistantMessages: number;
-  previewMessages: Message[];
-  duration: number | null;
+  messagesByRole: Record<string, number>;
+  totalUiMessages: number;        // Messages in ui_messages.json
+  uiMessagesByType: {             // UI message counts by say/ask type
+    say: Record<string, number>;
+    ask: Record<string, number>;
+  };
+  firstTimestamp: number | null;
+  lastTimestamp: number | null;
+  previewMessages: Message[];     // First and last few API messages
+  duration: number | null;        // Milliseconds between first and last message
   sampleFirst: Message | null;
   sampleLast: Message | null;
 }
@@ -0,0 +1,253 @@
+/**
+ * Advice attachments for the Cline Chat Reader MCP Server
+ *
+ * Structured advice can carry typed attachments, stored in the attachments array of the advice
+ * JSON: a file in the target task's workspace with an optional line range, a code snippet, a
+ * unified diff generated with git, or a link to a message in another task. Attachments are
+ * resolved against each target task before the advice is written, so the receiving agent only
+ * gets references it can follow.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { config } from '../config.js';
+import { findTaskAcrossPaths, getUiMessagesFilePath } from '../utils/paths.js';
+import { forEachJsonArrayItem, StreamOptions } from '../utils/json-streaming.js';
+import { isAbortError } from '../utils/cancellation.js';
+import { getTaskWorkspace } from './task-service.js';
+
+// Length of the message text kept with a message link
+const MESSAGE_PREVIEW_LENGTH = 200;
+
+/**
+ * Attachment as passed to send_external_advice or broadcast_advice
+ */
+export type AdviceAttachmentInput =
+  | { type: 'file'; path: string; start_line?: number; end_line?: number }
+  | { type: 'snippet'; language: string; code: string; caption?: string }
+  | { type: 'diff'; path: string; old_ref?: string; new_ref?: string }
+  | { type: 'message'; task_id: string; ts: number };
+
+/**
+ * Attachment as stored in the advice; file and diff paths are relative to the target task's workspace
+ */
+export type AdviceAttachment =
+  | { type: 'file'; path: string; start_line?: number; end_line?: number }
+  | { type: 'snippet'; language: string; code: string; caption?: string }
+  | { type: 'diff'; path: string; old_ref?: string; new_ref?: string; command: string; diff: string }
+  | { type: 'message'; task_id: string; ts: number; message_type?: string; preview?: string };
+
+/**
+ * Error for an attachment that cannot be resolved for a target task
+ */
+export class AdviceAttachmentError extends Error {
+  constructor(message: string, public readonly index: number) {
+    super(message);
+    this.name = 'AdviceAttachmentError';
+  }
+}
+
+/**
+ * Resolve a path against a workspace, following symbolic links
+ * @param workspace Workspace directory
+ * @param filePath Path relative to the workspace, or absolute
+ * @returns Absolute path and path relative to the workspace (with forward slashes)
+ * @throws Error if the path does not exist or is outside the workspace
+ */
+async function resolveWorkspacePath(workspace: string, filePath: string): Promise<{ absolutePath: string; relativePath: string }> {
+  const requested = path.resolve(workspace, filePath);
+  if (!await fs.pathExists(requested)) {
+    throw new Error(`${filePath} does not exist in the workspace ${workspace}`);
+  }
+
+  const [realWorkspace, absolutePath] = await Promise.all([fs.realpath(workspace), fs.realpath(requested)]);
+  const relativePath = path.relative(realWorkspace, absolutePath);
+  if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    throw new Error(`${filePath} is outside the workspace ${workspace}`);
+  }
+
+  return { absolutePath, relativePath: relativePath.split(path.sep).join('/') };
+}
+
+/**
+ * Check that text fits the attachment size limit
+ * @param text Attachment text
+ * @param what What the text is, for the error message
+ * @throws Error if the text exceeds config.advice.maxAttachmentBytes
+ */
+function checkAttachmentSize(text: string, what: string): void {
+  const size = Buffer.byteLength(text, 'utf8');
+  if (size > config.advice.maxAttachmentBytes) {
+    throw new Error(`${what} is ${size} bytes, more than the limit of ${config.advice.maxAttachmentBytes} bytes`);
+  }
+}
+
+/**
+ * Resolve a file reference
+ * @param attachment File attachment
+ * @param workspace Workspace of the target task
+ * @returns Stored attachment; a missing end_line is the start_line
+ */
+async function resolveFileAttachment(
+  attachment: Extract<AdviceAttachmentInput, { type: 'file' }>,
+  workspace: string
+): Promise<AdviceAttachment> {
+  const { absolutePath, relativePath } = await resolveWorkspacePath(workspace, attachment.path);
+  if (!(await fs.stat(absolutePath)).isFile()) {
+    throw new Error(`${attachment.path} is not a file`);
+  }
+
+  if (attachment.start_line === undefined && attachment.end_line === undefined) {
+    return { type: 'file', path: relativePath };
+  }
+
+  const startLine = attachment.start_line ?? 1;
+  const endLine = attachment.end_line ?? startLine;
+  // A newline at the end of the file does not start another line
+  const text = await fs.readFile(absolutePath, 'utf8');
+  const lineCount = text ? text.replace(/\r?\n$/, '').split(/\r?\n/).length : 0;
+  if (endLine > lineCount) {
+    throw new Error(`Line ${endLine} is past the end of ${relativePath} (${lineCount} lines)`);
+  }
+
+  return { type: 'file', path: relativePath, start_line: startLine, end_line: endLine };
+}
+
+/**
+ * Resolve a diff by running git diff in the repository holding the file
+ * @param attachment Diff attachment
+ * @param workspace Workspace of the target task
+ * @returns Stored attachment with the git command and the unified diff
+ */
+async function resolveDiffAttachment(
+  attachment: Extract<AdviceAttachmentInput, { type: 'diff' }>,
+  workspace: string
+): Promise<AdviceAttachment> {
+  // git-analyzer.js is plain JavaScript and may be missing from a build, so it is only loaded when needed
+  let gitAnalyzer: typeof import('../utils/git-analyzer.js');
+  try {
+    gitAnalyzer = await import('../utils/git-analyzer.js');
+  } catch (error) {
+    throw new Error(`Diff attachments are unavailable: ${(error as Error).message}`);
+  }
+
+  const { absolutePath, relativePath } = await resolveWorkspacePath(workspace, attachment.path);
+  const repoPath = gitAnalyzer.findGitRepository(absolutePath);
+  if (!repoPath) {
+    throw new Error(`${relativePath} is not in a Git repository`);
+  }
+
+  const result = await gitAnalyzer.getGitDiff(repoPath, absolutePath, attachment.old_ref, attachment.new_ref);
+  if (!result.isGitRepo || result.rawDiff === undefined) {
+    throw new Error(`git diff failed for ${relativePath}: ${result.error || 'not a Git repository'}`);
+  }
+  if (!result.rawDiff.trim()) {
+    throw new Error(`git diff found no changes in ${relativePath}`);
+  }
+  checkAttachmentSize(result.rawDiff, `The diff of ${relativePath}`);
+
+  return {
+    type: 'diff',
+    path: relativePath,
+    old_ref: attachment.old_ref,
+    new_ref: attachment.new_ref,
+    command: result.command!,
+    diff: result.rawDiff
+  };
+}
+
+/**
+ * Resolve a link to a UI message of a task
+ * @param attachment Message attachment
+ * @param options Abort signal
+ * @returns Stored attachment with the message's say/ask type and the start of its text
+ */
+async function resolveMessageAttachment(
+  attachment: Extract<AdviceAttachmentInput, { type: 'message' }>,
+  options: StreamOptions
+): Promise<AdviceAttachment> {
+  const taskLocation = await findTaskAcrossPaths(attachment.task_id);
+  if (!taskLocation) {
+    throw new Error(`Task ${attachment.task_id} not found`);
+  }
+
+  const uiFilePath = getUiMessagesFilePath(taskLocation.basePath, attachment.task_id);
+  if (!await fs.pathExists(uiFilePath)) {
+    throw new Error(`Task ${attachment.task_id} has no UI messages`);
+  }
+
+  let message: { ts?: number; say?: string; ask?: string; text?: string } | undefined;
+  await forEachJsonArrayItem<{ ts?: number; say?: string; ask?: string; text?: string }>(uiFilePath, item => {
+    if (item?.ts === attachment.ts) {
+      message = item;
+      return false;
+    }
+  }, options);
+
+  if (!message) {
+    throw new Error(`Task ${attachment.task_id} has no message at ts ${attachment.ts}`);
+  }
+
+  return {
+    type: 'message',
+    task_id: attachment.task_id,
+    ts: attachment.ts,
+    message_type: message.say || message.ask,
+    preview: typeof message.text === 'string' ? message.text.slice(0, MESSAGE_PREVIEW_LENGTH) : undefined
+  };
+}
+
+/**
+ * Resolve attachments for a target task
+ * File and diff paths are checked against the workspace the target task was started in.
+ * @param attachments Attachments as passed to the tool
+ * @param tasksDir Tasks directory of the target task
+ * @param taskId Target task ID
+ * @param options Abort signal
+ * @returns Attachments to store in the advice, in the same order
+ * @throws AdviceAttachmentError naming the first attachment that cannot be resolved
+ */
+export async function resolveAdviceAttachments(
+  attachments: AdviceAttachmentInput[],
+  tasksDir: string,
+  taskId: string,
+  options: StreamOptions = {}
+): Promise<AdviceAttachment[]> {
+  let workspace: string | null | undefined;
+  const resolved: AdviceAttachment[] = [];
+
+  for (const [index, attachment] of attachments.entries()) {
+    try {
+      // The workspace is only looked up if a file or diff needs it
+      if ((attachment.type === 'file' || attachment.type === 'diff') && workspace === undefined) {
+        workspace = await getTaskWorkspace(tasksDir, taskId, options);
+      }
+
+      switch (attachment.type) {
+        case 'file':
+        case 'diff':
+          if (!workspace) {
+            throw new Error(`The workspace of task ${taskId} is unknown, so ${attachment.type} attachments cannot be checked`);
+          }
+          resolved.push(attachment.type === 'file'
+            ? await resolveFileAttachment(attachment, workspace)
+            : await resolveDiffAttachment(attachment, workspace));
+          break;
+        case 'snippet':
+          checkAttachmentSize(attachment.code, 'The snippet');
+          resolved.push({ type: 'snippet', language: attachment.language, code: attachment.code, caption: attachment.caption });
+          break;
+        case 'message':
+          resolved.push(await resolveMessageAttachment(attachment, options));
+          break;
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      throw new AdviceAttachmentError(`Attachment ${index}: ${(error as Error).message}`, index);
+    }
+  }
+
+  return resolved;
+}
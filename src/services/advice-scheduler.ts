@@ -0,0 +1,120 @@
+/**
+ * Advice scheduler for the Cline Chat Reader MCP Server
+ * Delivers scheduled advice and expires unread advice in the background (see processDueAdvice).
+ * After each pass the next pass is timed for the earliest deliver_after or expires_at still ahead,
+ * and never later than config.advice.schedulerIntervalMs, which picks up advice scheduled by other
+ * server processes. Several processes may run the scheduler; each move happens under a file lock.
+ */
+
+import { config } from '../config.js';
+import { processDueAdvice, DueAdviceResult } from '../utils/external-advice.js';
+import { logDebug, logInfo, logWarning } from '../utils/diagnostic-logger.js';
+
+// Pending timer for the next pass and its time, or null while stopped
+let timer: NodeJS.Timeout | null = null;
+let nextPassAt = 0;
+
+// Pass in progress; passes never overlap
+let running: Promise<DueAdviceResult> | null = null;
+
+// Earliest due time reported while a pass was running, which that pass may have missed
+let dueDuringPass: number | null = null;
+
+/**
+ * Return the earlier of two due times
+ * @param a Due time, if any
+ * @param b Due time, if any
+ * @returns The earlier time, or null if neither is set
+ */
+function earliest(a: number | null, b: number | null): number | null {
+  if (a === null) return b;
+  if (b === null) return a;
+  return Math.min(a, b);
+}
+
+/**
+ * Time the next pass
+ * @param dueAt Earliest time an advice is due, if any
+ */
+function scheduleNextPass(dueAt: number | null): void {
+  if (timer) {
+    clearTimeout(timer);
+  }
+
+  const interval = config.advice.schedulerIntervalMs;
+  const delay = dueAt === null ? interval : Math.min(Math.max(dueAt - Date.now(), 0), interval);
+  nextPassAt = Date.now() + delay;
+
+  // The scheduler must not keep the process alive
+  timer = setTimeout(() => {
+    runAdviceScheduler().catch(error => logWarning('Advice scheduler pass failed', error));
+  }, delay);
+  timer.unref();
+  logDebug(`Next advice scheduler pass in ${delay}ms`);
+}
+
+/**
+ * Run one scheduler pass now
+ * A pass already in progress is awaited instead of starting another.
+ * @returns Advice delivered and expired by the pass
+ */
+export async function runAdviceScheduler(): Promise<DueAdviceResult> {
+  if (running) {
+    return running;
+  }
+
+  dueDuringPass = null;
+  running = processDueAdvice();
+  let nextDueAt: number | null = null;
+  try {
+    const result = await running;
+    nextDueAt = result.nextDueAt;
+    return result;
+  } finally {
+    running = null;
+    // A failed pass is retried after the interval
+    if (timer) {
+      scheduleNextPass(earliest(nextDueAt, dueDuringPass));
+    }
+  }
+}
+
+/**
+ * Start running scheduler passes in the background
+ * Does nothing if the scheduler is already running.
+ */
+export function startAdviceScheduler(): void {
+  if (timer) {
+    return;
+  }
+
+  logInfo(`Advice scheduler started (interval ${config.advice.schedulerIntervalMs}ms)`);
+  scheduleNextPass(Date.now());
+}
+
+/**
+ * Stop the background scheduler
+ */
+export function stopAdviceScheduler(): void {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+    logInfo('Advice scheduler stopped');
+  }
+}
+
+/**
+ * Let the scheduler know an advice is due at a time, so it runs a pass then
+ * @param dueAt Time the advice is due (ms since epoch)
+ */
+export function notifyAdviceDue(dueAt: number): void {
+  if (!timer) {
+    return;
+  }
+
+  if (running) {
+    dueDuringPass = earliest(dueDuringPass, dueAt);
+  } else if (dueAt < nextPassAt) {
+    scheduleNextPass(dueAt);
+  }
+}
@@ -4,25 +4,35 @@
  */
 
 import fs from 'fs-extra';
-import { getApiConversationFilePath } from '../utils/paths.js';
+import { 
+  getApiConversationFilePath,
+  getUiMessagesFilePath,
+  getVSCodeTasksDirectory,
+  findTaskAcrossPaths
+} from '../utils/paths.js';
+import { getStorageRootForPath } from '../utils/storage-roots.js';
 import { 
   Message, 
-  UiMessage,
+  MessageRole,
   SearchResult 
 } from '../models/task.js';
 import { 
   streamJsonArray, 
   MessageFilterOptions,
-  searchJsonArray,
-  extractSnippet 
+  forEachJsonArrayItem,
+  extractSnippet,
+  StreamOptions
 } from '../utils/json-streaming.js';
+import { readJsonArray, forEachJsonArrayItemDirect } from '../utils/json-fallback.js';
 import {
-  readJsonArray,
-  searchJsonArrayDirect,
-  countJsonArrayItemsDirect
-} from '../utils/json-fallback.js';
-import { getActiveTasksDataWithCache } from '../utils/active-task.js';
+  formatMessageContent,
+  getUiMessageRole,
+  normalizeMessageRole
+} from '../utils/message-utils.js';
+import { getActiveTasksDataWithCache } from '../utils/active-task-fixed.js';
 import type { ActiveTask } from '../utils/active-task.js';
+import { listTasks } from './task-service.js';
+import { CancellationOptions, isAbortError, throwIfAborted } from '../utils/cancellation.js';
 
 /**
  * Get conversation history for a task with filtering options
@@ -44,9 +54,12 @@ export async function getConversationHistory(
       throw new Error(`Task not found: ${taskId}`);
     }
 
-    // Get standard path for conversation file
-    const tasksDir = '/Users/ant/Library/Application Support/Code/User/globalStorage/saoudrizwan.claude-dev/tasks';
-    const conversationPath = getApiConversationFilePath(tasksDir, taskId);
+    // The task may be in any storage root
+    const taskLocation = await findTaskAcrossPaths(taskId);
+    if (!taskLocation) {
+      throw new Error(`Task directory not found: ${taskId}`);
+    }
+    const conversationPath = getApiConversationFilePath(taskLocation.basePath, taskId);
     
     if (!fs.existsSync(conversationPath)) {
       throw new Error(`api_conversation_history.json not found at ${conversationPath}`);
@@ -69,82 +82,218 @@ export async function getConversationHistory(
 }
 
 /**
- * Search across tasks for specific terms in conversations
- * @param searchTerm Term to search for
- * @param options Search options (limit, maxTasksToSearch)
- * @returns Promise resolving to search results with context
+ * Options for searching conversations
+ */
+export interface ConversationSearchOptions extends CancellationOptions {
+  tasksDirs?: string[];                 // Tasks directories to search (default: all storage roots)
+  regex?: boolean;                      // Treat the search term as a regular expression
+  caseSensitive?: boolean;
+  roles?: MessageRole[];                // Only match messages with these roles
+  messageTypes?: string[];              // Only match UI messages with these say/ask types
+  sources?: Array<'ui' | 'api'>;        // Files to search (default: both)
+  since?: number;                       // Only match messages at or after this time (ms)
+  until?: number;                       // Only match messages at or before this time (ms)
+  taskIds?: string[];                   // Only search these tasks
+  limit?: number;
+  maxTasksToSearch?: number;
+}
+
+/**
+ * Build the matcher for a search term
+ * @param searchTerm Literal text or regular expression source
+ * @param options Whether the term is a regex and whether matching is case sensitive
+ * @returns Regular expression matching the term
+ * @throws Error if the regular expression is invalid
+ */
+export function createSearchMatcher(
+  searchTerm: string,
+  options: { regex?: boolean; caseSensitive?: boolean } = {}
+): RegExp {
+  const source = options.regex ? searchTerm : searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try {
+    return new RegExp(source, options.caseSensitive ? '' : 'i');
+  } catch (error) {
+    throw new Error(`Invalid search query: ${(error as Error).message}`);
+  }
+}
+
+/**
+ * Visit each item of a JSON array file, falling back to a direct read if streaming fails
+ * @param filePath Path to the JSON file
+ * @param results Results collected so far; matches from a failed stream are discarded before retrying
+ * @param onItem Visitor; return false to stop early
+ * @param streamOptions Abort signal and bytes-read callback
+ */
+async function visitJsonArray<T>(
+  filePath: string,
+  results: SearchResult[],
+  onItem: (item: T, index: number) => boolean | void,
+  streamOptions: StreamOptions = {}
+): Promise<void> {
+  const resultCount = results.length;
+  try {
+    await forEachJsonArrayItem<T>(filePath, onItem, streamOptions);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.warn(`Streaming search failed, falling back to direct search: ${(error as Error).message}`);
+    results.length = resultCount;
+    await forEachJsonArrayItemDirect<T>(filePath, onItem, streamOptions);
+  }
+}
+
+/**
+ * Search across all tasks' UI and API history for a term
+ * Tasks are searched newest first; each file is streamed once and the scan stops at the result limit
+ * Progress is reported in bytes read out of the total size of the files to search
+ * @param searchTerm Term or regular expression to search for
+ * @param options Search options (filters, limit, maxTasksToSearch, signal, onProgress)
+ * @returns Promise resolving to search results with context and the number of tasks searched
  */
 export async function searchConversations(
   searchTerm: string, 
-  options: { limit?: number; maxTasksToSearch?: number } = {}
-): Promise<SearchResult[]> {
-  try {
-    if (!searchTerm) {
-      throw new Error('Search term is required');
+  options: ConversationSearchOptions = {}
+): Promise<{ results: SearchResult[]; tasksSearched: number; truncated: boolean }> {
+  if (!searchTerm) {
+    throw new Error('Search term is required');
+  }
+  
+  const matcher = createSearchMatcher(searchTerm, options);
+  const limit = options.limit || 20;
+  const sources = options.sources && options.sources.length > 0 ? options.sources : ['ui', 'api'];
+  const tasksDirs = options.tasksDirs || getVSCodeTasksDirectory();
+  
+  // Collect tasks from every storage root, newest first
+  const tasks: Array<{ id: string; timestamp: number; tasksDir: string; source?: string }> = [];
+  for (const tasksDir of tasksDirs) {
+    const taskIds = await listTasks(tasksDir);
+    const source = getStorageRootForPath(tasksDir)?.source;
+    taskIds.forEach(task => tasks.push({ ...task, tasksDir, source }));
+  }
+  tasks.sort((a, b) => b.timestamp - a.timestamp);
+  
+  const candidates = tasks
+    .filter(task => !options.taskIds || options.taskIds.includes(task.id))
+    // A task cannot contain messages from before it was created
+    .filter(task => options.until === undefined || !task.timestamp || task.timestamp <= options.until)
+    .slice(0, options.maxTasksToSearch || tasks.length);
+  
+  const results: SearchResult[] = [];
+  let tasksSearched = 0;
+  
+  const searchUi = (task: { id: string; tasksDir: string }) => sources.includes('ui') ? getUiMessagesFilePath(task.tasksDir, task.id) : null;
+  const searchApi = (task: { id: string; tasksDir: string }) => sources.includes('api') && !options.messageTypes ? getApiConversationFilePath(task.tasksDir, task.id) : null;
+  
+  // Bytes read from finished files, and the total to read, for progress reporting
+  let bytesDone = 0;
+  let totalBytes = 0;
+  if (options.onProgress) {
+    for (const task of candidates) {
+      for (const filePath of [searchUi(task), searchApi(task)]) {
+        if (filePath) totalBytes += (await fs.stat(filePath).catch(() => null))?.size || 0;
+      }
     }
+  }
+  
+  // Stream options for each file, reporting progress across all files
+  const streamOptions: StreamOptions = {
+    signal: options.signal,
+    onBytesRead: options.onProgress
+      ? bytesRead => options.onProgress!(bytesDone + bytesRead, totalBytes, `Searching ${tasksSearched} of ${candidates.length} tasks`)
+      : undefined
+  };
+  
+  // Count a searched file towards progress
+  const finishFile = async (filePath: string) => {
+    if (!options.onProgress) return;
+    bytesDone += (await fs.stat(filePath).catch(() => null))?.size || 0;
+    options.onProgress(bytesDone, totalBytes, `Searched ${tasksSearched} of ${candidates.length} tasks`);
+  };
+  
+  const inWindow = (ts: number | undefined): boolean => {
+    if (ts === undefined) return options.since === undefined && options.until === undefined;
+    if (options.since !== undefined && ts < options.since) return false;
+    if (options.until !== undefined && ts > options.until) return false;
+    return true;
+  };
+  
+  const addMatch = (text: string, result: Omit<SearchResult, 'snippet'>): boolean => {
+    const match = matcher.exec(text);
+    if (!match) return true;
     
-    const limit = options.limit || 20;
-    const maxTasksToSearch = options.maxTasksToSearch || 10;
+    results.push({ ...result, snippet: extractSnippet(text, match[0]) });
+    return results.length < limit;
+  };
+  
+  for (const task of candidates) {
+    if (results.length >= limit) break;
+    throwIfAborted(options.signal);
+    tasksSearched++;
     
-    const { activeTasks } = await getActiveTasksDataWithCache();
-    const recentTasks = activeTasks
-      .sort((a: ActiveTask, b: ActiveTask) => b.lastActivated - a.lastActivated)
-      .slice(0, maxTasksToSearch);
+    // UI messages
+    const uiFilePath = searchUi(task);
+    if (uiFilePath && fs.existsSync(uiFilePath)) {
+      try {
+        await visitJsonArray<any>(uiFilePath, results, (item, index) => {
+          const role = getUiMessageRole(item);
+          const messageType = item?.type === 'ask' ? item.ask : item?.say;
+          
+          if (options.roles && !options.roles.includes(role)) return;
+          if (options.messageTypes && !options.messageTypes.includes(messageType)) return;
+          if (!inWindow(item?.ts)) return;
+          if (typeof item?.text !== 'string' || !item.text) return;
+          
+          return addMatch(item.text, {
+            taskId: task.id,
+            taskSource: task.source,
+            timestamp: item.ts,
+            role,
+            source: 'ui',
+            messageType,
+            messageIndex: index
+          });
+        }, streamOptions);
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn(`Error searching UI messages of task ${task.id}:`, error);
+      }
+      await finishFile(uiFilePath);
+    }
     
-    const results: SearchResult[] = [];
+    if (results.length >= limit) break;
     
-    // Search each task's conversation history
-    for (const task of recentTasks) {
-      if (results.length >= limit) break;
-      
+    // API conversation history (has no say/ask types)
+    const apiFilePath = searchApi(task);
+    if (apiFilePath && fs.existsSync(apiFilePath)) {
       try {
-        if (!task.conversationPath || !fs.existsSync(task.conversationPath)) {
-          continue;
-        }
-        
-        let searchResults;
-        try {
-          // Try streaming search first
-          searchResults = await searchJsonArray<Message>(
-            task.conversationPath, 
-            searchTerm, 
-            100, // Context length
-            limit - results.length // How many more results we need
-          );
-        } catch (error: unknown) {
-          const streamError = error as Error;
-          console.warn(`Streaming search failed, falling back to direct search: ${streamError.message}`);
+        await visitJsonArray<Message>(apiFilePath, results, (message, index) => {
+          const role = normalizeMessageRole(message?.role);
+          const timestamp = message?.timestamp ?? message?.ts;
+          
+          if (options.roles && !options.roles.includes(role)) return;
+          if (!inWindow(timestamp)) return;
           
-          // Fallback to direct search
-          searchResults = await searchJsonArrayDirect<Message>(
-            task.conversationPath,
-            searchTerm,
-            100,
-            limit - results.length
-          );
-        }
-        
-        // Convert to our SearchResult format
-        const formattedResults = searchResults.map(({ item, snippet }) => ({
-          taskId: task.id,
-          timestamp: item.timestamp,
-          role: item.role,
-          snippet,
-          message: item
-        }));
-        
-        results.push(...formattedResults);
+          return addMatch(formatMessageContent(message?.content), {
+            taskId: task.id,
+            taskSource: task.source,
+            timestamp,
+            role,
+            source: 'api',
+            messageIndex: index
+          });
+        }, streamOptions);
       } catch (error) {
-        console.warn(`Error searching task ${task.id}:`, error);
-        // Continue with next task
+        if (isAbortError(error)) throw error;
+        console.warn(`Error searching API history of task ${task.id}:`, error);
       }
+      await finishFile(apiFilePath);
     }
-    
-    return results;
-  } catch (error) {
-    console.error(`Error searching conversations:`, error);
-    throw new Error(`Failed to search conversations: ${(error as Error).message}`);
   }
+  
+  return {
+    results,
+    tasksSearched,
+    truncated: results.length >= limit
+  };
 }
 
 /**
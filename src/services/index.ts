@@ -6,3 +6,5 @@
 // Re-export everything from individual service files
 export * from './task-service.js';
 export * from './conversation-service.js';
+export * from './search-index.js';
+export * from './advice-attachments.js';
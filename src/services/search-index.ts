@@ -0,0 +1,682 @@
+/**
+ * Persistent search index for the Cline Chat Reader MCP Server
+ * Keeps an inverted index of every task's messages beside the diagnostic log,
+ * re-indexes only tasks whose files changed and ranks matches with BM25
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { config } from '../config.js';
+import {
+  getApiConversationFilePath,
+  getUiMessagesFilePath,
+  getVSCodeTasksDirectory,
+  getSearchIndexFilePath
+} from '../utils/paths.js';
+import { Message, MessageRole } from '../models/task.js';
+import { forEachJsonArrayItem, extractSnippet, StreamOptions } from '../utils/json-streaming.js';
+import { forEachJsonArrayItemDirect } from '../utils/json-fallback.js';
+import {
+  formatMessageContent,
+  getUiMessageRole,
+  normalizeMessageRole
+} from '../utils/message-utils.js';
+import { logDebug, logInfo, logWarning } from '../utils/diagnostic-logger.js';
+import { listTasks } from './task-service.js';
+import { CancellationOptions, isAbortError, throwIfAborted } from '../utils/cancellation.js';
+import { getStorageRootForPath } from '../utils/storage-roots.js';
+
+/**
+ * Bump when the on-disk format changes; older index files are discarded and rebuilt
+ */
+const SEARCH_INDEX_VERSION = 2;
+
+/**
+ * Shortest and longest tokens kept in the index
+ */
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 64;
+
+/**
+ * Words too common to help ranking
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+  'they', 'this', 'to', 'was', 'will', 'with'
+]);
+
+/**
+ * Size and modification time of an indexed file
+ */
+interface IndexedFileStat {
+  size: number;
+  mtimeMs: number;
+}
+
+/**
+ * Message metadata stored for each indexed document
+ */
+interface IndexedDocument {
+  source: 'ui' | 'api';
+  messageIndex: number;
+  timestamp?: number;
+  role: MessageRole;
+  messageType?: string;
+  length: number;               // Number of tokens
+}
+
+/**
+ * Index entry for a task
+ */
+interface IndexedTask {
+  taskId: string;
+  tasksDir: string;
+  ui: IndexedFileStat | null;
+  api: IndexedFileStat | null;
+  documents: IndexedDocument[];
+  terms: string[];              // Terms with postings for this task, used to remove it
+}
+
+/**
+ * In-memory search index
+ * Tasks are keyed by their task directory, since storage roots may share task IDs
+ * Postings map each term to the tasks containing it, with [documentPosition, termFrequency] pairs flattened per task
+ */
+interface SearchIndex {
+  version: number;
+  updatedAt: number;
+  totalDocuments: number;
+  totalLength: number;
+  tasks: Map<string, IndexedTask>;
+  postings: Map<string, Map<string, number[]>>;
+}
+
+/**
+ * Result of bringing the index up to date
+ */
+export interface SearchIndexUpdate {
+  tasksIndexed: number;
+  tasksUpdated: number;
+  tasksRemoved: number;
+  documents: number;
+  terms: number;
+  durationMs: number;
+  indexPath: string;
+}
+
+/**
+ * Options for ranked search
+ */
+export interface RankedSearchOptions extends CancellationOptions {
+  roles?: MessageRole[];
+  sources?: Array<'ui' | 'api'>;
+  since?: number;               // Only match messages at or after this time (ms)
+  until?: number;               // Only match messages at or before this time (ms)
+  taskIds?: string[];
+  limit?: number;
+  includeSnippets?: boolean;
+}
+
+/**
+ * Ranked search result
+ */
+export interface RankedSearchResult {
+  taskId: string;
+  taskSource: string;           // Storage root of the task
+  score: number;
+  source: 'ui' | 'api';
+  messageIndex: number;
+  timestamp?: number;
+  role: MessageRole;
+  messageType?: string;
+  snippet?: string;
+}
+
+// Loaded index, shared by all requests
+let loadedIndex: SearchIndex | null = null;
+
+// Index operations run one at a time so concurrent requests never interleave updates
+let pendingOperation: Promise<unknown> = Promise.resolve();
+
+/**
+ * Run an index operation after any operation already in progress
+ * @param operation Operation to run
+ * @returns Promise resolving to the operation's result
+ */
+function runExclusive<T>(operation: () => Promise<T>): Promise<T> {
+  const result = pendingOperation.then(operation, operation);
+  pendingOperation = result.catch(() => undefined);
+  return result;
+}
+
+/**
+ * Split text into lowercase index terms
+ * @param text Text to tokenize
+ * @returns Terms in order of appearance, stop words removed
+ */
+export function tokenize(text: string): string[] {
+  const tokens = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  return tokens.filter(token =>
+    token.length >= MIN_TOKEN_LENGTH &&
+    token.length <= MAX_TOKEN_LENGTH &&
+    !STOP_WORDS.has(token)
+  );
+}
+
+/**
+ * Get the key of a task in the index
+ * @param tasksDir Tasks directory containing the task
+ * @param taskId Task ID
+ * @returns Absolute path of the task directory
+ */
+function getTaskKey(tasksDir: string, taskId: string): string {
+  return path.join(path.resolve(tasksDir), taskId);
+}
+
+/**
+ * Create an empty index
+ * @returns Empty search index
+ */
+function createEmptyIndex(): SearchIndex {
+  return {
+    version: SEARCH_INDEX_VERSION,
+    updatedAt: 0,
+    totalDocuments: 0,
+    totalLength: 0,
+    tasks: new Map(),
+    postings: new Map()
+  };
+}
+
+/**
+ * Load the index from disk, or start an empty one if it is missing, unreadable or outdated
+ * @returns Search index
+ */
+async function loadSearchIndex(): Promise<SearchIndex> {
+  if (loadedIndex) {
+    return loadedIndex;
+  }
+
+  const indexPath = getSearchIndexFilePath();
+  loadedIndex = createEmptyIndex();
+
+  if (!await fs.pathExists(indexPath)) {
+    return loadedIndex;
+  }
+
+  try {
+    const data = await fs.readJson(indexPath);
+    if (data?.version !== SEARCH_INDEX_VERSION) {
+      logInfo(`Search index version ${data?.version} is outdated, rebuilding`);
+      return loadedIndex;
+    }
+
+    loadedIndex.updatedAt = data.updatedAt;
+    loadedIndex.totalDocuments = data.totalDocuments;
+    loadedIndex.totalLength = data.totalLength;
+    loadedIndex.tasks = new Map(data.tasks);
+    loadedIndex.postings = new Map(
+      (data.postings as Array<[string, Array<[string, number[]]>]>).map(([term, tasks]) => [term, new Map(tasks)])
+    );
+    logDebug(`Loaded search index with ${loadedIndex.tasks.size} tasks from ${indexPath}`);
+  } catch (error) {
+    logWarning(`Search index at ${indexPath} is unreadable, rebuilding`, error);
+    loadedIndex = createEmptyIndex();
+  }
+
+  return loadedIndex;
+}
+
+/**
+ * Write the index to disk through a temporary file so readers never see a partial index
+ * @param index Search index to save
+ */
+async function saveSearchIndex(index: SearchIndex): Promise<void> {
+  const indexPath = getSearchIndexFilePath();
+  const tempPath = `${indexPath}.${process.pid}.tmp`;
+
+  const data = {
+    version: index.version,
+    updatedAt: index.updatedAt,
+    totalDocuments: index.totalDocuments,
+    totalLength: index.totalLength,
+    tasks: Array.from(index.tasks.entries()),
+    postings: Array.from(index.postings.entries()).map(([term, tasks]) => [term, Array.from(tasks.entries())])
+  };
+
+  await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+  await fs.rename(tempPath, indexPath);
+  logDebug(`Search index saved to ${indexPath}`);
+}
+
+/**
+ * Get the size and modification time of a file
+ * @param filePath File path
+ * @returns File stat, or null if the file does not exist
+ */
+async function statFile(filePath: string): Promise<IndexedFileStat | null> {
+  try {
+    const stats = await fs.stat(filePath);
+    return { size: stats.size, mtimeMs: stats.mtimeMs };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a file changed since it was indexed
+ * @param indexed Stat recorded in the index
+ * @param current Current stat
+ * @returns True if the file was added, removed or modified
+ */
+function fileChanged(indexed: IndexedFileStat | null, current: IndexedFileStat | null): boolean {
+  if (!indexed || !current) return indexed !== current;
+  return indexed.size !== current.size || indexed.mtimeMs !== current.mtimeMs;
+}
+
+/**
+ * Get the searchable text and metadata of a conversation file item
+ * @param source File the item comes from
+ * @param item UI message or API message
+ * @returns Text and metadata, or null if the item has no text
+ */
+function describeItem(source: 'ui' | 'api', item: any): { text: string; timestamp?: number; role: MessageRole; messageType?: string } | null {
+  if (source === 'ui') {
+    if (typeof item?.text !== 'string' || !item.text) return null;
+    return {
+      text: item.text,
+      timestamp: item.ts,
+      role: getUiMessageRole(item),
+      messageType: item.type === 'ask' ? item.ask : item.say
+    };
+  }
+
+  const message = item as Message;
+  const text = formatMessageContent(message?.content);
+  if (!text) return null;
+  return {
+    text,
+    timestamp: message?.timestamp ?? message?.ts,
+    role: normalizeMessageRole(message?.role)
+  };
+}
+
+/**
+ * Visit each item of a JSON array file, falling back to a direct read if streaming fails
+ * @param filePath Path to the JSON file
+ * @param createVisitor Factory returning a fresh item callback, so a failed stream leaves no partial state
+ * @param streamOptions Abort signal
+ */
+async function visitJsonArray<T>(
+  filePath: string,
+  createVisitor: () => (item: T, index: number) => boolean | void,
+  streamOptions: StreamOptions = {}
+): Promise<void> {
+  try {
+    await forEachJsonArrayItem<T>(filePath, createVisitor(), streamOptions);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    logWarning(`Streaming index scan failed, falling back to direct read: ${filePath}`, error);
+    await forEachJsonArrayItemDirect<T>(filePath, createVisitor(), streamOptions);
+  }
+}
+
+/**
+ * Remove a task's documents and postings from the index
+ * @param index Search index
+ * @param key Task key
+ */
+function removeTask(index: SearchIndex, key: string): void {
+  const task = index.tasks.get(key);
+  if (!task) return;
+
+  for (const term of task.terms) {
+    const tasks = index.postings.get(term);
+    if (!tasks) continue;
+    tasks.delete(key);
+    if (tasks.size === 0) {
+      index.postings.delete(term);
+    }
+  }
+
+  index.totalDocuments -= task.documents.length;
+  index.totalLength -= task.documents.reduce((sum, doc) => sum + doc.length, 0);
+  index.tasks.delete(key);
+}
+
+/**
+ * Tokenize a task's conversation files and add them to the index
+ * @param index Search index
+ * @param taskId Task ID
+ * @param tasksDir Tasks directory containing the task
+ * @param ui Current stat of ui_messages.json
+ * @param api Current stat of api_conversation_history.json
+ * @param signal Optional abort signal
+ */
+async function indexTask(
+  index: SearchIndex,
+  taskId: string,
+  tasksDir: string,
+  ui: IndexedFileStat | null,
+  api: IndexedFileStat | null,
+  signal?: AbortSignal
+): Promise<void> {
+  const key = getTaskKey(tasksDir, taskId);
+  const documents: IndexedDocument[] = [];
+  const taskPostings = new Map<string, number[]>();
+
+  const files: Array<{ source: 'ui' | 'api'; filePath: string; stat: IndexedFileStat | null }> = [
+    { source: 'ui', filePath: getUiMessagesFilePath(tasksDir, taskId), stat: ui },
+    { source: 'api', filePath: getApiConversationFilePath(tasksDir, taskId), stat: api }
+  ];
+
+  for (const { source, filePath, stat } of files) {
+    if (!stat) continue;
+
+    // Documents from this file, replaced wholesale if the stream has to be retried
+    let fileDocuments: Array<{ document: IndexedDocument; counts: Map<string, number> }> = [];
+
+    await visitJsonArray<any>(filePath, () => {
+      fileDocuments = [];
+      return (item, messageIndex) => {
+        const described = describeItem(source, item);
+        if (!described) return;
+
+        const tokens = tokenize(described.text);
+        if (tokens.length === 0) return;
+
+        const counts = new Map<string, number>();
+        tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+        fileDocuments.push({
+          document: {
+            source,
+            messageIndex,
+            timestamp: described.timestamp,
+            role: described.role,
+            messageType: described.messageType,
+            length: tokens.length
+          },
+          counts
+        });
+      };
+    }, { signal });
+
+    for (const { document, counts } of fileDocuments) {
+      const position = documents.length;
+      documents.push(document);
+      counts.forEach((frequency, term) => {
+        const pairs = taskPostings.get(term);
+        if (pairs) {
+          pairs.push(position, frequency);
+        } else {
+          taskPostings.set(term, [position, frequency]);
+        }
+      });
+    }
+  }
+
+  taskPostings.forEach((pairs, term) => {
+    let tasks = index.postings.get(term);
+    if (!tasks) {
+      tasks = new Map();
+      index.postings.set(term, tasks);
+    }
+    tasks.set(key, pairs);
+  });
+
+  index.tasks.set(key, {
+    taskId,
+    tasksDir,
+    ui,
+    api,
+    documents,
+    terms: Array.from(taskPostings.keys())
+  });
+  index.totalDocuments += documents.length;
+  index.totalLength += documents.reduce((sum, doc) => sum + doc.length, 0);
+}
+
+/**
+ * Re-index tasks whose files changed, add new tasks and drop deleted ones
+ * Progress is reported in tasks checked. If the signal fires, the tasks indexed so far are
+ * saved and the rest are left for the next update.
+ * @param index Search index
+ * @param force Re-index every task regardless of file stats
+ * @param options Abort signal and progress callback
+ * @returns Update statistics
+ * @throws AbortError if the signal fires
+ */
+async function refreshIndex(index: SearchIndex, force: boolean, options: CancellationOptions = {}): Promise<SearchIndexUpdate> {
+  const startTime = Date.now();
+  let tasksUpdated = 0;
+  let tasksRemoved = 0;
+
+  // Collect tasks from every storage root, including tasks that share an ID with another root
+  const seen = new Map<string, { taskId: string; tasksDir: string }>();
+  for (const tasksDir of getVSCodeTasksDirectory()) {
+    for (const task of await listTasks(tasksDir)) {
+      seen.set(getTaskKey(tasksDir, task.id), { taskId: task.id, tasksDir });
+    }
+  }
+
+  for (const key of Array.from(index.tasks.keys())) {
+    if (!seen.has(key)) {
+      removeTask(index, key);
+      tasksRemoved++;
+    }
+  }
+
+  let tasksChecked = 0;
+  for (const [key, { taskId, tasksDir }] of seen) {
+    if (options.signal?.aborted) break;
+    options.onProgress?.(tasksChecked++, seen.size, `Indexing tasks (${tasksUpdated} updated)`);
+
+    const ui = await statFile(getUiMessagesFilePath(tasksDir, taskId));
+    const api = await statFile(getApiConversationFilePath(tasksDir, taskId));
+    const indexed = index.tasks.get(key);
+
+    if (!force && indexed && !fileChanged(indexed.ui, ui) && !fileChanged(indexed.api, api)) {
+      continue;
+    }
+
+    removeTask(index, key);
+    try {
+      await indexTask(index, taskId, tasksDir, ui, api, options.signal);
+      tasksUpdated++;
+    } catch (error) {
+      // Leave the task out so the next update retries it
+      removeTask(index, key);
+      if (isAbortError(error)) break;
+      logWarning(`Failed to index task ${taskId}`, error);
+    }
+  }
+
+  if (force || tasksUpdated > 0 || tasksRemoved > 0) {
+    index.updatedAt = Date.now();
+    await saveSearchIndex(index);
+  }
+
+  if (options.signal?.aborted) {
+    logInfo(`Search index update cancelled after ${tasksUpdated} tasks re-indexed`);
+    throwIfAborted(options.signal);
+  }
+  options.onProgress?.(seen.size, seen.size, `Indexed ${seen.size} tasks`);
+
+  const update: SearchIndexUpdate = {
+    tasksIndexed: index.tasks.size,
+    tasksUpdated,
+    tasksRemoved,
+    documents: index.totalDocuments,
+    terms: index.postings.size,
+    durationMs: Date.now() - startTime,
+    indexPath: getSearchIndexFilePath()
+  };
+
+  if (tasksUpdated > 0 || tasksRemoved > 0) {
+    logInfo(`Search index updated: ${tasksUpdated} tasks re-indexed, ${tasksRemoved} removed in ${update.durationMs}ms`);
+  }
+
+  return update;
+}
+
+/**
+ * Bring the search index up to date, re-indexing only tasks whose files changed
+ * @param options Abort signal and progress callback
+ * @returns Update statistics
+ */
+export function updateSearchIndex(options: CancellationOptions = {}): Promise<SearchIndexUpdate> {
+  return runExclusive(async () => refreshIndex(await loadSearchIndex(), false, options));
+}
+
+/**
+ * Discard the search index and re-index every task
+ * A cancelled rebuild keeps the tasks indexed so far; the next update indexes the rest
+ * @param options Abort signal and progress callback
+ * @returns Update statistics
+ */
+export function rebuildSearchIndex(options: CancellationOptions = {}): Promise<SearchIndexUpdate> {
+  return runExclusive(async () => {
+    throwIfAborted(options.signal);
+    loadedIndex = createEmptyIndex();
+    return refreshIndex(loadedIndex, true, options);
+  });
+}
+
+/**
+ * Read the text of indexed messages to build snippets for search results
+ * @param hits Ranked results to add snippets to, with the indexed task each came from
+ * @param queryTerms Query terms, used to center the snippet
+ * @param signal Optional abort signal
+ */
+async function addSnippets(
+  hits: Array<{ result: RankedSearchResult; task: IndexedTask }>,
+  queryTerms: string[],
+  signal?: AbortSignal
+): Promise<void> {
+  // Group results by file so each file is read once, stopping after the last needed message
+  const byFile = new Map<string, { source: 'ui' | 'api'; results: Map<number, RankedSearchResult> }>();
+
+  for (const { result, task } of hits) {
+    const filePath = result.source === 'ui'
+      ? getUiMessagesFilePath(task.tasksDir, result.taskId)
+      : getApiConversationFilePath(task.tasksDir, result.taskId);
+
+    let entry = byFile.get(filePath);
+    if (!entry) {
+      entry = { source: result.source, results: new Map() };
+      byFile.set(filePath, entry);
+    }
+    entry.results.set(result.messageIndex, result);
+  }
+
+  for (const [filePath, { source, results: fileResults }] of byFile) {
+    const lastIndex = Math.max(...fileResults.keys());
+    try {
+      await visitJsonArray<any>(filePath, () => (item, messageIndex) => {
+        const result = fileResults.get(messageIndex);
+        if (result) {
+          const text = describeItem(source, item)?.text || '';
+          const lowerText = text.toLowerCase();
+          const term = queryTerms.find(queryTerm => lowerText.includes(queryTerm)) || queryTerms[0];
+          result.snippet = extractSnippet(text, term);
+        }
+        return messageIndex < lastIndex;
+      }, { signal });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      logWarning(`Failed to read snippets from ${filePath}`, error);
+    }
+  }
+}
+
+/**
+ * Search the index and rank matching messages with BM25
+ * The index is brought up to date first, so only changed tasks are re-read
+ * @param query Free-text query
+ * @param options Filters, result limit, whether to include snippets, abort signal and index update progress callback
+ * @returns Ranked results, the number of matching messages and the index update statistics
+ */
+export function rankedSearch(
+  query: string,
+  options: RankedSearchOptions = {}
+): Promise<{ results: RankedSearchResult[]; totalMatches: number; update: SearchIndexUpdate }> {
+  return runExclusive(async () => {
+    const index = await loadSearchIndex();
+    const update = await refreshIndex(index, false, { signal: options.signal, onProgress: options.onProgress });
+
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    if (queryTerms.length === 0) {
+      return { results: [], totalMatches: 0, update };
+    }
+
+    const { k1, b } = config.searchIndex;
+    const averageLength = index.totalDocuments > 0 ? index.totalLength / index.totalDocuments : 0;
+    const taskFilter = options.taskIds ? new Set(options.taskIds) : null;
+    const scores = new Map<string, { key: string; position: number; score: number }>();
+
+    for (const term of queryTerms) {
+      const tasks = index.postings.get(term);
+      if (!tasks) continue;
+
+      let documentFrequency = 0;
+      tasks.forEach(pairs => { documentFrequency += pairs.length / 2; });
+      const idf = Math.log(1 + (index.totalDocuments - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+      for (const [key, pairs] of tasks) {
+        const task = index.tasks.get(key);
+        if (!task) continue;
+        if (taskFilter && !taskFilter.has(task.taskId)) continue;
+
+        for (let i = 0; i < pairs.length; i += 2) {
+          const position = pairs[i];
+          const frequency = pairs[i + 1];
+          const document = task.documents[position];
+
+          if (options.roles && !options.roles.includes(document.role)) continue;
+          if (options.sources && !options.sources.includes(document.source)) continue;
+          if (options.since !== undefined && (document.timestamp === undefined || document.timestamp < options.since)) continue;
+          if (options.until !== undefined && (document.timestamp === undefined || document.timestamp > options.until)) continue;
+
+          const lengthNorm = averageLength > 0 ? document.length / averageLength : 1;
+          const termScore = idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * lengthNorm));
+
+          const scoreKey = `${key}:${position}`;
+          const entry = scores.get(scoreKey);
+          if (entry) {
+            entry.score += termScore;
+          } else {
+            scores.set(scoreKey, { key, position, score: termScore });
+          }
+        }
+      }
+    }
+
+    const ranked = Array.from(scores.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || config.searchIndex.defaultLimit);
+
+    const hits = ranked.map(({ key, position, score }) => {
+      const task = index.tasks.get(key)!;
+      const document = task.documents[position];
+      const result: RankedSearchResult = {
+        taskId: task.taskId,
+        taskSource: getStorageRootForPath(task.tasksDir)?.source || path.dirname(path.resolve(task.tasksDir)),
+        score: Math.round(score * 1000) / 1000,
+        source: document.source,
+        messageIndex: document.messageIndex,
+        timestamp: document.timestamp,
+        role: document.role,
+        messageType: document.messageType
+      };
+      return { result, task };
+    });
+
+    if (options.includeSnippets) {
+      await addSnippets(hits, queryTerms, options.signal);
+    }
+
+    return { results: hits.map(hit => hit.result), totalMatches: scores.size, update };
+  });
+}
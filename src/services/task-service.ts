@@ -16,10 +16,11 @@ import {
   TaskSummary,
   Message 
 } from '../models/task.js';
-import { countJsonArrayItems } from '../utils/json-streaming.js';
-import { countJsonArrayItemsDirect } from '../utils/json-fallback.js';
-// Import from the index file to avoid circular dependencies
-import { getConversationHistory } from './index.js';
+import { forEachJsonArrayItem, StreamOptions } from '../utils/json-streaming.js';
+import { forEachJsonArrayItemDirect } from '../utils/json-fallback.js';
+import { formatMessageContent, normalizeMessageRole } from '../utils/message-utils.js';
+import { CancellationOptions, isAbortError, throwIfAborted } from '../utils/cancellation.js';
+import { getStorageRootForPath, matchesStorageSource } from '../utils/storage-roots.js';
 
 /**
  * List all tasks in the VS Code extension tasks directory
@@ -104,15 +105,17 @@ export async function getTask(tasksDir: string, taskId: string): Promise<TaskMet
       uiFileSize = uiStats.size;
     }
     
-    // Determine extension type based on the tasks directory path
-    const isUltra = tasksDir.includes('custom.claude-dev-ultra');
-    const extensionType = isUltra ? 'Cline Ultra' : 'Cline Regular';
+    // Determine the extension and editor from the storage root holding the tasks directory
+    const root = getStorageRootForPath(tasksDir);
+    
+    // Task IDs are creation timestamps; directory birth times are unreliable after copies and syncs
+    const timestamp = parseInt(taskId, 10) || 0;
     
     // Return task metadata
     return {
       id: taskId,
-      timestamp: parseInt(taskId, 10) || 0,
-      created: stats.birthtime,
+      timestamp,
+      created: timestamp ? new Date(timestamp) : stats.birthtime,
       modified: stats.mtime,
       hasApiConversation: apiFileExists,
       hasUiMessages: uiFileExists,
@@ -120,7 +123,9 @@ export async function getTask(tasksDir: string, taskId: string): Promise<TaskMet
       uiFileSize: formatFileSize(uiFileSize),
       apiFileSizeBytes: apiFileSize,
       uiFileSizeBytes: uiFileSize,
-      extensionType
+      extensionType: root?.extension.name || 'Unknown',
+      editor: root?.editor.name || 'Unknown',
+      source: root?.source || path.dirname(path.resolve(tasksDir))
     };
   } catch (error) {
     console.error(`Error getting task ${taskId}:`, error);
@@ -152,78 +157,433 @@ export async function getLatestTask(tasksDir: string): Promise<TaskMetadata> {
   }
 }
 
+// Number of messages kept from each end of the conversation for previews
+const PREVIEW_MESSAGE_COUNT = 5;
+
+// Maximum length of a preview message's content
+const PREVIEW_CONTENT_LENGTH = 500;
+
+/**
+ * Stream a JSON array file once, falling back to a direct read if streaming fails
+ * The visitor is recreated for the fallback so partial results from the failed stream are discarded
+ * @param filePath Path to the JSON file containing an array
+ * @param createVisitor Factory returning a fresh state and item callback
+ * @param streamOptions Abort signal and bytes-read callback
+ * @returns Promise resolving to the state after visiting every item
+ */
+async function scanJsonArray<T, S>(
+  filePath: string,
+  createVisitor: () => { state: S; onItem: (item: T) => void },
+  streamOptions: StreamOptions = {}
+): Promise<S> {
+  let visitor = createVisitor();
+  try {
+    await forEachJsonArrayItem<T>(filePath, item => visitor.onItem(item), streamOptions);
+  } catch (error: unknown) {
+    if (isAbortError(error)) throw error;
+    const streamError = error as Error;
+    console.warn(`Streaming scan failed, falling back to direct read: ${streamError.message}`);
+    
+    visitor = createVisitor();
+    await forEachJsonArrayItemDirect<T>(filePath, item => visitor.onItem(item), streamOptions);
+  }
+  return visitor.state;
+}
+
+/**
+ * Earliest and latest timestamp seen while scanning
+ */
+interface TimestampRange {
+  first: number | null;
+  last: number | null;
+}
+
+/**
+ * Create an empty timestamp range
+ * @returns Range with no timestamps
+ */
+function createTimestampRange(): TimestampRange {
+  return { first: null, last: null };
+}
+
+/**
+ * Extend a timestamp range with a value, ignoring anything that is not a positive number
+ * @param range Range to extend
+ * @param ts Candidate timestamp
+ */
+function extendTimestampRange(range: TimestampRange, ts: unknown): void {
+  if (typeof ts !== 'number' || ts <= 0) return;
+  if (range.first === null || ts < range.first) range.first = ts;
+  if (range.last === null || ts > range.last) range.last = ts;
+}
+
+/**
+ * Shorten a message for inclusion in a summary preview
+ * @param message API conversation message
+ * @returns Message with its role normalized and its content formatted as a truncated string
+ */
+function toPreviewMessage(message: Message): Message {
+  const content = formatMessageContent(message.content);
+  return {
+    ...message,
+    role: normalizeMessageRole(message.role),
+    content: content.length > PREVIEW_CONTENT_LENGTH
+      ? content.substring(0, PREVIEW_CONTENT_LENGTH) + '...'
+      : content
+  };
+}
+
 /**
  * Generate a summary of a task's conversation
+ * Each conversation file is read in a single streaming pass
+ * Progress is reported in bytes read out of the combined size of both files
  * @param tasksDir Path to the VS Code extension tasks directory
  * @param taskId Task ID
+ * @param options Abort signal and progress callback
  * @returns Promise resolving to a task summary
  */
-export async function getTaskSummary(tasksDir: string, taskId: string): Promise<TaskSummary> {
+export async function getTaskSummary(
+  tasksDir: string,
+  taskId: string,
+  options: CancellationOptions = {}
+): Promise<TaskSummary> {
   try {
     // Get task details
     const task = await getTask(tasksDir, taskId);
     
+    // The API history is read first, so UI progress starts after its size
+    const totalBytes = (task.hasApiConversation ? task.apiFileSizeBytes : 0) + (task.hasUiMessages ? task.uiFileSizeBytes : 0);
+    const streamOptionsFrom = (offset: number): StreamOptions => ({
+      signal: options.signal,
+      onBytesRead: options.onProgress
+        ? bytesRead => options.onProgress!(offset + bytesRead, totalBytes)
+        : undefined
+    });
+    
     // Initial summary with task metadata
     const summary: TaskSummary = {
       ...task,
       totalMessages: 0,
       totalHumanMessages: 0,
       totalAssistantMessages: 0,
+      messagesByRole: {},
+      totalUiMessages: 0,
+      uiMessagesByType: { say: {}, ask: {} },
+      firstTimestamp: null,
+      lastTimestamp: null,
       previewMessages: [],
-      duration: task.modified && task.created ? 
-        new Date(task.modified).getTime() - new Date(task.created).getTime() : 
-        null,
+      duration: null,
       sampleFirst: null,
       sampleLast: null
     };
     
-    // If no API conversation, return the basic summary
-    if (!task.hasApiConversation) {
-      return summary;
-    }
-    
-    // Get a sample of the conversation (first and last few messages)
-    const previewMessages = await getConversationHistory(taskId, { limit: 10 });
-    summary.previewMessages = previewMessages;
+    // Time range across both conversation files
+    const range = createTimestampRange();
     
-    if (previewMessages.length > 0) {
-      summary.sampleFirst = previewMessages[0];
-      summary.sampleLast = previewMessages[previewMessages.length - 1];
+    // API history: counts by role, first and last messages
+    if (task.hasApiConversation) {
+      const api = await scanJsonArray<Message, {
+        total: number;
+        byRole: Record<string, number>;
+        first: Message[];
+        last: Message[];
+        range: TimestampRange;
+      }>(getApiConversationFilePath(tasksDir, taskId), () => {
+        const state = { total: 0, byRole: {} as Record<string, number>, first: [] as Message[], last: [] as Message[], range: createTimestampRange() };
+        return {
+          state,
+          onItem: (message: Message) => {
+            state.total++;
+            const role = message?.role || 'unknown';
+            state.byRole[role] = (state.byRole[role] || 0) + 1;
+            
+            if (state.first.length < PREVIEW_MESSAGE_COUNT) {
+              state.first.push(toPreviewMessage(message));
+            } else {
+              // Only the tail is kept for the last messages
+              state.last.push(message);
+              if (state.last.length > PREVIEW_MESSAGE_COUNT) state.last.shift();
+            }
+            
+            extendTimestampRange(state.range, message?.timestamp ?? message?.ts);
+          }
+        };
+      }, streamOptionsFrom(0));
+      
+      summary.totalMessages = api.total;
+      summary.messagesByRole = api.byRole;
+      summary.totalHumanMessages = (api.byRole.human || 0) + (api.byRole.user || 0);
+      summary.totalAssistantMessages = api.byRole.assistant || 0;
+      summary.previewMessages = [...api.first, ...api.last.map(toPreviewMessage)];
+      extendTimestampRange(range, api.range.first);
+      extendTimestampRange(range, api.range.last);
+      
+      if (summary.previewMessages.length > 0) {
+        summary.sampleFirst = summary.previewMessages[0];
+        summary.sampleLast = summary.previewMessages[summary.previewMessages.length - 1];
+      }
     }
     
-    // Count the total messages
-    const apiFilePath = getApiConversationFilePath(tasksDir, taskId);
-    let totalMessages;
-    try {
-      // Try streaming count first
-      totalMessages = await countJsonArrayItems(apiFilePath);
-    } catch (error: unknown) {
-      const streamError = error as Error;
-      console.warn(`Streaming count failed, falling back to direct count: ${streamError.message}`);
+    // UI messages: counts by say/ask type and the conversation time range
+    if (task.hasUiMessages) {
+      const ui = await scanJsonArray<any, {
+        total: number;
+        say: Record<string, number>;
+        ask: Record<string, number>;
+        range: TimestampRange;
+      }>(getUiMessagesFilePath(tasksDir, taskId), () => {
+        const state = { total: 0, say: {} as Record<string, number>, ask: {} as Record<string, number>, range: createTimestampRange() };
+        return {
+          state,
+          onItem: (item: any) => {
+            state.total++;
+            if (item?.type === 'say' && item.say) {
+              state.say[item.say] = (state.say[item.say] || 0) + 1;
+            } else if (item?.type === 'ask' && item.ask) {
+              state.ask[item.ask] = (state.ask[item.ask] || 0) + 1;
+            }
+            extendTimestampRange(state.range, item?.ts);
+          }
+        };
+      }, streamOptionsFrom(task.hasApiConversation ? task.apiFileSizeBytes : 0));
       
-      // Fallback to direct count
-      totalMessages = await countJsonArrayItemsDirect(apiFilePath);
+      summary.totalUiMessages = ui.total;
+      summary.uiMessagesByType = { say: ui.say, ask: ui.ask };
+      extendTimestampRange(range, ui.range.first);
+      extendTimestampRange(range, ui.range.last);
     }
-    summary.totalMessages = totalMessages;
-    
-    // Count message types by scanning the file
-    // We'll implement this using our conversation service to filter by role
-    const humanMessages = await getConversationHistory(taskId, { 
-      limit: Number.MAX_SAFE_INTEGER,
-      filterFn: (message: Message) => message.role === 'human'
-    });
-    
-    const assistantMessages = await getConversationHistory(taskId, {
-      limit: Number.MAX_SAFE_INTEGER,
-      filterFn: (message: Message) => message.role === 'assistant'
-    });
     
-    summary.totalHumanMessages = humanMessages.length;
-    summary.totalAssistantMessages = assistantMessages.length;
+    // Prefer message timestamps, fall back to the directory times
+    summary.firstTimestamp = range.first;
+    summary.lastTimestamp = range.last;
+    if (range.first !== null && range.last !== null) {
+      summary.duration = range.last - range.first;
+    } else if (task.modified && task.created) {
+      summary.duration = new Date(task.modified).getTime() - new Date(task.created).getTime();
+    }
     
     return summary;
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error(`Error generating summary for task ${taskId}:`, error);
     throw new Error(`Failed to generate task summary: ${(error as Error).message}`);
   }
 }
+
+/**
+ * Options for querying tasks across storage roots
+ */
+export interface TaskQueryOptions {
+  createdAfter?: number;
+  createdBefore?: number;
+  modifiedAfter?: number;
+  modifiedBefore?: number;
+  minSizeBytes?: number;
+  maxSizeBytes?: number;
+  hasUiMessages?: boolean;
+  extensionType?: string;
+  source?: string;              // Storage root, editor ID or extension ID (see matchesStorageSource)
+  sortBy?: 'created' | 'modified' | 'size';
+  order?: 'asc' | 'desc';
+  offset?: number;
+  limit?: number;
+}
+
+/**
+ * Task metadata together with the tasks directory it was found in
+ */
+export interface TaskListEntry extends TaskMetadata {
+  tasksDir: string;
+  createdMs: number;
+  modifiedMs: number;
+  totalSizeBytes: number;
+}
+
+/**
+ * Query tasks across several tasks directories with filtering, sorting and paging
+ * @param tasksDirs Tasks directories to scan (e.g. from getVSCodeTasksDirectory)
+ * @param options Filter, sort and paging options
+ * @returns Promise resolving to the requested page and the number of matching tasks
+ */
+export async function queryTasks(
+  tasksDirs: string[],
+  options: TaskQueryOptions = {}
+): Promise<{ tasks: TaskListEntry[]; total: number }> {
+  const entries: TaskListEntry[] = [];
+  
+  for (const tasksDir of tasksDirs) {
+    const taskIds = await listTasks(tasksDir);
+    
+    const metadata = await Promise.all(taskIds.map(async ({ id }) => {
+      try {
+        return await getTask(tasksDir, id);
+      } catch (error) {
+        // The directory may have been removed while scanning
+        return null;
+      }
+    }));
+    
+    for (const task of metadata) {
+      if (!task) continue;
+      
+      entries.push({
+        ...task,
+        tasksDir,
+        // Task IDs are creation timestamps; fall back to the directory birth time
+        createdMs: task.timestamp || new Date(task.created).getTime(),
+        modifiedMs: new Date(task.modified).getTime(),
+        totalSizeBytes: task.apiFileSizeBytes + task.uiFileSizeBytes
+      });
+    }
+  }
+  
+  // Apply filters
+  const filtered = entries.filter(task => {
+    if (options.createdAfter !== undefined && task.createdMs < options.createdAfter) return false;
+    if (options.createdBefore !== undefined && task.createdMs > options.createdBefore) return false;
+    if (options.modifiedAfter !== undefined && task.modifiedMs < options.modifiedAfter) return false;
+    if (options.modifiedBefore !== undefined && task.modifiedMs > options.modifiedBefore) return false;
+    if (options.minSizeBytes !== undefined && task.totalSizeBytes < options.minSizeBytes) return false;
+    if (options.maxSizeBytes !== undefined && task.totalSizeBytes > options.maxSizeBytes) return false;
+    if (options.hasUiMessages !== undefined && task.hasUiMessages !== options.hasUiMessages) return false;
+    if (options.extensionType && task.extensionType !== options.extensionType) return false;
+    if (options.source && !matchesStorageSource(task.source, options.source)) return false;
+    return true;
+  });
+  
+  // Sort
+  const sortKey = options.sortBy || 'created';
+  const direction = options.order === 'asc' ? 1 : -1;
+  const valueOf = (task: TaskListEntry): number => {
+    switch (sortKey) {
+      case 'modified':
+        return task.modifiedMs;
+      case 'size':
+        return task.totalSizeBytes;
+      default:
+        return task.createdMs;
+    }
+  };
+  filtered.sort((a, b) => (valueOf(a) - valueOf(b)) * direction);
+  
+  // Page
+  const offset = options.offset || 0;
+  const limit = options.limit || filtered.length;
+  
+  return {
+    tasks: filtered.slice(offset, offset + limit),
+    total: filtered.length
+  };
+}
+
+// Environment details added to a task's first request name its workspace: "# Current Working
+// Directory (/path) Files" in Cline, "# Current Workspace Directory (/path) Files" in Roo Code
+const WORKSPACE_DIRECTORY_PATTERN = /# Current (?:Working|Workspace) Directory \(([^)\r\n]+)\)/;
+
+// UI messages read when the API history does not name the workspace
+const WORKSPACE_UI_MESSAGE_COUNT = 5;
+
+/**
+ * Find the workspace named in a message's text
+ * @param text Message text
+ * @returns Workspace path, or null if the text names none
+ */
+function matchWorkspaceDirectory(text: string): string | null {
+  const match = WORKSPACE_DIRECTORY_PATTERN.exec(text);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Get the workspace a task was started in
+ * Only the start of the conversation is read: the first API request, or the first UI messages if
+ * there is no API history.
+ * @param tasksDir Path to the VS Code extension tasks directory
+ * @param taskId Task ID
+ * @param options Abort signal
+ * @returns Workspace path, or null if the conversation does not name one
+ */
+export async function getTaskWorkspace(tasksDir: string, taskId: string, options: StreamOptions = {}): Promise<string | null> {
+  let workspace: string | null = null;
+  
+  const apiFilePath = getApiConversationFilePath(tasksDir, taskId);
+  if (await fs.pathExists(apiFilePath)) {
+    await forEachJsonArrayItem<Message>(apiFilePath, message => {
+      workspace = matchWorkspaceDirectory(formatMessageContent(message?.content));
+      return false;
+    }, { signal: options.signal });
+    if (workspace) {
+      return workspace;
+    }
+  }
+  
+  // The request text is JSON inside each api_req_started UI message
+  const uiFilePath = getUiMessagesFilePath(tasksDir, taskId);
+  if (await fs.pathExists(uiFilePath)) {
+    await forEachJsonArrayItem<{ say?: string; text?: string }>(uiFilePath, (message, index) => {
+      if (message?.say === 'api_req_started' && typeof message.text === 'string') {
+        try {
+          workspace = matchWorkspaceDirectory(JSON.parse(message.text).request || '');
+        } catch (error) {
+          workspace = matchWorkspaceDirectory(message.text);
+        }
+      }
+      return !workspace && index + 1 < WORKSPACE_UI_MESSAGE_COUNT;
+    }, { signal: options.signal });
+  }
+  
+  return workspace;
+}
+
+/**
+ * Check whether two workspace paths name the same directory
+ * @param a Workspace path
+ * @param b Workspace path
+ * @returns True if the resolved paths are equal (ignoring case on Windows and macOS)
+ */
+function isSameWorkspace(a: string, b: string): boolean {
+  const normalize = (workspace: string) => {
+    const resolved = path.resolve(workspace);
+    return process.platform === 'win32' || process.platform === 'darwin' ? resolved.toLowerCase() : resolved;
+  };
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Find the tasks started in a workspace
+ * Progress is reported in tasks scanned
+ * @param tasksDirs Tasks directories to scan (e.g. from getVSCodeTasksDirectory)
+ * @param workspace Workspace path
+ * @param options Abort signal and progress callback
+ * @returns Promise resolving to the matching task IDs and their tasks directories, newest first
+ */
+export async function findTasksInWorkspace(
+  tasksDirs: string[],
+  workspace: string,
+  options: CancellationOptions = {}
+): Promise<Array<{ taskId: string; tasksDir: string }>> {
+  const candidates: Array<{ taskId: string; tasksDir: string }> = [];
+  for (const tasksDir of tasksDirs) {
+    for (const { id } of await listTasks(tasksDir)) {
+      candidates.push({ taskId: id, tasksDir });
+    }
+  }
+  
+  const matches: Array<{ taskId: string; tasksDir: string }> = [];
+  for (const [index, candidate] of candidates.entries()) {
+    throwIfAborted(options.signal);
+    try {
+      const taskWorkspace = await getTaskWorkspace(candidate.tasksDir, candidate.taskId, { signal: options.signal });
+      if (taskWorkspace && isSameWorkspace(taskWorkspace, workspace)) {
+        matches.push(candidate);
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      // A damaged conversation file does not stop the scan
+    }
+    options.onProgress?.(index + 1, candidates.length);
+  }
+  
+  return matches;
+}
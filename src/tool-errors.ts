@@ -0,0 +1,239 @@
+/**
+ * Tool error taxonomy for the Cline Chat Reader MCP Server
+ *
+ * Every tool failure maps to one stable code with a retryable flag and a recommendation.
+ * Failures of a tool call are returned as tool results with isError set, so the calling model
+ * can read and act on them; only requests the server cannot route (e.g. an unknown tool name)
+ * fail with a JSON-RPC protocol error.
+ */
+
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { logError, logInfo, logWarning } from './utils/diagnostic-logger.js';
+import { isAbortError } from './utils/cancellation.js';
+
+/**
+ * Stable error codes reported in the error_code field of tool errors
+ */
+export enum ToolErrorCode {
+  UNKNOWN_TOOL = 'UNKNOWN_TOOL',
+  INVALID_ARGUMENTS = 'INVALID_ARGUMENTS',
+  NO_ACTIVE_TASK = 'NO_ACTIVE_TASK',
+  TASK_NOT_FOUND = 'TASK_NOT_FOUND',
+  FILE_NOT_FOUND = 'FILE_NOT_FOUND',
+  CRASH_REPORT_NOT_FOUND = 'CRASH_REPORT_NOT_FOUND',
+  ADVICE_NOT_FOUND = 'ADVICE_NOT_FOUND',
+  READ_ERROR = 'READ_ERROR',
+  WRITE_ERROR = 'WRITE_ERROR',
+  PARSE_ERROR = 'PARSE_ERROR',
+  TIMEOUT_ERROR = 'TIMEOUT_ERROR',
+  SEARCH_INDEX_ERROR = 'SEARCH_INDEX_ERROR',
+  CANCELLED = 'CANCELLED',
+  INTERNAL_ERROR = 'INTERNAL_ERROR'
+}
+
+/**
+ * Default retryable flag and recommendation for each error code
+ * retryable means the same call may succeed if repeated unchanged
+ */
+const errorDefaults: Record<ToolErrorCode, { retryable: boolean; recommendation: string }> = {
+  [ToolErrorCode.UNKNOWN_TOOL]: {
+    retryable: false,
+    recommendation: 'Call tools/list to see the available tools.'
+  },
+  [ToolErrorCode.INVALID_ARGUMENTS]: {
+    retryable: false,
+    recommendation: 'Fix the listed arguments and call the tool again.'
+  },
+  [ToolErrorCode.NO_ACTIVE_TASK]: {
+    retryable: false,
+    recommendation: 'Mark a conversation as active in VS Code, or pass a task_id.'
+  },
+  [ToolErrorCode.TASK_NOT_FOUND]: {
+    retryable: false,
+    recommendation: 'Use list_tasks to find existing task IDs.'
+  },
+  [ToolErrorCode.FILE_NOT_FOUND]: {
+    retryable: false,
+    recommendation: 'The conversation may not exist or may be corrupted.'
+  },
+  [ToolErrorCode.CRASH_REPORT_NOT_FOUND]: {
+    retryable: false,
+    recommendation: 'Use list_crash_reports to find pending crash reports.'
+  },
+  [ToolErrorCode.ADVICE_NOT_FOUND]: {
+    retryable: false,
+    recommendation: 'Use list_external_advice to find advice IDs.'
+  },
+  [ToolErrorCode.READ_ERROR]: {
+    retryable: true,
+    recommendation: 'Check that the file exists and is readable, then retry.'
+  },
+  [ToolErrorCode.WRITE_ERROR]: {
+    retryable: true,
+    recommendation: 'Check that the task directory is writable and has free space, then retry.'
+  },
+  [ToolErrorCode.PARSE_ERROR]: {
+    retryable: false,
+    recommendation: 'The file is not valid JSON; try recover_crashed_conversation for this task.'
+  },
+  [ToolErrorCode.TIMEOUT_ERROR]: {
+    retryable: true,
+    recommendation: 'The file system was slow to respond; retry the call.'
+  },
+  [ToolErrorCode.SEARCH_INDEX_ERROR]: {
+    retryable: false,
+    recommendation: 'Run rebuild_search_index, then retry the search.'
+  },
+  [ToolErrorCode.CANCELLED]: {
+    retryable: true,
+    recommendation: 'The call was cancelled before it finished; call the tool again to restart it.'
+  },
+  [ToolErrorCode.INTERNAL_ERROR]: {
+    retryable: false,
+    recommendation: 'Check the diagnostic log for details.'
+  }
+};
+
+/**
+ * Options for a ToolError
+ */
+export interface ToolErrorOptions {
+  recommendation?: string;          // Overrides the code's default recommendation
+  retryable?: boolean;              // Overrides the code's default retryable flag
+  details?: Record<string, unknown>;
+  cause?: unknown;
+}
+
+/**
+ * Error thrown by tool handlers for a failure the caller should see
+ */
+export class ToolError extends Error {
+  readonly code: ToolErrorCode;
+  readonly retryable: boolean;
+  readonly recommendation: string;
+  readonly details?: Record<string, unknown>;
+  readonly cause?: unknown;
+
+  constructor(code: ToolErrorCode, message: string, options: ToolErrorOptions = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.retryable = options.retryable ?? errorDefaults[code].retryable;
+    this.recommendation = options.recommendation ?? errorDefaults[code].recommendation;
+    this.details = options.details;
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * Format zod validation issues into a single message
+ * @param error Zod validation error
+ * @returns Human-readable list of invalid arguments
+ */
+export function formatValidationError(error: z.ZodError): string {
+  return error.errors.map(e => `${e.path.join('.') || '(root)'}: ${e.message}`).join(', ');
+}
+
+// Node.js error codes that usually clear up on their own
+const TRANSIENT_ERRNO_CODES = new Set(['EBUSY', 'EAGAIN', 'EMFILE', 'ENFILE', 'ETIMEDOUT']);
+
+/**
+ * Classify any thrown value as a ToolError
+ * @param error Thrown value
+ * @returns The error itself if it is a ToolError, otherwise the closest matching ToolError
+ */
+export function toToolError(error: unknown): ToolError {
+  if (error instanceof ToolError) {
+    return error;
+  }
+
+  if (error instanceof z.ZodError) {
+    return new ToolError(ToolErrorCode.INVALID_ARGUMENTS, `Invalid arguments: ${formatValidationError(error)}`, { cause: error });
+  }
+
+  if (isAbortError(error)) {
+    return new ToolError(ToolErrorCode.CANCELLED, 'The operation was cancelled', { cause: error });
+  }
+
+  const message = error instanceof Error ? error.message : String(error);
+  const errno = (error as NodeJS.ErrnoException | undefined)?.code;
+
+  if (errno === 'ENOENT') {
+    return new ToolError(ToolErrorCode.FILE_NOT_FOUND, message, { cause: error });
+  }
+  if (errno === 'EACCES' || errno === 'EPERM') {
+    return new ToolError(ToolErrorCode.READ_ERROR, message, {
+      cause: error,
+      retryable: false,
+      recommendation: 'Check the file permissions and ownership.'
+    });
+  }
+  if (errno && TRANSIENT_ERRNO_CODES.has(errno)) {
+    return new ToolError(ToolErrorCode.READ_ERROR, message, { cause: error });
+  }
+  if (error instanceof SyntaxError) {
+    return new ToolError(ToolErrorCode.PARSE_ERROR, message, { cause: error });
+  }
+  if (/timed? ?out/i.test(message)) {
+    return new ToolError(ToolErrorCode.TIMEOUT_ERROR, `Operation timed out: ${message}`, { cause: error });
+  }
+
+  return new ToolError(ToolErrorCode.INTERNAL_ERROR, `Error: ${message}`, { cause: error });
+}
+
+/**
+ * Build the tool result for a failure
+ * @param error Classified error
+ * @returns Tool response flagged as an error, carrying the error envelope as JSON text
+ */
+export function toolErrorResult(error: ToolError): { content: Array<{ type: 'text'; text: string }>; isError: true } {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          error_code: error.code,
+          error: error.message,
+          retryable: error.retryable,
+          recommendation: error.recommendation,
+          details: error.details
+        }),
+      },
+    ],
+    isError: true,
+  };
+}
+
+/**
+ * Run a tool call, turning every failure into a tool error result
+ * McpErrors are protocol errors and are rethrown for the SDK to send as JSON-RPC errors
+ * @param toolName Tool name, for logging
+ * @param run Tool call
+ * @returns The call's result, or an error result
+ * @throws McpError raised by the call
+ */
+export async function withToolErrors<T>(
+  toolName: string,
+  run: () => Promise<T>
+): Promise<T | ReturnType<typeof toolErrorResult>> {
+  try {
+    return await run();
+  } catch (error) {
+    if (error instanceof McpError) {
+      logError(`Protocol error in ${toolName}: ${error.message}`, error);
+      throw error;
+    }
+
+    const toolError = toToolError(error);
+    if (toolError.code === ToolErrorCode.INTERNAL_ERROR) {
+      logError(`Error executing tool ${toolName} (${toolError.code}): ${toolError.message}`, error);
+    } else if (toolError.code === ToolErrorCode.CANCELLED) {
+      logInfo(`Tool ${toolName} was cancelled`);
+    } else {
+      logWarning(`Tool ${toolName} failed (${toolError.code}): ${toolError.message}`);
+    }
+
+    return toolErrorResult(toolError);
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Tool registry for the Cline Chat Reader MCP Server
+ *
+ * Each tool is declared once: name, description, zod input schema, optional output schema
+ * and handler. tools/list, argument validation and tools/call dispatch are all derived from
+ * these declarations, so the listed JSON Schema can no longer drift from what is validated.
+ *
+ * Tools with an output schema return their result as structuredContent, checked against that
+ * schema before it is sent, together with a compact JSON text block for older clients.
+ * Failures are turned into tool error results by withToolErrors (see tool-errors.ts).
+ *
+ * Handlers also receive a ToolContext carrying the request's abort signal, which fires when the
+ * client sends notifications/cancelled, and a progress reporter that sends notifications/progress
+ * when the client asked for them with a progress token.
+ */
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  ListToolsRequestSchema,
+  McpError,
+  ServerNotification,
+  ServerRequest,
+  Tool
+} from '@modelcontextprotocol/sdk/types.js';
+import { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { ToolError, ToolErrorCode, formatValidationError, withToolErrors } from './tool-errors.js';
+import { ProgressCallback } from './utils/cancellation.js';
+import { logDebug } from './utils/diagnostic-logger.js';
+
+// Minimum time between progress notifications for one request
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Result returned by a tool handler
+ */
+export interface ToolResponse {
+  content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: Record<string, unknown>;
+  isError?: boolean;
+  [key: string]: unknown;
+}
+
+/**
+ * Per-call context passed to tool handlers
+ */
+export interface ToolContext {
+  signal: AbortSignal;                  // Fires when the client cancels the call
+  reportProgress: ProgressCallback;     // No-op unless the client sent a progress token
+}
+
+/**
+ * Declaration of a tool
+ * The handler receives arguments already parsed by inputSchema, with defaults applied
+ * Input objects should be .strict() so misspelled arguments are rejected rather than ignored
+ */
+export interface ToolDefinition<TInput extends z.ZodTypeAny = z.ZodTypeAny> {
+  name: string;
+  description: string;
+  inputSchema: TInput;
+  outputSchema?: z.ZodTypeAny;
+  handler(args: z.output<TInput>, context: ToolContext): Promise<ToolResponse>;
+}
+
+/**
+ * Declare a tool, inferring the handler's argument type from its input schema
+ * @param tool Tool declaration
+ * @returns The same declaration
+ */
+export function defineTool<TInput extends z.ZodTypeAny>(tool: ToolDefinition<TInput>): ToolDefinition<TInput> {
+  return tool;
+}
+
+/**
+ * Build a successful tool response from a structured result
+ * @param structuredContent Result matching the tool's output schema
+ * @returns Tool response with the result as structuredContent and as compact JSON text
+ */
+export function toolResult(structuredContent: object): ToolResponse {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(structuredContent),
+      },
+    ],
+    structuredContent: structuredContent as Record<string, unknown>,
+  };
+}
+
+/**
+ * Build the context for one tool call from the SDK's request handler extra
+ * Progress notifications are throttled, and only sent while progress increases, as MCP requires
+ * @param toolName Tool name, for logging
+ * @param extra Request handler extra
+ * @returns Tool context
+ */
+function createToolContext(toolName: string, extra: RequestHandlerExtra<ServerRequest, ServerNotification>): ToolContext {
+  const progressToken = extra._meta?.progressToken;
+  if (progressToken === undefined) {
+    return { signal: extra.signal, reportProgress: () => {} };
+  }
+
+  let lastProgress = -Infinity;
+  let lastSentAt = 0;
+
+  const reportProgress: ProgressCallback = (progress, total, message) => {
+    if (extra.signal.aborted || progress <= lastProgress) return;
+
+    // Always send completion; otherwise at most one notification per interval
+    const now = Date.now();
+    if (progress !== total && now - lastSentAt < PROGRESS_INTERVAL_MS) return;
+
+    lastProgress = progress;
+    lastSentAt = now;
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message }
+    }).catch(error => logDebug(`Failed to send progress for ${toolName}: ${(error as Error).message}`));
+  };
+
+  return { signal: extra.signal, reportProgress };
+}
+
+/**
+ * Convert a zod schema into the JSON Schema object listed by tools/list
+ * Only .strict() objects declare additionalProperties: false, matching what zod enforces: input
+ * schemas are strict so unknown arguments are rejected, while outputs may carry extra fields
+ * (e.g. raw message properties)
+ * @param schema Zod schema; must describe an object
+ * @returns JSON Schema with a top-level type of "object"
+ * @throws Error if the schema does not describe an object
+ */
+export function toToolJsonSchema(schema: z.ZodTypeAny): Tool['inputSchema'] {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, {
+    $refStrategy: 'none',
+    removeAdditionalStrategy: 'strict'
+  }) as Record<string, unknown>;
+
+  // MCP clients require a plain object schema at the top level (no oneOf/anyOf)
+  if (jsonSchema.type !== 'object') {
+    throw new Error(`Tool schemas must describe an object, got ${JSON.stringify(jsonSchema.type)}`);
+  }
+
+  return jsonSchema as Tool['inputSchema'];
+}
+
+/**
+ * Register tools/list and tools/call handlers for a set of tools
+ * @param server MCP server
+ * @param tools Tool declarations
+ * @throws Error if two tools share a name or a schema is not an object
+ */
+export function registerTools(server: Server, tools: ToolDefinition[]): void {
+  const toolsByName = new Map<string, ToolDefinition>();
+  for (const tool of tools) {
+    if (toolsByName.has(tool.name)) {
+      throw new Error(`Duplicate tool name: ${tool.name}`);
+    }
+    toolsByName.set(tool.name, tool);
+  }
+
+  // Generate listings once; schemas are static
+  const listedTools: Tool[] = tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: toToolJsonSchema(tool.inputSchema),
+    ...(tool.outputSchema ? { outputSchema: toToolJsonSchema(tool.outputSchema) } : {})
+  }));
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: listedTools
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+
+    // An unknown tool cannot be routed at all, so it is a protocol error
+    const tool = toolsByName.get(name);
+    if (!tool) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown tool: ${name}`,
+        { error_code: ToolErrorCode.UNKNOWN_TOOL }
+      );
+    }
+
+    return withToolErrors(name, async () => {
+      const parsed = tool.inputSchema.safeParse(args ?? {});
+      if (!parsed.success) {
+        throw new ToolError(ToolErrorCode.INVALID_ARGUMENTS, `Invalid arguments: ${formatValidationError(parsed.error)}`);
+      }
+
+      const response = await tool.handler(parsed.data, createToolContext(name, extra));
+
+      // Clients validate structuredContent against the listed output schema, so never send a mismatch
+      if (tool.outputSchema && !response.isError) {
+        const output = tool.outputSchema.safeParse(response.structuredContent);
+        if (!output.success) {
+          throw new ToolError(ToolErrorCode.INTERNAL_ERROR, `Tool output does not match its output schema: ${formatValidationError(output.error)}`);
+        }
+      }
+
+      return response;
+    });
+  });
+}
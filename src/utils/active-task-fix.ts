@@ -3,12 +3,12 @@
  * Fixed version with improved error handling and detailed logging
  */
 
-import { config } from '../config.js';
 import * as fs from 'fs-extra';
 import * as path from 'path';
 import * as os from 'os';
 import * as pathUtils from './paths.js';
 import { promises as fsPromises } from 'fs';
+import { getStorageRoots } from './storage-roots.js';
 
 // Cache for active tasks data
 const activeTaskCache = new Map<string, any>();
@@ -188,6 +188,14 @@ export function clearActiveTaskCache(): void {
   logInfo('Active task cache cleared');
 }
 
+/**
+ * Get the active tasks file of the highest-priority storage root
+ * @returns Path of active_tasks.json
+ */
+function getActiveTasksFilePath(): string {
+  return getStorageRoots()[0].activeTasksFile;
+}
+
 /**
  * Check if active tasks file exists and is readable
  * @returns Promise resolving to true if the file exists and is readable, false otherwise
@@ -195,49 +203,49 @@ export function clearActiveTaskCache(): void {
 export async function checkActiveTasksFile(): Promise<boolean> {
   try {
     // Log the path we're checking
-    logDebug(`Checking active tasks file at: ${config.paths.activeTasksFile}`);
+    logDebug(`Checking active tasks file at: ${getActiveTasksFilePath()}`);
     
     // Check if file exists
     try {
-      const exists = await fs.pathExists(config.paths.activeTasksFile);
+      const exists = await fs.pathExists(getActiveTasksFilePath());
       if (!exists) {
-        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file does not exist: ${config.paths.activeTasksFile}`);
+        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file does not exist: ${getActiveTasksFilePath()}`);
         return false;
       }
       
-      logDebug(`Active tasks file exists at: ${config.paths.activeTasksFile}`);
+      logDebug(`Active tasks file exists at: ${getActiveTasksFilePath()}`);
       
       // Check if file is readable by trying to read it
       try {
         // Use Node.js fs.promises to read the file
-        await fsPromises.readFile(config.paths.activeTasksFile, 'utf8');
+        await fsPromises.readFile(getActiveTasksFilePath(), 'utf8');
         logDebug(`Active tasks file is readable`);
       } catch (readError) {
-        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file exists but is not readable: ${config.paths.activeTasksFile}`, readError);
+        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file exists but is not readable: ${getActiveTasksFilePath()}`, readError);
         return false;
       }
     } catch (error) {
-      logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error checking if active tasks file exists: ${config.paths.activeTasksFile}`, error);
+      logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error checking if active tasks file exists: ${getActiveTasksFilePath()}`, error);
       return false;
     }
     
     // Check file stats
     try {
-      const stats = await fs.stat(config.paths.activeTasksFile);
+      const stats = await fs.stat(getActiveTasksFilePath());
       logDebug(`Active tasks file stats: size=${stats.size}, mtime=${stats.mtime}`);
       
       if (stats.size === 0) {
-        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file is empty: ${config.paths.activeTasksFile}`);
+        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file is empty: ${getActiveTasksFilePath()}`);
         return false;
       }
     } catch (error) {
-      logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error getting active tasks file stats: ${config.paths.activeTasksFile}`, error);
+      logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error getting active tasks file stats: ${getActiveTasksFilePath()}`, error);
       return false;
     }
     
     return true;
   } catch (error) {
-    logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error checking active tasks file: ${config.paths.activeTasksFile}`, error);
+    logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error checking active tasks file: ${getActiveTasksFilePath()}`, error);
     return false;
   }
 }
@@ -272,10 +280,10 @@ export async function getActiveTasksDataWithCache(): Promise<{
     
     // Read from file if not in cache
     try {
-      logDebug(`Reading active tasks file: ${config.paths.activeTasksFile}`);
+      logDebug(`Reading active tasks file: ${getActiveTasksFilePath()}`);
       
       // Use Node.js fs.promises to read the file
-      const content = await fsPromises.readFile(config.paths.activeTasksFile, 'utf8');
+      const content = await fsPromises.readFile(getActiveTasksFilePath(), 'utf8');
       
       if (!content || content.trim() === '') {
         logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Active tasks file is empty');
@@ -6,12 +6,13 @@
 import { config } from '../config.js';
 import fs from 'fs-extra';
 import path from 'path';
-import os from 'os';
 import * as pathUtils from './paths.js';
+import { withFileLock, writeFileAtomicIfUnchanged } from './file-lock.js';
+import { createFileCache } from './file-cache.js';
+import { getStorageRoots, StorageRoot } from './storage-roots.js';
 
-// Cache for active tasks data
-const activeTaskCache = new Map<string, any>();
-const CACHE_EXPIRY_MS = 30000; // 30 seconds
+// Parsed active_tasks.json files, re-read only when a file changes
+const activeTasksCache = createFileCache<{ activeTasks: ActiveTaskEntry[] }>('Active tasks');
 
 /**
  * Error codes for active task operations
@@ -128,67 +129,40 @@ export function logDebug(message: string, context?: any) {
 }
 
 /**
- * Get cached active tasks data if available and not expired
- * @returns Cached active tasks data or null if not available
- */
-function getCachedActiveTasksData(): { activeTasks: Array<any> } | null {
-  const cached = activeTaskCache.get('activeTasks');
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_EXPIRY_MS) {
-    return cached.data;
-  }
-  
-  return null;
-}
-
-/**
- * Cache active tasks data
- * @param data Active tasks data to cache
+ * Clear active task cache
  */
-function cacheActiveTasksData(data: { activeTasks: Array<any> }): void {
-  activeTaskCache.set('activeTasks', {
-    data,
-    timestamp: Date.now()
-  });
+export function clearActiveTaskCache(): void {
+  activeTasksCache.clear();
+  logInfo('Active task cache cleared');
 }
 
 /**
- * Get cached active task by ID if available and not expired
- * @param taskId Task ID
- * @returns Cached active task or null if not available
+ * Get the active tasks file of every discovered storage root, in the order they are read
+ * @returns Array of active_tasks.json paths
  */
-function getCachedActiveTask(taskId: string): any | null {
-  const cached = activeTaskCache.get(`task:${taskId}`);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_EXPIRY_MS) {
-    return cached.data;
-  }
-  
-  return null;
+export function getActiveTasksFilePaths(): string[] {
+  return getStorageRoots().map(root => root.activeTasksFile);
 }
 
 /**
- * Cache active task
- * @param taskId Task ID
- * @param data Active task data to cache
+ * Read one active tasks file through the cache, tagging each entry with its storage root
+ * @param root Storage root
+ * @returns Active tasks in the file
+ * @throws Error if the file cannot be read or parsed
  */
-function cacheActiveTask(taskId: string, data: any): void {
-  activeTaskCache.set(`task:${taskId}`, {
-    data,
-    timestamp: Date.now()
+async function readActiveTasksFile(root: StorageRoot): Promise<ActiveTaskEntry[]> {
+  const data = await activeTasksCache.get(root.activeTasksFile, async filePath => {
+    logDebug(`Reading active tasks from ${filePath}`);
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    logInfo(`Found ${data.activeTasks?.length || 0} active tasks`);
+    return { ...data, activeTasks: Array.isArray(data.activeTasks) ? data.activeTasks : [] };
   });
-}
-
-/**
- * Clear active task cache
- */
-export function clearActiveTaskCache(): void {
-  activeTaskCache.clear();
-  logInfo('Active task cache cleared');
+  return data.activeTasks.map(task => ({ ...task, source: root.source, extensionType: root.extension.name }));
 }
 
 /**
  * Get active tasks data with caching
+ * Active tasks from every storage root are combined, higher-priority roots first
  * @returns Promise resolving to active tasks data
  */
 export async function getActiveTasksDataWithCache(): Promise<{ 
@@ -201,51 +175,22 @@ export async function getActiveTasksDataWithCache(): Promise<{
   }> 
 }> {
   try {
-    // Check cache first
-    const cachedData = getCachedActiveTasksData();
-    if (cachedData) {
-      logDebug('Using cached active tasks data');
-      return cachedData;
-    }
-    
-    // Get active tasks data directly using fs-extra
-    const homedir = os.homedir();
-    const ultraActivePath = path.join(homedir, 'Library', 'Application Support', 'Code', 'User', 'globalStorage', 'custom.claude-dev-ultra', 'active_tasks.json');
-    const standardActivePath = path.join(homedir, 'Library', 'Application Support', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'active_tasks.json');
-    
-    let activeTasksData = null;
-    
-    // Try to read the active tasks file from both locations
-    if (await fs.pathExists(ultraActivePath)) {
-      try {
-        logDebug(`Reading active tasks from ultra path: ${ultraActivePath}`);
-        const content = await fs.readFile(ultraActivePath, 'utf8');
-        activeTasksData = JSON.parse(content);
-      } catch (error) {
-        logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Error reading ultra active tasks file:', error);
-      }
-    }
-    
-    if (!activeTasksData && await fs.pathExists(standardActivePath)) {
+    // The cache only re-reads a file that changed
+    const activeTasks: ActiveTaskEntry[] = [];
+    for (const root of getStorageRoots()) {
+      if (!await fs.pathExists(root.activeTasksFile)) continue;
+      
       try {
-        logDebug(`Reading active tasks from standard path: ${standardActivePath}`);
-        const content = await fs.readFile(standardActivePath, 'utf8');
-        activeTasksData = JSON.parse(content);
+        activeTasks.push(...await readActiveTasksFile(root));
       } catch (error) {
-        logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Error reading standard active tasks file:', error);
+        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error reading active tasks file ${root.activeTasksFile}:`, error);
       }
     }
     
-    // If we found active tasks data, cache it
-    if (activeTasksData) {
-      logInfo(`Found ${activeTasksData.activeTasks?.length || 0} active tasks`);
-      cacheActiveTasksData(activeTasksData);
-      return activeTasksData;
+    if (activeTasks.length === 0) {
+      logWarning('No active tasks found');
     }
-    
-    // Return empty array if no active tasks found
-    logWarning('No active tasks found');
-    return { activeTasks: [] };
+    return { activeTasks };
   } catch (error) {
     logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Unexpected error in getActiveTasksDataWithCache', error);
     return { activeTasks: [] };
@@ -253,8 +198,8 @@ export async function getActiveTasksDataWithCache(): Promise<{
 }
 
 /**
- * Get active task by ID or label with caching
- * @param taskIdOrLabel Task ID or label (A, B)
+ * Get active task by ID or ACTIVE_<label> reference with caching
+ * @param taskIdOrLabel Task ID, or ACTIVE_<label> for the task marked with any label (e.g. ACTIVE_A, ACTIVE_frontend)
  * @returns Promise resolving to active task or undefined if not found
  */
 export async function getActiveTaskWithCache(taskIdOrLabel?: string): Promise<{
@@ -267,22 +212,11 @@ export async function getActiveTaskWithCache(taskIdOrLabel?: string): Promise<{
   try {
     logDebug(`Getting active task with taskIdOrLabel: ${taskIdOrLabel || 'undefined'}`);
     
-    // Handle special cases for ACTIVE_A and ACTIVE_B
-    if (taskIdOrLabel === 'ACTIVE_A' || taskIdOrLabel === 'ACTIVE_B') {
-      const label = taskIdOrLabel === 'ACTIVE_A' ? 'A' : 'B';
+    // ACTIVE_<label> selects the task currently marked with that label
+    const label = taskIdOrLabel ? pathUtils.parseActiveTaskReference(taskIdOrLabel) : null;
+    if (label) {
       logDebug(`Looking for active task with label: ${label}`);
       
-      // Check cache first for the label
-      const cachedData = getCachedActiveTasksData();
-      if (cachedData && cachedData.activeTasks) {
-        const task = cachedData.activeTasks.find(t => t.label === label);
-        if (task) {
-          logDebug(`Found cached task with label ${label}: ${task.id}`);
-          return task;
-        }
-      }
-      
-      // If not in cache, get from file
       const activeTasksData = await getActiveTasksDataWithCache();
       
       // Log all active tasks for debugging
@@ -305,21 +239,11 @@ export async function getActiveTaskWithCache(taskIdOrLabel?: string): Promise<{
     if (taskIdOrLabel) {
       logDebug(`Looking for active task with ID: ${taskIdOrLabel}`);
       
-      // Check cache first for the task ID
-      const cachedTask = getCachedActiveTask(taskIdOrLabel);
-      if (cachedTask) {
-        logDebug(`Found cached task with ID: ${taskIdOrLabel}`);
-        return cachedTask;
-      }
-      
-      // If not in cache, check if it's an active task
       const activeTasksData = await getActiveTasksDataWithCache();
       const task = activeTasksData.activeTasks.find(t => t.id === taskIdOrLabel);
       
       if (task) {
-        // Cache the task
-        cacheActiveTask(taskIdOrLabel, task);
-        logDebug(`Found and cached task with ID: ${taskIdOrLabel}`);
+        logDebug(`Found task with ID: ${taskIdOrLabel}`);
         return task;
       }
       
@@ -327,15 +251,12 @@ export async function getActiveTaskWithCache(taskIdOrLabel?: string): Promise<{
       return undefined;
     }
     
-    // If no taskIdOrLabel provided, return the first active task (prioritize A then B)
+    // If no taskIdOrLabel provided, return the task with the highest-priority label
     logDebug(`No taskIdOrLabel provided, looking for default active task`);
     const activeTasksData = await getActiveTasksDataWithCache();
     
     if (activeTasksData.activeTasks && activeTasksData.activeTasks.length > 0) {
-      // Prioritize A, then B
-      const task = activeTasksData.activeTasks.find(t => t.label === 'A') || 
-                  activeTasksData.activeTasks.find(t => t.label === 'B') ||
-                  activeTasksData.activeTasks[0];
+      const task = pathUtils.selectDefaultActiveTask(activeTasksData.activeTasks);
       
       if (task) {
         logDebug(`Found default active task: ${task.id} (label: ${task.label})`);
@@ -390,6 +311,152 @@ export async function getAllActiveTasksWithCache(label?: string): Promise<Array<
   }
 }
 
+/**
+ * Entry of active_tasks.json
+ */
+export interface ActiveTaskEntry {
+  id: string;
+  label: string;
+  lastActivated: number;
+  source?: string;
+  extensionType?: string;
+  [key: string]: unknown;
+}
+
+/**
+ * Result of assigning or clearing an active task label
+ */
+export interface ActiveTaskLabelChange {
+  label: string;
+  taskId: string | null;            // Task now marked with the label, or null if it was cleared
+  previousTaskId: string | null;    // Task marked with the label before the change
+  replacedLabel: string | null;     // Label the task carried before, replaced by this one
+  lastActivated: number | null;
+  activeTasks: ActiveTaskEntry[];
+  filePath: string;
+}
+
+// Attempts to write active_tasks.json when another process changes it while it is being updated
+const MAX_ACTIVE_TASKS_WRITE_ATTEMPTS = 3;
+
+/**
+ * Error for an active_tasks.json that kept changing while a label change was being written
+ * The file is left as the other writer (e.g. Cline) wrote it; the change can be retried.
+ */
+export class ActiveTasksConflictError extends Error {
+  constructor(public readonly filePath: string) {
+    super(`${filePath} changed during each of ${MAX_ACTIVE_TASKS_WRITE_ATTEMPTS} attempts to update it`);
+    this.name = 'ActiveTasksConflictError';
+  }
+}
+
+/**
+ * Get the active_tasks.json that a label is written to
+ * @param taskId Task to mark, or null when clearing the label
+ * @returns The active tasks file of the task's storage root; otherwise the first existing active
+ * tasks file, or that of the highest-priority storage root if there is none
+ */
+async function getWritableActiveTasksFilePath(taskId: string | null): Promise<string> {
+  const taskLocation = taskId ? await pathUtils.findTaskAcrossPaths(taskId) : null;
+  if (taskLocation) {
+    return taskLocation.root.activeTasksFile;
+  }
+  
+  const filePaths = getActiveTasksFilePaths();
+  for (const filePath of filePaths) {
+    if (await fs.pathExists(filePath)) {
+      return filePath;
+    }
+  }
+  return filePaths[0];
+}
+
+/**
+ * Apply a label change to one active_tasks.json
+ * The file is changed under an advisory lock and written atomically; because Cline does not
+ * take the lock, its modification time is compared right before the new content is renamed into
+ * place, and the update is retried if the file changed since it was read. The file is never
+ * written over a change it did not read.
+ * @param filePath Active tasks file
+ * @param label Label to assign or remove
+ * @param taskId Task to mark, or null to remove the label from this file
+ * @returns The task that carried the label, the label the task carried before, and the time it was marked
+ * @throws SyntaxError if the file exists but is not valid JSON
+ * @throws ActiveTasksConflictError if the file changed during every attempt
+ */
+async function updateActiveTasksFile(filePath: string, label: string, taskId: string | null): Promise<{
+  previousTaskId: string | null;
+  replacedLabel: string | null;
+  lastActivated: number | null;
+}> {
+  return withFileLock(filePath, async () => {
+    for (let attempt = 1; ; attempt++) {
+      const before = await fs.stat(filePath).catch(() => null);
+      const data = before ? JSON.parse(await fs.readFile(filePath, 'utf8')) : {};
+      const activeTasks: ActiveTaskEntry[] = Array.isArray(data.activeTasks) ? data.activeTasks : [];
+
+      const previousTaskId = activeTasks.find(task => task.label === label)?.id ?? null;
+      const replacedLabel = taskId ? activeTasks.find(task => task.id === taskId && task.label !== label)?.label ?? null : null;
+      const existing = taskId ? activeTasks.find(task => task.id === taskId) : undefined;
+
+      const updatedTasks = activeTasks.filter(task => task.label !== label && task.id !== taskId);
+      const lastActivated = taskId ? Date.now() : null;
+      if (taskId) {
+        updatedTasks.push({ ...existing, id: taskId, label, lastActivated: lastActivated! });
+      }
+
+      // Only replace the file if nobody wrote it since it was read
+      const content = JSON.stringify({ ...data, activeTasks: updatedTasks }, null, 2);
+      if (await writeFileAtomicIfUnchanged(filePath, content, before?.mtimeMs ?? null)) {
+        return { previousTaskId, replacedLabel, lastActivated };
+      }
+      if (attempt >= MAX_ACTIVE_TASKS_WRITE_ATTEMPTS) {
+        throw new ActiveTasksConflictError(filePath);
+      }
+      logWarning(`Active tasks file changed while updating label ${label}, retrying`);
+    }
+  });
+}
+
+/**
+ * Assign a label to a task, moving it off any task that carried it, or clear the label
+ * A task carries at most one label, so a label it already had is replaced. The label is written
+ * to the active tasks file of the task's storage root and removed from every other root's file.
+ * @param label Label to assign or clear (e.g. A or frontend)
+ * @param taskId Task to mark, or null to clear the label
+ * @returns The change and the resulting active tasks of all storage roots
+ * @throws SyntaxError if an active_tasks.json exists but is not valid JSON
+ * @throws Error if a lock cannot be taken or a file cannot be written
+ */
+export async function setActiveTaskLabel(label: string, taskId: string | null): Promise<ActiveTaskLabelChange> {
+  const filePath = await getWritableActiveTasksFilePath(taskId);
+  const change = await updateActiveTasksFile(filePath, label, taskId);
+  let previousTaskId = change.previousTaskId;
+
+  for (const root of getStorageRoots()) {
+    if (root.activeTasksFile === filePath || !await fs.pathExists(root.activeTasksFile)) continue;
+    
+    const activeTasks = await readActiveTasksFile(root);
+    if (activeTasks.some(task => task.label === label)) {
+      const removed = await updateActiveTasksFile(root.activeTasksFile, label, null);
+      previousTaskId = previousTaskId ?? removed.previousTaskId;
+    }
+  }
+
+  clearActiveTaskCache();
+  logInfo(taskId ? `Marked task ${taskId} as active ${label}` : `Cleared active label ${label}`);
+  
+  return {
+    label,
+    taskId,
+    previousTaskId,
+    replacedLabel: change.replacedLabel,
+    lastActivated: change.lastActivated,
+    activeTasks: await getAllActiveTasksWithCache(),
+    filePath
+  };
+}
+
 /**
  * Get the VS Code tasks directory for a specific task
  * @param taskId Task ID
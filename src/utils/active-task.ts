@@ -3,15 +3,15 @@
  * Fixed version with improved error handling and detailed logging
  */
 
-import { config } from '../config.js';
 import * as fs from 'fs-extra';
 import * as path from 'path';
 import * as os from 'os';
 import * as pathUtils from './paths.js';
+import { createFileCache } from './file-cache.js';
+import { getStorageRoots } from './storage-roots.js';
 
-// Cache for active tasks data
-const activeTaskCache = new Map<string, any>();
-const CACHE_EXPIRY_MS = 30000; // 30 seconds
+// Parsed active_tasks.json, re-read only when the file changes
+const activeTasksCache = createFileCache<{ activeTasks: ActiveTask[] }>('Active tasks');
 
 /**
  * Error codes for active task operations
@@ -128,63 +128,19 @@ export function logDebug(message: string, context?: any) {
 }
 
 /**
- * Get cached active tasks data if available and not expired
- * @returns Cached active tasks data or null if not available
- */
-function getCachedActiveTasksData(): { activeTasks: Array<any> } | null {
-  const cached = activeTaskCache.get('activeTasks');
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_EXPIRY_MS) {
-    return cached.data;
-  }
-  
-  return null;
-}
-
-/**
- * Cache active tasks data
- * @param data Active tasks data to cache
- */
-function cacheActiveTasksData(data: { activeTasks: Array<any> }): void {
-  activeTaskCache.set('activeTasks', {
-    data,
-    timestamp: Date.now()
-  });
-}
-
-/**
- * Get cached active task by ID if available and not expired
- * @param taskId Task ID
- * @returns Cached active task or null if not available
- */
-function getCachedActiveTask(taskId: string): any | null {
-  const cached = activeTaskCache.get(`task:${taskId}`);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_EXPIRY_MS) {
-    return cached.data;
-  }
-  
-  return null;
-}
-
-/**
- * Cache active task
- * @param taskId Task ID
- * @param data Active task data to cache
+ * Clear active task cache
  */
-function cacheActiveTask(taskId: string, data: any): void {
-  activeTaskCache.set(`task:${taskId}`, {
-    data,
-    timestamp: Date.now()
-  });
+export function clearActiveTaskCache(): void {
+  activeTasksCache.clear();
+  logInfo('Active task cache cleared');
 }
 
 /**
- * Clear active task cache
+ * Get the active tasks file of the highest-priority storage root
+ * @returns Path of active_tasks.json
  */
-export function clearActiveTaskCache(): void {
-  activeTaskCache.clear();
-  logInfo('Active task cache cleared');
+function getActiveTasksFilePath(): string {
+  return getStorageRoots()[0].activeTasksFile;
 }
 
 /**
@@ -194,14 +150,14 @@ export function clearActiveTaskCache(): void {
 export async function checkActiveTasksFile(): Promise<boolean> {
   try {
     // Log the path we're checking
-    logDebug(`Checking active tasks file at: ${config.paths.activeTasksFile}`);
+    logDebug(`Checking active tasks file at: ${getActiveTasksFilePath()}`);
     
     // Check if file exists and is readable
     try {
       // Use fs-extra's pathExists
-      const exists = await fs.pathExists(config.paths.activeTasksFile);
+      const exists = await fs.pathExists(getActiveTasksFilePath());
       if (!exists) {
-        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file does not exist: ${config.paths.activeTasksFile}`);
+        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file does not exist: ${getActiveTasksFilePath()}`);
         return false;
       }
       
@@ -209,34 +165,34 @@ export async function checkActiveTasksFile(): Promise<boolean> {
       try {
         // Use fs.readFileSync from Node.js core fs module
         const nodeFs = await import('fs');
-        nodeFs.readFileSync(config.paths.activeTasksFile, { encoding: 'utf8' });
+        nodeFs.readFileSync(getActiveTasksFilePath(), { encoding: 'utf8' });
         // If we get here, the file is readable
       } catch (readError) {
-        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file exists but is not readable: ${config.paths.activeTasksFile}`, readError);
+        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file exists but is not readable: ${getActiveTasksFilePath()}`, readError);
         return false;
       }
     } catch (error) {
-      logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error checking if active tasks file is readable: ${config.paths.activeTasksFile}`, error);
+      logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error checking if active tasks file is readable: ${getActiveTasksFilePath()}`, error);
       return false;
     }
     
     // Check file stats
     try {
-      const stats = await fs.stat(config.paths.activeTasksFile);
+      const stats = await fs.stat(getActiveTasksFilePath());
       logDebug(`Active tasks file stats: size=${stats.size}, mtime=${stats.mtime}`);
       
       if (stats.size === 0) {
-        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file is empty: ${config.paths.activeTasksFile}`);
+        logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Active tasks file is empty: ${getActiveTasksFilePath()}`);
         return false;
       }
     } catch (error) {
-      logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error getting active tasks file stats: ${config.paths.activeTasksFile}`, error);
+      logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error getting active tasks file stats: ${getActiveTasksFilePath()}`, error);
       return false;
     }
     
     return true;
   } catch (error) {
-    logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error checking active tasks file: ${config.paths.activeTasksFile}`, error);
+    logError(ActiveTaskErrorCode.FILE_READ_ERROR, `Error checking active tasks file: ${getActiveTasksFilePath()}`, error);
     return false;
   }
 }
@@ -256,75 +212,67 @@ export async function getActiveTasksDataWithCache(): Promise<{
   }> 
 }> {
   try {
-    // Check cache first
-    const cachedData = getCachedActiveTasksData();
-    if (cachedData) {
-      logDebug('Using cached active tasks data');
-      return cachedData;
-    }
+    // Only a changed file is read and validated again
+    return await activeTasksCache.get(getActiveTasksFilePath(), readActiveTasksFile);
+  } catch (error) {
+    logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Error reading active tasks file', error);
+    return { activeTasks: [] };
+  }
+}
+
+/**
+ * Read and validate the active tasks file
+ * @param filePath Path to active_tasks.json
+ * @returns Active tasks data, or no active tasks if the file is empty or invalid
+ */
+async function readActiveTasksFile(filePath: string): Promise<{ activeTasks: ActiveTask[] }> {
+  // Check if file exists and is readable
+  const isFileValid = await checkActiveTasksFile();
+  if (!isFileValid) {
+    return { activeTasks: [] };
+  }
+  
+  logDebug(`Reading active tasks file: ${filePath}`);
+  const content = await fs.readFile(filePath, 'utf8');
+  
+  if (!content || content.trim() === '') {
+    logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Active tasks file is empty');
+    return { activeTasks: [] };
+  }
+  
+  logDebug(`Active tasks file content length: ${content.length}`);
+  
+  // Try to parse the JSON
+  try {
+    const data = JSON.parse(content);
     
-    // Check if file exists and is readable
-    const isFileValid = await checkActiveTasksFile();
-    if (!isFileValid) {
+    // Validate the data structure
+    if (!data || typeof data !== 'object') {
+      logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Invalid active tasks data: not an object');
       return { activeTasks: [] };
     }
     
-    // Read from file if not in cache
-    try {
-      logDebug(`Reading active tasks file: ${config.paths.activeTasksFile}`);
-      const content = await fs.readFile(config.paths.activeTasksFile, 'utf8');
-      
-      if (!content || content.trim() === '') {
-        logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Active tasks file is empty');
-        return { activeTasks: [] };
-      }
-      
-      logDebug(`Active tasks file content length: ${content.length}`);
-      
-      // Try to parse the JSON
-      try {
-        const data = JSON.parse(content);
-        
-        // Validate the data structure
-        if (!data || typeof data !== 'object') {
-          logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Invalid active tasks data: not an object');
-          return { activeTasks: [] };
-        }
-        
-        if (!data.activeTasks || !Array.isArray(data.activeTasks)) {
-          logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Invalid active tasks data: activeTasks is not an array');
-          return { activeTasks: [] };
-        }
-        
-        // Cache the data
-        cacheActiveTasksData(data);
-        
-        logInfo(`Found ${data.activeTasks.length} active tasks`);
-        return data;
-      } catch (error) {
-        logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Error parsing active tasks JSON', error);
-        
-        // Log the first 100 characters of the content to help debug
-        if (content.length > 0) {
-          logDebug(`First 100 chars of content: ${content.substring(0, 100)}...`);
-        }
-        
-        return { activeTasks: [] };
-      }
-    } catch (error) {
-      logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Error reading active tasks file', error);
+    if (!data.activeTasks || !Array.isArray(data.activeTasks)) {
+      logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Invalid active tasks data: activeTasks is not an array');
       return { activeTasks: [] };
     }
+    
+    logInfo(`Found ${data.activeTasks.length} active tasks`);
+    return data;
   } catch (error) {
-    logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Unexpected error in getActiveTasksDataWithCache', error);
+    logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Error parsing active tasks JSON', error);
+    
+    // Log the first 100 characters of the content to help debug
+    if (content.length > 0) {
+      logDebug(`First 100 chars of content: ${content.substring(0, 100)}...`);
+    }
+    
     return { activeTasks: [] };
   }
 }
 
 /**
- * Get active task by ID or label with caching
- * @param taskIdOrLabel Task ID or label (A, B)
- * @returns Promise resolving to active task or undefined if not found
+ * Task marked with a label in active_tasks.json
  */
 export interface ActiveTask {
   id: string;
@@ -335,58 +283,32 @@ export interface ActiveTask {
   conversationPath?: string;
 }
 
+/**
+ * Get active task by ID or ACTIVE_<label> reference with caching
+ * @param taskIdOrLabel Task ID, or ACTIVE_<label> for the task marked with any label (e.g. ACTIVE_A, ACTIVE_frontend)
+ * @returns Promise resolving to active task or undefined if not found
+ */
 export async function getActiveTaskWithCache(taskIdOrLabel?: string): Promise<ActiveTask | undefined> {
   try {
-    // Handle special cases for ACTIVE_A and ACTIVE_B
-    if (taskIdOrLabel === 'ACTIVE_A' || taskIdOrLabel === 'ACTIVE_B') {
-      const label = taskIdOrLabel === 'ACTIVE_A' ? 'A' : 'B';
-      
-      // Check cache first for the label
-      const cachedData = getCachedActiveTasksData();
-      if (cachedData && cachedData.activeTasks) {
-        const task = cachedData.activeTasks.find(t => t.label === label);
-        if (task) {
-          return task;
-        }
-      }
-      
-      // If not in cache, get from file
+    // ACTIVE_<label> selects the task currently marked with that label
+    const label = taskIdOrLabel ? pathUtils.parseActiveTaskReference(taskIdOrLabel) : null;
+    if (label) {
       const activeTasksData = await getActiveTasksDataWithCache();
       return activeTasksData.activeTasks.find(task => task.label === label);
     }
     
     // If taskIdOrLabel is a specific task ID
     if (taskIdOrLabel) {
-      // Check cache first for the task ID
-      const cachedTask = getCachedActiveTask(taskIdOrLabel);
-      if (cachedTask) {
-        return cachedTask;
-      }
-      
-      // If not in cache, check if it's an active task
+      // Undefined if the task is not an active task
       const activeTasksData = await getActiveTasksDataWithCache();
-      const task = activeTasksData.activeTasks.find(t => t.id === taskIdOrLabel);
-      
-      if (task) {
-        // Cache the task
-        cacheActiveTask(taskIdOrLabel, task);
-        return task;
-      }
-      
-      // If not an active task, return undefined
-      return undefined;
+      return activeTasksData.activeTasks.find(t => t.id === taskIdOrLabel);
     }
     
-    // If no taskIdOrLabel provided, return the first active task (prioritize A then B)
+    // If no taskIdOrLabel provided, return the task with the highest-priority label
     const activeTasksData = await getActiveTasksDataWithCache();
     
     if (activeTasksData.activeTasks && activeTasksData.activeTasks.length > 0) {
-      // Prioritize A, then B
-      const task = activeTasksData.activeTasks.find(t => t.label === 'A') || 
-                  activeTasksData.activeTasks.find(t => t.label === 'B') ||
-                  activeTasksData.activeTasks[0];
-      
-      return task;
+      return pathUtils.selectDefaultActiveTask(activeTasksData.activeTasks);
     }
   } catch (error) {
     logError(ActiveTaskErrorCode.FILE_READ_ERROR, 'Error getting active task', error);
@@ -0,0 +1,51 @@
+/**
+ * Cancellation and progress helpers for long-running operations
+ * Operations accept an optional AbortSignal and reject with an AbortError once it fires
+ */
+
+/**
+ * Progress callback
+ * @param progress Work done so far (e.g. bytes read); increases with every call
+ * @param total Total work, if known
+ * @param message Optional human-readable description
+ */
+export type ProgressCallback = (progress: number, total?: number, message?: string) => void;
+
+/**
+ * Options accepted by cancellable operations
+ */
+export interface CancellationOptions {
+  signal?: AbortSignal;
+  onProgress?: ProgressCallback;
+}
+
+/**
+ * Create the error an aborted operation rejects with
+ * @param message Error message
+ * @returns Error named AbortError
+ */
+export function createAbortError(message: string = 'The operation was cancelled'): Error {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check whether an error comes from an aborted operation
+ * @param error Thrown value
+ * @returns True for AbortErrors, including those thrown by Node.js APIs
+ */
+export function isAbortError(error: unknown): boolean {
+  return error instanceof Error && error.name === 'AbortError';
+}
+
+/**
+ * Throw an AbortError if the signal has fired
+ * @param signal Optional abort signal
+ * @throws AbortError if the signal is aborted
+ */
+export function throwIfAborted(signal?: AbortSignal): void {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
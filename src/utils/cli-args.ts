@@ -0,0 +1,68 @@
+/**
+ * Command line parsing for the Cline Chat Reader MCP Server
+ *
+ * Usage: cline-chat-reader [--config FILE] [--transport stdio|http] [--port N] [--token TOKEN]
+ *
+ * --config is read by config.ts when the configuration is loaded; it is only accepted here.
+ */
+
+import { parseArgs } from 'util';
+import { config } from '../config.js';
+
+/**
+ * Transports the server can run on
+ */
+export type ServerTransportKind = 'stdio' | 'http';
+
+/**
+ * Options for starting the server
+ */
+export interface ServerStartOptions {
+  transport: ServerTransportKind;
+  port: number;                 // HTTP transport only
+  token?: string;               // HTTP transport only; bearer token clients must send
+}
+
+/**
+ * Parse the server's command line arguments
+ * The bearer token can also be set with CLINE_MCP_HTTP_TOKEN, which keeps it out of the process list
+ * @param argv Arguments after the script name
+ * @param env Environment variables
+ * @returns Server start options
+ * @throws Error if an argument is unknown or invalid
+ */
+export function parseServerArgs(
+  argv: string[] = process.argv.slice(2),
+  env: NodeJS.ProcessEnv = process.env
+): ServerStartOptions {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      transport: { type: 'string', default: 'stdio' },
+      port: { type: 'string' },
+      token: { type: 'string' },
+      config: { type: 'string' }
+    },
+    strict: true
+  });
+
+  const transport = values.transport;
+  if (transport !== 'stdio' && transport !== 'http') {
+    throw new Error(`Invalid --transport "${transport}". Expected "stdio" or "http".`);
+  }
+
+  const port = values.port !== undefined ? Number(values.port) : config.http.port;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --port "${values.port}". Expected an integer between 0 and 65535.`);
+  }
+
+  if (transport === 'stdio' && (values.port !== undefined || values.token !== undefined)) {
+    throw new Error('--port and --token require --transport http');
+  }
+
+  return {
+    transport,
+    port,
+    token: values.token || env.CLINE_MCP_HTTP_TOKEN || undefined
+  };
+}
@@ -3,14 +3,14 @@
  * Provides utilities for extracting key information from large conversation histories
  */
 
-import fs from 'fs';
 import { chain } from 'stream-chain';
 import { createRequire } from 'module';
 import { Message } from '../models/task.js';
+import { StreamOptions, createSourceStream, abortPipelineOnSignal } from './json-streaming.js';
 
 const require = createRequire(import.meta.url);
-const { Parser } = require('stream-json/Parser');
-const { StreamArray } = require('stream-json/streamers/StreamArray');
+const Parser = require('stream-json/Parser');
+const StreamArray = require('stream-json/streamers/StreamArray');
 
 // Common English stop words to filter out
 const stopWords = [
@@ -47,11 +47,13 @@ export interface ConversationAnalysis {
  * Analyze a conversation history file using streaming to minimize memory usage
  * @param filePath Path to the conversation history JSON file
  * @param since Optional timestamp to filter messages (only include messages after this time)
+ * @param options Abort signal, which stops the stream, and bytes-read callback
  * @returns Promise resolving to the conversation analysis
  */
 export async function analyzeConversationStream(
   filePath: string,
-  since: number = 0
+  since: number = 0,
+  options: StreamOptions = {}
 ): Promise<ConversationAnalysis> {
   return new Promise((resolve, reject) => {
     // Initialize analysis object
@@ -77,7 +79,7 @@ export async function analyzeConversationStream(
     
     // Create streaming pipeline
     const pipeline = chain([
-      fs.createReadStream(filePath),
+      createSourceStream(filePath, options),
       new Parser({ jsonStreaming: true }),
       new StreamArray(),
       (data: { value: Message }) => {
@@ -174,9 +176,12 @@ export async function analyzeConversationStream(
         return null; // We don't need to pass data downstream
       }
     ]);
+    const detachAbort = abortPipelineOnSignal(pipeline, options.signal, reject);
     
     // Handle end of stream
     pipeline.on('end', () => {
+      detachAbort();
+      
       // Process topic frequency to get top topics
       analysis.topics = Object.entries(topicFrequency)
         .sort((a, b) => b[1] - a[1])
@@ -198,6 +203,7 @@ export async function analyzeConversationStream(
     });
     
     pipeline.on('error', (err: Error) => {
+      detachAbort();
       reject(new Error(`Error analyzing conversation: ${err.message}`));
     });
   });
@@ -8,6 +8,8 @@ import path from 'path';
 import { Message } from '../models/task.js';
 import { analyzeMessages, extractTopics, extractEntities } from './conversation-analyzer-simple.js';
 import { readJsonArray } from './json-fallback.js';
+import { CancellationOptions, isAbortError, throwIfAborted } from './cancellation.js';
+import { getStorageRoots } from './storage-roots.js';
 
 /**
  * Recovery result interface
@@ -56,12 +58,15 @@ export interface RecoveryResult {
  * @param taskIdOrFilePath Task ID or path to the conversation file
  * @param maxLength Maximum length of the summary
  * @param includeCodeSnippets Whether to include code snippets in the result
+ * @param options Abort signal and progress callback; progress counts completed recovery phases
  * @returns Promise resolving to the recovery result
+ * @throws AbortError if the signal fires
  */
 export async function recoverCrashedConversation(
   taskIdOrFilePath: string,
   maxLength: number = 2000,
-  includeCodeSnippets: boolean = true
+  includeCodeSnippets: boolean = true,
+  options: CancellationOptions = {}
 ): Promise<RecoveryResult> {
   // Check if input is a task ID or a direct file path
   let actualFilePath = taskIdOrFilePath;
@@ -71,30 +76,16 @@ export async function recoverCrashedConversation(
   if (!taskIdOrFilePath.endsWith('.json')) {
     taskId = taskIdOrFilePath;
     
-    // Get both Cline Ultra and standard Cline paths
-    const homedir = process.env.HOME || process.env.USERPROFILE || '';
-    const ultraPath = path.join(homedir, 'Library', 'Application Support', 'Code', 'User', 'globalStorage', 'custom.claude-dev-ultra', 'tasks', taskId);
-    const standardPath = path.join(homedir, 'Library', 'Application Support', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'tasks', taskId);
+    // Look for the API conversation file in every storage root (with either naming convention)
+    const candidates = getStorageRoots().flatMap(root => [
+      path.join(root.tasksDir, taskId, 'api-conversation.json'),
+      path.join(root.tasksDir, taskId, 'api_conversation_history.json')
+    ]);
+    const found = candidates.find(filePath => fs.existsSync(filePath));
     
-    // Check for the API conversation file in both paths (with different naming conventions)
-    const ultraApiFile = path.join(ultraPath, 'api-conversation.json');
-    const ultraApiFileAlt = path.join(ultraPath, 'api_conversation_history.json');
-    const standardApiFile = path.join(standardPath, 'api-conversation.json');
-    const standardApiFileAlt = path.join(standardPath, 'api_conversation_history.json');
-    
-    // Check all possible file paths
-    if (fs.existsSync(ultraApiFile)) {
-      console.error(`Found conversation file in Cline Ultra (hyphen): ${ultraApiFile}`);
-      actualFilePath = ultraApiFile;
-    } else if (fs.existsSync(ultraApiFileAlt)) {
-      console.error(`Found conversation file in Cline Ultra (underscore): ${ultraApiFileAlt}`);
-      actualFilePath = ultraApiFileAlt;
-    } else if (fs.existsSync(standardApiFile)) {
-      console.error(`Found conversation file in standard Cline (hyphen): ${standardApiFile}`);
-      actualFilePath = standardApiFile;
-    } else if (fs.existsSync(standardApiFileAlt)) {
-      console.error(`Found conversation file in standard Cline (underscore): ${standardApiFileAlt}`);
-      actualFilePath = standardApiFileAlt;
+    if (found) {
+      console.error(`Found conversation file: ${found}`);
+      actualFilePath = found;
     } else {
       console.error(`Task ID ${taskId} not found. Using provided path as direct file path.`);
     }
@@ -125,8 +116,17 @@ export async function recoverCrashedConversation(
     }
   };
   
+  // Check for cancellation between phases and report each completed one
+  const totalPhases = 5;
+  let phasesDone = 0;
+  const completePhase = (message: string) => {
+    throwIfAborted(options.signal);
+    options.onProgress?.(++phasesDone, totalPhases, message);
+  };
+  
   // Try different recovery strategies in order of increasing aggressiveness
-  const messages = await attemptRecovery(actualFilePath);
+  const messages = await attemptRecovery(actualFilePath, options.signal);
+  completePhase(`Recovered ${messages.length} messages`);
   
   // Update message counts
   result.message_count.recovered = messages.length;
@@ -167,6 +167,7 @@ export async function recoverCrashedConversation(
   const topicAnalysis = analyzeTopics(result.key_topics, messages);
   result.main_topic = topicAnalysis.mainTopic;
   result.subtopics = topicAnalysis.subtopics;
+  completePhase('Analyzed topics');
   
   // Extract modified files - include all files, not just top 20
   const entities = extractEntities(messages);
@@ -181,6 +182,7 @@ export async function recoverCrashedConversation(
     // Track code evolution
     result.code_evolution = extractCodeEvolution(messages);
   }
+  completePhase('Extracted files and code');
   
   // Generate timeline
   result.timeline = generateTimeline(messages);
@@ -190,6 +192,7 @@ export async function recoverCrashedConversation(
   
   // Extract open questions
   result.open_questions = extractOpenQuestions(messages);
+  completePhase('Built timeline');
   
   // Generate summary
   result.summary = generateSummary(messages, maxLength);
@@ -202,6 +205,7 @@ export async function recoverCrashedConversation(
   
   // Extract latest state from the last few messages - expanded to include more context
   result.latest_state = extractLatestState(messages, 10); // Increased from 5 to 10 messages
+  completePhase('Summarized conversation');
   
   return result;
 }
@@ -209,11 +213,13 @@ export async function recoverCrashedConversation(
 /**
  * Attempt to recover messages using progressively more aggressive strategies
  * @param filePath Path to the conversation file
+ * @param signal Optional abort signal, checked before each strategy
  * @returns Promise resolving to the recovered messages
  */
-async function attemptRecovery(filePath: string): Promise<Message[]> {
+async function attemptRecovery(filePath: string, signal?: AbortSignal): Promise<Message[]> {
   try {
     // Strategy 1: Try direct JSON parsing (using existing functionality)
+    throwIfAborted(signal);
     try {
       return await readJsonArray<Message>(filePath);
     } catch (error) {
@@ -221,6 +227,7 @@ async function attemptRecovery(filePath: string): Promise<Message[]> {
     }
     
     // Strategy 2: Try chunk-by-chunk parsing with error skipping
+    throwIfAborted(signal);
     try {
       return await recoverByChunks(filePath);
     } catch (error) {
@@ -228,6 +235,7 @@ async function attemptRecovery(filePath: string): Promise<Message[]> {
     }
     
     // Strategy 3: Try line-by-line parsing with JSON repair
+    throwIfAborted(signal);
     try {
       return await recoverByLines(filePath);
     } catch (error) {
@@ -235,8 +243,10 @@ async function attemptRecovery(filePath: string): Promise<Message[]> {
     }
     
     // Strategy 4: Extract any valid JSON objects from the file
+    throwIfAborted(signal);
     return await extractValidJsonObjects(filePath);
   } catch (error) {
+    if (isAbortError(error)) throw error;
     // If all strategies fail, return an empty array
     console.error(`All recovery strategies failed: ${(error as Error).message}`);
     return [];
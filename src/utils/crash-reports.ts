@@ -0,0 +1,171 @@
+/**
+ * Crash report storage for the Cline Chat Reader MCP Server
+ * Persists crash reports into crashReports/ and moves dismissed ones into crashReports/Dismissed
+ * Reports are saved in the storage root of their task and listed across every storage root
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ensureCrashReportsDirectories, getCrashReportsDirectories, getDismissedCrashReportsDirectory } from './paths.js';
+import { getStorageRootForPath } from './storage-roots.js';
+import { logDebug, logInfo, logWarning } from './diagnostic-logger.js';
+
+/**
+ * Crash report as written by createCrashReport
+ */
+export interface CrashReport {
+  id: string;
+  task_id: string;
+  timestamp: number;
+  summary: string;
+  main_topic: string;
+  subtopics: string[];
+  active_files: string[];
+  open_questions: string[];
+  current_status: string;
+  formatted_message: string;
+  read: boolean;
+  dismissed_at?: number;
+  [key: string]: any;
+}
+
+/**
+ * Crash report listing entry
+ */
+export interface CrashReportEntry {
+  id: string;
+  task_id: string;
+  timestamp: number;
+  main_topic: string;
+  read: boolean;
+  dismissed: boolean;
+  dismissed_at?: number;
+  source?: string;            // Storage root the report is kept in
+  path: string;
+}
+
+/**
+ * Check that a report ID can be used as a file name
+ * @param reportId Report ID
+ * @returns True if the ID is safe to use as a file name
+ */
+function isValidReportId(reportId: string): boolean {
+  return /^[\w.-]+$/.test(reportId) && !reportId.startsWith('.');
+}
+
+/**
+ * Save a crash report into a crash reports directory
+ * @param report Crash report created by createCrashReport
+ * @param crashReportsDir Directory to save into, normally that of the task's storage root (default: highest-priority root)
+ * @returns Path of the written report file
+ */
+export async function saveCrashReport(report: CrashReport, crashReportsDir?: string): Promise<string> {
+  const { crashReportsDir: dir } = await ensureCrashReportsDirectories(crashReportsDir);
+  const reportPath = path.join(dir, `${report.id}.json`);
+
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  logInfo(`Crash report written to ${reportPath}`);
+
+  return reportPath;
+}
+
+/**
+ * Read all crash reports in a directory
+ * @param dir Directory to read
+ * @param dismissed Whether the directory holds dismissed reports
+ * @returns Crash report entries
+ */
+async function readCrashReportsIn(dir: string, dismissed: boolean): Promise<CrashReportEntry[]> {
+  const entries: CrashReportEntry[] = [];
+
+  if (!await fs.pathExists(dir)) {
+    return entries;
+  }
+
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+  const source = getStorageRootForPath(dir)?.source;
+
+  for (const file of files) {
+    const reportPath = path.join(dir, file);
+    try {
+      const report: CrashReport = await fs.readJson(reportPath);
+      entries.push({
+        id: report.id || path.basename(file, '.json'),
+        task_id: report.task_id,
+        timestamp: report.timestamp,
+        main_topic: report.main_topic,
+        read: !!report.read,
+        dismissed,
+        dismissed_at: report.dismissed_at,
+        source,
+        path: reportPath
+      });
+    } catch (error) {
+      logWarning(`Skipping unreadable crash report: ${reportPath}`, error);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * List crash reports from every storage root, newest first
+ * @param options Optional task ID filter and whether to include dismissed reports
+ * @returns Crash report entries
+ */
+export async function listCrashReports(options: { taskId?: string; includeDismissed?: boolean } = {}): Promise<CrashReportEntry[]> {
+  let reports: CrashReportEntry[] = [];
+  for (const crashReportsDir of getCrashReportsDirectories()) {
+    reports = reports.concat(await readCrashReportsIn(crashReportsDir, false));
+    if (options.includeDismissed) {
+      reports = reports.concat(await readCrashReportsIn(getDismissedCrashReportsDirectory(crashReportsDir), true));
+    }
+  }
+
+  if (options.taskId) {
+    reports = reports.filter(report => report.task_id === options.taskId);
+  }
+
+  logDebug(`Found ${reports.length} crash reports`);
+  return reports.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+}
+
+/**
+ * Dismiss a crash report by moving it into crashReports/Dismissed
+ * @param reportId Crash report ID
+ * @returns Path of the dismissed report, or null if no pending report has this ID
+ */
+export async function dismissCrashReport(reportId: string): Promise<string | null> {
+  if (!isValidReportId(reportId)) {
+    throw new Error(`Invalid crash report ID: ${reportId}`);
+  }
+
+  // The report may be in any storage root
+  let crashReportsDir: string | undefined;
+  for (const dir of getCrashReportsDirectories()) {
+    if (await fs.pathExists(path.join(dir, `${reportId}.json`))) {
+      crashReportsDir = dir;
+      break;
+    }
+  }
+
+  if (!crashReportsDir) {
+    logWarning(`Crash report not found: ${reportId}`);
+    return null;
+  }
+
+  const { dismissedDir } = await ensureCrashReportsDirectories(crashReportsDir);
+  const reportPath = path.join(crashReportsDir, `${reportId}.json`);
+
+  const report: CrashReport = await fs.readJson(reportPath);
+  report.read = true;
+  report.dismissed_at = Date.now();
+
+  // Write the updated report into Dismissed before removing the original
+  const dismissedPath = path.join(dismissedDir, `${reportId}.json`);
+  await fs.writeFile(dismissedPath, JSON.stringify(report, null, 2), 'utf8');
+  await fs.remove(reportPath);
+
+  logInfo(`Crash report dismissed: ${dismissedPath}`);
+  return dismissedPath;
+}
@@ -2,15 +2,14 @@
  * Diagnostic Logger for MCP Server
  * 
  * This module provides diagnostic logging capabilities for the MCP server.
- * It logs messages to both the console and a file in the user's home directory.
+ * It logs messages to both the console and the file set by config.logging.file.
  */
 
 import fs from 'fs';
-import path from 'path';
-import os from 'os';
+import { config } from '../config.js';
 
-// Create a diagnostic log file in the user's home directory
-const logFile = path.join(os.homedir(), 'mcp-diagnostic.log');
+// Diagnostic log file (config.logging.file, ~/mcp-diagnostic.log by default)
+const logFile = config.logging.file;
 
 // Log levels
 export enum LogLevel {
@@ -42,6 +41,14 @@ export function getLogLevel(): LogLevel {
   return CURRENT_LOG_LEVEL;
 }
 
+/**
+ * Get the path of the diagnostic log file
+ * @returns Absolute path of the diagnostic log file
+ */
+export function getDiagnosticLogPath(): string {
+  return logFile;
+}
+
 /**
  * Initialize the diagnostic logger
  * @param logLevel Initial log level
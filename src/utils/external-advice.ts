@@ -0,0 +1,678 @@
+/**
+ * External advice storage for the Cline Chat Reader MCP Server
+ *
+ * send_external_advice writes each advice as <task>/external-advice/<advice ID>.json, where the
+ * Cline extension picks it up; dismissed advice is moved into external-advice/Dismissed. This module
+ * lists advice across every task and storage root, and marks, dismisses and retracts it. Changes
+ * are written atomically under the advice file's lock, since the extension reads the same files.
+ *
+ * Advice can form threads: each advice carries a thread_id (the ID of the advice that started the
+ * thread) and, for replies, in_reply_to. A thread usually spans the advice folders of several tasks,
+ * since each reply is written to the task it answers.
+ *
+ * Advice with a future deliver_after waits in external-advice/Scheduled, out of the extension's
+ * sight, until processDueAdvice moves it into external-advice/; unread advice past its expires_at
+ * is moved into Dismissed with the reason "expired" (see services/advice-scheduler.ts).
+ *
+ * A sender learns that its advice was picked up when the extension sets read: true in the file or
+ * the advice is moved into Dismissed; waitForAdviceAck watches for either.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { watch } from 'chokidar';
+import { findTaskAcrossPaths, getVSCodeTasksDirectory } from './paths.js';
+import { getStorageRootForPath } from './storage-roots.js';
+import { withFileLock, writeFileAtomic } from './file-lock.js';
+import { CancellationOptions, createAbortError } from './cancellation.js';
+import { logDebug, logInfo, logWarning } from './diagnostic-logger.js';
+import type { AdviceAttachment } from '../services/advice-attachments.js';
+
+// Directory of a task's pending advice, and of its dismissed and scheduled advice inside it
+const ADVICE_DIR_NAME = 'external-advice';
+const DISMISSED_DIR_NAME = 'Dismissed';
+const SCHEDULED_DIR_NAME = 'Scheduled';
+
+// Recorded as who dismissed advice that expired
+const EXPIRY_DISMISSED_BY = 'cline-chat-reader';
+
+/**
+ * Advice status: scheduled advice waits in Scheduled/, unread and read advice is pending in
+ * external-advice/, dismissed advice is in Dismissed/
+ */
+export type AdviceStatus = 'scheduled' | 'unread' | 'read' | 'dismissed';
+
+/**
+ * Folder an advice file is kept in
+ */
+type AdviceFolder = 'scheduled' | 'pending' | 'dismissed';
+
+/**
+ * Advice as written by send_external_advice
+ */
+export interface ExternalAdvice {
+  id: string;
+  content: string;
+  title?: string;
+  type?: 'info' | 'warning' | 'error';
+  priority?: 'low' | 'medium' | 'high';
+  source_task_id?: string;
+  thread_id?: string;         // Missing on advice sent before threads; such advice is its own thread
+  in_reply_to?: string;
+  timestamp: number;
+  deliver_after?: number;     // Kept in Scheduled/ until this time (ms since epoch)
+  delivered_at?: number;      // Time a scheduled advice was moved into external-advice/
+  expires_at?: number;        // Dismissed as expired if still unread at this time
+  read: boolean;
+  read_at?: number;
+  read_by?: string;
+  dismissed_at?: number;
+  dismissed_by?: string;
+  dismissed_reason?: string;
+  attachments?: AdviceAttachment[];
+  [key: string]: any;
+}
+
+/**
+ * Advice listing entry
+ */
+export interface AdviceEntry {
+  advice: ExternalAdvice;
+  targetTaskId: string;
+  status: AdviceStatus;
+  taskSource?: string;        // Storage root of the target task
+  taskDir: string;
+  path: string;
+}
+
+/**
+ * Outcome of processDueAdvice
+ */
+export interface DueAdviceResult {
+  delivered: number;                // Scheduled advice moved into external-advice/
+  expired: number;                  // Advice moved into Dismissed/ as expired
+  nextDueAt: number | null;         // Next deliver_after or expires_at still ahead, if any
+}
+
+/**
+ * Outcome of waitForAdviceAck
+ */
+export interface AdviceAckResult {
+  entry: AdviceEntry | null;        // Advice when the wait ended; null if it was retracted meanwhile
+  settled: boolean;                 // Read or dismissed before the timeout
+}
+
+/**
+ * Filters for listAdvice
+ */
+export interface AdviceQuery {
+  targetTaskId?: string;
+  sourceTaskId?: string;
+  threadId?: string;
+  statuses?: AdviceStatus[];
+  priorities?: Array<'low' | 'medium' | 'high'>;
+}
+
+/**
+ * Check that an advice ID can be used as a file name
+ * @param adviceId Advice ID
+ * @returns True if the ID is safe to use as a file name
+ */
+export function isValidAdviceId(adviceId: string): boolean {
+  return /^[\w.-]+$/.test(adviceId) && !adviceId.startsWith('.');
+}
+
+/**
+ * Get the priority of an advice; simple advice has none and counts as medium
+ * @param advice Advice
+ * @returns Priority
+ */
+export function getAdvicePriority(advice: ExternalAdvice): 'low' | 'medium' | 'high' {
+  return advice.priority || 'medium';
+}
+
+/**
+ * Get the thread an advice belongs to
+ * @param advice Advice
+ * @returns Thread ID; advice without one starts its own thread
+ */
+export function getAdviceThreadId(advice: ExternalAdvice): string {
+  return advice.thread_id || advice.id;
+}
+
+/**
+ * Check whether an advice is due for delivery
+ * @param advice Advice
+ * @param now Current time (ms since epoch)
+ * @returns True if the advice has no deliver_after or it has passed
+ */
+export function isAdviceDue(advice: ExternalAdvice, now: number = Date.now()): boolean {
+  return advice.deliver_after === undefined || advice.deliver_after <= now;
+}
+
+/**
+ * Check whether an advice was acknowledged by the receiving side
+ * @param entry Advice entry
+ * @returns True if the advice was read, or dismissed for any reason but expiry
+ */
+export function isAdviceAcknowledged(entry: AdviceEntry): boolean {
+  return entry.status === 'read' ||
+    (entry.status === 'dismissed' && (entry.advice.read || entry.advice.dismissed_reason !== 'expired'));
+}
+
+/**
+ * Get the advice directories of a task
+ * @param taskDir Task directory
+ * @returns Pending, dismissed and scheduled advice directories
+ */
+export function getAdviceDirectories(taskDir: string): { adviceDir: string; dismissedDir: string; scheduledDir: string } {
+  const adviceDir = path.join(taskDir, ADVICE_DIR_NAME);
+  return {
+    adviceDir,
+    dismissedDir: path.join(adviceDir, DISMISSED_DIR_NAME),
+    scheduledDir: path.join(adviceDir, SCHEDULED_DIR_NAME)
+  };
+}
+
+/**
+ * Get the directory of each advice folder of a task, in lookup order
+ * @param taskDir Task directory
+ * @returns Folder and directory pairs
+ */
+function getAdviceFolders(taskDir: string): Array<[AdviceFolder, string]> {
+  const { adviceDir, dismissedDir, scheduledDir } = getAdviceDirectories(taskDir);
+  return [['pending', adviceDir], ['dismissed', dismissedDir], ['scheduled', scheduledDir]];
+}
+
+/**
+ * Get the status of an advice
+ * @param advice Advice
+ * @param folder Folder the advice file is in
+ * @returns Status
+ */
+function getAdviceStatus(advice: ExternalAdvice, folder: AdviceFolder): AdviceStatus {
+  if (folder === 'pending') {
+    return advice.read ? 'read' : 'unread';
+  }
+  return folder;
+}
+
+/**
+ * Read all advice in a directory
+ * @param dir Directory to read
+ * @param targetTaskId Task the directory belongs to
+ * @param taskDir Directory of the task
+ * @param folder Folder the directory is
+ * @returns Advice entries
+ */
+async function readAdviceIn(dir: string, targetTaskId: string, taskDir: string, folder: AdviceFolder): Promise<AdviceEntry[]> {
+  const entries: AdviceEntry[] = [];
+
+  if (!await fs.pathExists(dir)) {
+    return entries;
+  }
+
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+  const taskSource = getStorageRootForPath(dir)?.source;
+
+  for (const file of files) {
+    const advicePath = path.join(dir, file);
+    try {
+      const advice: ExternalAdvice = await fs.readJson(advicePath);
+      advice.id = advice.id || path.basename(file, '.json');
+      entries.push({
+        advice,
+        targetTaskId,
+        status: getAdviceStatus(advice, folder),
+        taskSource,
+        taskDir,
+        path: advicePath
+      });
+    } catch (error) {
+      logWarning(`Skipping unreadable advice: ${advicePath}`, error);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Check whether a folder can hold advice with any of the given statuses
+ * @param folder Advice folder
+ * @param statuses Wanted statuses; every folder qualifies if omitted
+ * @returns True if the folder needs to be read
+ */
+function folderHoldsStatuses(folder: AdviceFolder, statuses?: AdviceStatus[]): boolean {
+  if (!statuses) {
+    return true;
+  }
+  return folder === 'pending'
+    ? statuses.includes('unread') || statuses.includes('read')
+    : statuses.includes(folder);
+}
+
+/**
+ * Read the advice of a task from every folder that can hold the wanted statuses
+ * @param taskDir Task directory
+ * @param taskId Task ID
+ * @param statuses Only read folders holding these statuses, e.g. to skip Dismissed/; all if omitted
+ * @returns Advice entries
+ */
+async function readTaskAdvice(taskDir: string, taskId: string, statuses?: AdviceStatus[]): Promise<AdviceEntry[]> {
+  let entries: AdviceEntry[] = [];
+  for (const [folder, dir] of getAdviceFolders(taskDir)) {
+    if (folderHoldsStatuses(folder, statuses)) {
+      entries = entries.concat(await readAdviceIn(dir, taskId, taskDir, folder));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Get the directories of the tasks to read advice from
+ * @param targetTaskId Only this task, if given
+ * @returns Task IDs and directories across every storage root
+ */
+async function getAdviceTaskDirectories(targetTaskId?: string): Promise<Array<{ taskId: string; taskDir: string }>> {
+  if (targetTaskId) {
+    const taskLocation = await findTaskAcrossPaths(targetTaskId);
+    return taskLocation ? [{ taskId: targetTaskId, taskDir: taskLocation.taskDir }] : [];
+  }
+
+  const taskDirs: Array<{ taskId: string; taskDir: string }> = [];
+  for (const tasksDir of getVSCodeTasksDirectory()) {
+    if (!await fs.pathExists(tasksDir)) {
+      continue;
+    }
+    for (const taskId of await fs.readdir(tasksDir)) {
+      const taskDir = path.join(tasksDir, taskId);
+      if (await fs.pathExists(path.join(taskDir, ADVICE_DIR_NAME))) {
+        taskDirs.push({ taskId, taskDir });
+      }
+    }
+  }
+  return taskDirs;
+}
+
+/**
+ * List advice across every task and storage root, newest first
+ * @param query Target task, source task, thread, status and priority filters
+ * @returns Matching advice entries
+ */
+export async function listAdvice(query: AdviceQuery = {}): Promise<AdviceEntry[]> {
+  let entries: AdviceEntry[] = [];
+  for (const { taskId, taskDir } of await getAdviceTaskDirectories(query.targetTaskId)) {
+    entries = entries.concat(await readTaskAdvice(taskDir, taskId, query.statuses));
+  }
+
+  entries = entries.filter(entry =>
+    (!query.sourceTaskId || entry.advice.source_task_id === query.sourceTaskId) &&
+    (!query.threadId || getAdviceThreadId(entry.advice) === query.threadId) &&
+    (!query.statuses || query.statuses.includes(entry.status)) &&
+    (!query.priorities || query.priorities.includes(getAdvicePriority(entry.advice))));
+
+  logDebug(`Found ${entries.length} advice entries`);
+  return entries.sort((a, b) => (b.advice.timestamp || 0) - (a.advice.timestamp || 0));
+}
+
+/**
+ * Get the advice of a thread across every task, in the order it was sent
+ * @param threadId Thread ID
+ * @returns Advice entries, oldest first; empty if the thread does not exist
+ */
+export async function getAdviceThread(threadId: string): Promise<AdviceEntry[]> {
+  const entries = await listAdvice({ threadId });
+  return entries.sort((a, b) => (a.advice.timestamp || 0) - (b.advice.timestamp || 0));
+}
+
+/**
+ * Find an advice by ID
+ * @param adviceId Advice ID
+ * @param targetTaskId Task the advice was sent to; every task is searched if omitted
+ * @returns The advice entry, or null if no task holds this advice
+ */
+export async function findAdvice(adviceId: string, targetTaskId?: string): Promise<AdviceEntry | null> {
+  if (!isValidAdviceId(adviceId)) {
+    throw new Error(`Invalid advice ID: ${adviceId}`);
+  }
+
+  for (const { taskId, taskDir } of await getAdviceTaskDirectories(targetTaskId)) {
+    for (const [folder, dir] of getAdviceFolders(taskDir)) {
+      const advicePath = path.join(dir, `${adviceId}.json`);
+      if (await fs.pathExists(advicePath)) {
+        const advice: ExternalAdvice = await fs.readJson(advicePath);
+        return {
+          advice,
+          targetTaskId: taskId,
+          status: getAdviceStatus(advice, folder),
+          taskSource: getStorageRootForPath(advicePath)?.source,
+          taskDir,
+          path: advicePath
+        };
+      }
+    }
+  }
+
+  logWarning(`Advice not found: ${adviceId}`);
+  return null;
+}
+
+/**
+ * Write an advice whose deliver_after is ahead into the task's Scheduled folder
+ * @param taskDir Directory of the target task
+ * @param advice Advice
+ * @returns Path of the scheduled advice file
+ */
+export async function scheduleAdvice(taskDir: string, advice: ExternalAdvice): Promise<string> {
+  const { scheduledDir } = getAdviceDirectories(taskDir);
+  await fs.ensureDir(scheduledDir);
+
+  const scheduledPath = path.join(scheduledDir, `${advice.id}.json`);
+  await writeFileAtomic(scheduledPath, JSON.stringify(advice, null, 2));
+
+  logInfo(`Advice scheduled for ${new Date(advice.deliver_after!).toISOString()}: ${scheduledPath}`);
+  return scheduledPath;
+}
+
+/**
+ * Mark an advice as read
+ * Dismissed advice is already read, and scheduled advice cannot be read yet; both are returned unchanged.
+ * @param adviceId Advice ID
+ * @param options Target task, and who read the advice
+ * @returns The updated entry, or null if the advice does not exist
+ */
+export async function markAdviceRead(adviceId: string, options: { targetTaskId?: string; readBy: string }): Promise<AdviceEntry | null> {
+  const entry = await findAdvice(adviceId, options.targetTaskId);
+  if (!entry || entry.status === 'dismissed' || entry.status === 'scheduled') {
+    return entry;
+  }
+
+  return withFileLock(entry.path, async () => {
+    // Re-read under the lock; the extension may have changed the file meanwhile
+    const advice: ExternalAdvice = await fs.readJson(entry.path);
+    if (!advice.read) {
+      advice.read = true;
+      advice.read_at = Date.now();
+      advice.read_by = options.readBy;
+      await writeFileAtomic(entry.path, JSON.stringify(advice, null, 2));
+      logInfo(`Advice marked read: ${entry.path}`);
+    }
+    return { ...entry, advice, status: 'read' as const };
+  });
+}
+
+/**
+ * Check whether an advice has expired unread
+ * @param advice Advice
+ * @param now Current time (ms since epoch)
+ * @returns True if the advice is unread and its expires_at has passed
+ */
+function isAdviceExpired(advice: ExternalAdvice, now: number): boolean {
+  return !advice.read && advice.expires_at !== undefined && advice.expires_at <= now;
+}
+
+/**
+ * Move a pending or scheduled advice into Dismissed, under the lock of its file
+ * @param entry Advice entry
+ * @param options Who dismissed the advice and why, whether unread advice is marked read by the
+ * dismissal, and a condition the advice must still meet when re-read under the lock
+ * @returns The dismissed entry, or null if the file was moved or removed meanwhile or no longer meets the condition
+ */
+async function moveToDismissed(
+  entry: AdviceEntry,
+  options: { dismissedBy: string; reason?: string; markRead: boolean; onlyIf?: (advice: ExternalAdvice) => boolean }
+): Promise<AdviceEntry | null> {
+  const { dismissedBy, reason, markRead, onlyIf } = options;
+  return withFileLock(entry.path, async () => {
+    if (!await fs.pathExists(entry.path)) {
+      return null;
+    }
+
+    // The entry was listed without the lock; the file may have been read or extended since
+    const advice: ExternalAdvice = await fs.readJson(entry.path);
+    if (onlyIf && !onlyIf(advice)) {
+      return null;
+    }
+    const now = Date.now();
+    if (markRead && !advice.read) {
+      advice.read = true;
+      advice.read_at = now;
+      advice.read_by = dismissedBy;
+    }
+    advice.dismissed_at = now;
+    advice.dismissed_by = dismissedBy;
+    if (reason) {
+      advice.dismissed_reason = reason;
+    }
+
+    // Write the updated advice into Dismissed before removing the original
+    const { dismissedDir } = getAdviceDirectories(entry.taskDir);
+    await fs.ensureDir(dismissedDir);
+    const dismissedPath = path.join(dismissedDir, path.basename(entry.path));
+    await writeFileAtomic(dismissedPath, JSON.stringify(advice, null, 2));
+    await fs.remove(entry.path);
+
+    logInfo(`Advice dismissed${reason ? ` (${reason})` : ''}: ${dismissedPath}`);
+    return { ...entry, advice, status: 'dismissed' as const, path: dismissedPath };
+  });
+}
+
+/**
+ * Dismiss an advice by moving it into external-advice/Dismissed
+ * Dismissing scheduled advice cancels its delivery. Dismissing advice that is already dismissed
+ * returns it unchanged.
+ * @param adviceId Advice ID
+ * @param options Target task, who dismissed the advice, and why
+ * @returns The dismissed entry, or null if the advice does not exist
+ */
+export async function dismissAdvice(adviceId: string, options: { targetTaskId?: string; dismissedBy: string; reason?: string }): Promise<AdviceEntry | null> {
+  const entry = await findAdvice(adviceId, options.targetTaskId);
+  if (!entry || entry.status === 'dismissed') {
+    return entry;
+  }
+
+  return moveToDismissed(entry, { dismissedBy: options.dismissedBy, reason: options.reason, markRead: true });
+}
+
+/**
+ * Retract an advice by deleting it, so the task never shows it
+ * @param adviceId Advice ID
+ * @param options Target task
+ * @returns The entry as it was before deletion, or null if the advice does not exist
+ */
+export async function retractAdvice(adviceId: string, options: { targetTaskId?: string } = {}): Promise<AdviceEntry | null> {
+  const entry = await findAdvice(adviceId, options.targetTaskId);
+  if (!entry) {
+    return null;
+  }
+
+  await withFileLock(entry.path, () => fs.remove(entry.path));
+  logInfo(`Advice retracted: ${entry.path}`);
+  return entry;
+}
+
+/**
+ * Wait until an advice is read or dismissed
+ * The task's external-advice/ folder is watched with its Dismissed/ and Scheduled/ subfolders, and
+ * the advice is read again whenever its file is written, moved or removed, so scheduled advice is
+ * followed through its delivery. Progress is reported every second in milliseconds waited.
+ * @param adviceId Advice ID
+ * @param options Target task, longest wait in milliseconds, abort signal and progress callback
+ * @returns The advice when the wait ended, and whether it was read or dismissed by then
+ */
+export async function waitForAdviceAck(
+  adviceId: string,
+  options: CancellationOptions & { targetTaskId?: string; timeoutMs: number }
+): Promise<AdviceAckResult> {
+  const { signal, onProgress, timeoutMs } = options;
+  const isSettled = (entry: AdviceEntry | null) => entry !== null && (entry.status === 'read' || entry.status === 'dismissed');
+
+  const entry = await findAdvice(adviceId, options.targetTaskId);
+  if (!entry || isSettled(entry)) {
+    return { entry, settled: entry !== null };
+  }
+
+  const { adviceDir } = getAdviceDirectories(entry.taskDir);
+  const fileName = `${adviceId}.json`;
+  const startedAt = Date.now();
+
+  return new Promise<AdviceAckResult>((resolve, reject) => {
+    let latest: AdviceEntry | null = entry;
+    let done = false;
+    // Checks run one at a time, so the latest read always wins
+    let checking: Promise<void> = Promise.resolve();
+
+    // The wait must not keep the process alive
+    const watcher = watch(adviceDir, { ignoreInitial: true, persistent: false, depth: 1 });
+
+    const finish = (settle: () => void) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      clearInterval(ticker);
+      signal?.removeEventListener('abort', onAbort);
+      watcher.close().catch(error => logWarning('Failed to close advice watcher', error));
+      settle();
+    };
+
+    const check = () => {
+      checking = checking.then(async () => {
+        if (done) return;
+        try {
+          latest = await findAdvice(adviceId, entry.targetTaskId);
+        } catch (error) {
+          // The extension may be rewriting the file; the next event reads it again
+          logDebug(`Could not read advice ${adviceId} while waiting`, error);
+          return;
+        }
+        if (isSettled(latest)) {
+          finish(() => resolve({ entry: latest, settled: true }));
+        }
+      });
+    };
+
+    const onFileEvent = (filePath: string) => {
+      if (path.basename(filePath) === fileName) {
+        check();
+      }
+    };
+
+    const onAbort = () => finish(() => reject(createAbortError()));
+
+    watcher.on('add', onFileEvent);
+    watcher.on('change', onFileEvent);
+    watcher.on('unlink', onFileEvent);
+    // Catch changes made before the watcher was ready
+    watcher.on('ready', check);
+    watcher.on('error', error => logWarning(`Advice watcher error: ${adviceDir}`, error));
+
+    const timer = setTimeout(() => {
+      check();
+      checking.then(() => finish(() => resolve({ entry: latest, settled: isSettled(latest) })));
+    }, timeoutMs);
+    const ticker = setInterval(() => onProgress?.(Date.now() - startedAt, timeoutMs), 1000);
+
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort);
+    }
+  });
+}
+
+/**
+ * Move an advice that expired unread into Dismissed with the reason "expired"
+ * @param entry Advice entry, as listed
+ * @param now Current time (ms since epoch)
+ * @returns The dismissed entry, or null if the advice was read, extended or moved meanwhile
+ */
+function expireAdvice(entry: AdviceEntry, now: number): Promise<AdviceEntry | null> {
+  return moveToDismissed(entry, {
+    dismissedBy: EXPIRY_DISMISSED_BY,
+    reason: 'expired',
+    markRead: false,
+    onlyIf: advice => isAdviceExpired(advice, now)
+  });
+}
+
+/**
+ * Move a scheduled advice into external-advice/, under the lock of its scheduled file
+ * Advice that expired before it was delivered goes straight to Dismissed.
+ * @param entry Scheduled advice entry
+ * @param now Current time (ms since epoch)
+ * @returns 'delivered', 'expired', or null if another process handled it first
+ */
+async function deliverScheduledAdvice(entry: AdviceEntry, now: number): Promise<'delivered' | 'expired' | null> {
+  if (entry.advice.expires_at !== undefined && entry.advice.expires_at <= now) {
+    return await expireAdvice(entry, now) ? 'expired' : null;
+  }
+
+  return withFileLock(entry.path, async () => {
+    if (!await fs.pathExists(entry.path)) {
+      return null;
+    }
+
+    // deliver_after may have been moved later since the advice was listed
+    const advice: ExternalAdvice = await fs.readJson(entry.path);
+    if (!isAdviceDue(advice, now)) {
+      return null;
+    }
+    advice.delivered_at = now;
+
+    const { adviceDir } = getAdviceDirectories(entry.taskDir);
+    const advicePath = path.join(adviceDir, path.basename(entry.path));
+    await writeFileAtomic(advicePath, JSON.stringify(advice, null, 2));
+    await fs.remove(entry.path);
+
+    logInfo(`Scheduled advice delivered: ${advicePath}`);
+    return 'delivered' as const;
+  });
+}
+
+/**
+ * Deliver scheduled advice whose deliver_after has passed, and dismiss unread advice whose
+ * expires_at has passed, across every task
+ * Read advice is left alone when it expires: it has already been seen.
+ * @param now Current time (ms since epoch)
+ * @returns Advice delivered and expired, and when the next advice is due
+ */
+export async function processDueAdvice(now: number = Date.now()): Promise<DueAdviceResult> {
+  const result: DueAdviceResult = { delivered: 0, expired: 0, nextDueAt: null };
+  const noteDue = (time: number) => {
+    result.nextDueAt = result.nextDueAt === null ? time : Math.min(result.nextDueAt, time);
+  };
+
+  // Only Scheduled/ and external-advice/ are read; Dismissed/ grows without bound
+  for (const entry of await listAdvice({ statuses: ['scheduled', 'unread'] })) {
+    const { advice } = entry;
+    try {
+      if (entry.status === 'scheduled') {
+        if (!isAdviceDue(advice, now)) {
+          noteDue(advice.deliver_after!);
+          continue;
+        }
+        const outcome = await deliverScheduledAdvice(entry, now);
+        if (outcome) {
+          result[outcome]++;
+        }
+        if (outcome === 'delivered' && advice.expires_at !== undefined) {
+          noteDue(advice.expires_at);
+        }
+      } else if (advice.expires_at !== undefined) {
+        if (advice.expires_at > now) {
+          noteDue(advice.expires_at);
+        } else if (await expireAdvice(entry, now)) {
+          result.expired++;
+        }
+      }
+    } catch (error) {
+      // One damaged or locked file does not hold up the rest
+      logWarning(`Failed to process due advice: ${entry.path}`, error);
+    }
+  }
+
+  if (result.delivered > 0 || result.expired > 0) {
+    logInfo(`Advice scheduler delivered ${result.delivered} and expired ${result.expired} advice`);
+  }
+  return result;
+}
@@ -0,0 +1,110 @@
+/**
+ * Caches of parsed files, keyed on each file's size and modification time
+ *
+ * An entry is reused while its file's size and mtime are unchanged, so an unchanged file is never
+ * read or parsed twice. Cached files are also watched and their entries dropped as soon as they
+ * change, which catches rewrites that keep the same size within the file system's mtime resolution
+ * (e.g. moving label A to B in active_tasks.json).
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { watch, FSWatcher } from 'chokidar';
+import { config } from '../config.js';
+import { logDebug, logWarning } from './diagnostic-logger.js';
+
+/**
+ * Cache of values parsed from files
+ */
+export interface FileCache<T> {
+  /**
+   * Get the cached value for a file, loading it if the file is new or changed
+   * @param filePath File path
+   * @param load Reads and parses the file
+   * @returns Cached or freshly loaded value
+   * @throws Error if the file cannot be stat'ed or the load fails; failures are not cached
+   */
+  get(filePath: string, load: (filePath: string) => Promise<T>): Promise<T>;
+
+  /**
+   * Drop the entry for a file and stop watching it
+   * @param filePath File path
+   */
+  invalidate(filePath: string): void;
+
+  /**
+   * Drop every entry and stop watching their files
+   */
+  clear(): void;
+}
+
+/**
+ * Create a file cache
+ * The least recently used files are evicted beyond config.cache.maxFiles
+ * @param name Cache name, for logging
+ * @param maxFiles Most files to keep
+ * @returns File cache
+ */
+export function createFileCache<T>(name: string, maxFiles: number = config.cache.maxFiles): FileCache<T> {
+  // Map order is recency order: the first entry is the least recently used
+  const entries = new Map<string, { size: number; mtimeMs: number; value: T }>();
+  let watcher: FSWatcher | null = null;
+
+  // The file is watched again when it is next loaded
+  function onFileEvent(filePath: string): void {
+    logDebug(`${name} cache: ${filePath} changed`);
+    evict(path.resolve(filePath));
+  }
+
+  function getWatcher(): FSWatcher {
+    if (!watcher) {
+      // A cache must not keep the process alive
+      watcher = watch([], { ignoreInitial: true, persistent: false });
+      watcher.on('add', onFileEvent);
+      watcher.on('change', onFileEvent);
+      watcher.on('unlink', onFileEvent);
+      watcher.on('error', error => logWarning(`${name} cache watcher error`, error));
+    }
+    return watcher;
+  }
+
+  function evict(key: string): void {
+    entries.delete(key);
+    watcher?.unwatch(key);
+  }
+
+  return {
+    async get(filePath, load) {
+      const key = path.resolve(filePath);
+      const stats = await fs.stat(key);
+
+      const entry = entries.get(key);
+      entries.delete(key);
+      if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+        entries.set(key, entry);
+        return entry.value;
+      }
+
+      // Keyed on the stat taken before loading, so a write during the load is seen next time
+      const value = await load(key);
+      getWatcher().add(key);
+      entries.set(key, { size: stats.size, mtimeMs: stats.mtimeMs, value });
+      logDebug(`${name} cache: loaded ${key}`);
+
+      while (entries.size > maxFiles) {
+        evict(entries.keys().next().value as string);
+      }
+      return value;
+    },
+
+    invalidate(filePath) {
+      evict(path.resolve(filePath));
+    },
+
+    clear() {
+      for (const key of Array.from(entries.keys())) {
+        evict(key);
+      }
+    }
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * Advisory file locks and atomic writes for files shared with other processes
+ *
+ * A lock is a `<file>.lock` file created exclusively; every writer that uses withFileLock
+ * waits for it. Locks left behind by a crashed process are broken once they are stale; writers
+ * breaking a lock take turns through `<file>.lock.break`, so a fresh lock is never broken.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { config } from '../config.js';
+import { logDebug, logWarning } from './diagnostic-logger.js';
+
+// Delay between attempts to take a lock held by another writer
+const LOCK_RETRY_DELAY_MS = 50;
+
+// Age after which a lock is assumed to be left by a crashed process
+const STALE_LOCK_MS = 10 * 1000;
+
+/**
+ * Options for withFileLock
+ */
+export interface FileLockOptions {
+  timeoutMs?: number;   // How long to wait for the lock (default: config.errorHandling.timeout)
+}
+
+/**
+ * Get the lock file guarding a file
+ * @param filePath Path of the locked file
+ * @returns Path of its lock file
+ */
+export function getLockFilePath(filePath: string): string {
+  return `${filePath}.lock`;
+}
+
+/**
+ * Get the time a lock was taken
+ * @param lockPath Lock file
+ * @param content Content of the lock file
+ * @returns acquiredAt from the lock, or its modification time if it was left half written
+ */
+async function getLockTime(lockPath: string, content: string): Promise<number | null> {
+  try {
+    const { acquiredAt } = JSON.parse(content);
+    if (typeof acquiredAt === 'number') {
+      return acquiredAt;
+    }
+  } catch (error) {
+    // A crash between creating and writing the lock leaves it empty
+  }
+  const stats = await fs.stat(lockPath).catch(() => null);
+  return stats ? stats.mtimeMs : null;
+}
+
+/**
+ * Remove a stale lock, unless another writer replaced it meanwhile
+ * Only one writer breaks a lock at a time, and it removes the lock only if it still holds the
+ * content that was judged stale; a waiter that saw the same stale lock then leaves the fresh one alone.
+ * @param lockPath Lock file
+ * @param staleContent Content of the lock when it was judged stale
+ */
+async function breakStaleLock(lockPath: string, staleContent: string): Promise<void> {
+  const breakPath = `${lockPath}.break`;
+  try {
+    await fs.writeFile(breakPath, String(process.pid), { flag: 'wx' });
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'EEXIST') {
+      throw error;
+    }
+    // Another writer is breaking the lock; a break file left by a crash is removed once stale
+    const stats = await fs.stat(breakPath).catch(() => null);
+    if (stats && Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+      await fs.remove(breakPath);
+    }
+    return;
+  }
+
+  try {
+    const content = await fs.readFile(lockPath, 'utf8').catch(() => null);
+    if (content === staleContent) {
+      logWarning(`Breaking stale lock ${lockPath}`);
+      await fs.remove(lockPath);
+    }
+  } finally {
+    await fs.remove(breakPath).catch(error => logWarning(`Failed to remove ${breakPath}`, error));
+  }
+}
+
+/**
+ * Create the lock file, waiting while another writer holds it
+ * @param filePath Path of the file to lock
+ * @param timeoutMs How long to wait
+ * @returns Content of the lock file, which identifies this holder
+ * @throws Error if the lock is still held after the timeout
+ */
+async function acquireLock(filePath: string, timeoutMs: number): Promise<string> {
+  const lockPath = getLockFilePath(filePath);
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    const lockContent = JSON.stringify({ pid: process.pid, acquiredAt: Date.now(), nonce: Math.random().toString(36).substr(2, 8) });
+    try {
+      await fs.writeFile(lockPath, lockContent, { flag: 'wx' });
+      return lockContent;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    // Staleness is judged on the content read, so a lock replaced meanwhile is not mistaken for it
+    const heldContent = await fs.readFile(lockPath, 'utf8').catch(() => null);
+    if (heldContent === null) {
+      continue;
+    }
+    const heldSince = await getLockTime(lockPath, heldContent);
+    if (heldSince !== null && Date.now() - heldSince > STALE_LOCK_MS) {
+      await breakStaleLock(lockPath, heldContent);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for lock on ${filePath}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY_MS));
+  }
+}
+
+/**
+ * Run an operation while holding the advisory lock on a file
+ * @param filePath Path of the file to lock; its directory is created if missing
+ * @param run Operation to run
+ * @param options Lock timeout
+ * @returns The operation's result
+ * @throws Error if the lock cannot be taken in time
+ */
+export async function withFileLock<T>(filePath: string, run: () => Promise<T>, options: FileLockOptions = {}): Promise<T> {
+  await fs.ensureDir(path.dirname(filePath));
+  const lockContent = await acquireLock(filePath, options.timeoutMs ?? config.errorHandling.timeout);
+  logDebug(`Locked ${filePath}`);
+
+  try {
+    return await run();
+  } finally {
+    // A lock broken as stale may belong to another writer by now
+    const lockPath = getLockFilePath(filePath);
+    const heldContent = await fs.readFile(lockPath, 'utf8').catch(() => null);
+    if (heldContent === lockContent) {
+      await fs.remove(lockPath).catch(error => logWarning(`Failed to release lock on ${filePath}`, error));
+    } else {
+      logWarning(`Lock on ${filePath} was broken while held`);
+    }
+  }
+}
+
+/**
+ * Replace a file's content through a temporary file, so readers never see a partial write
+ * @param filePath Path of the file to write
+ * @param content New content
+ */
+export async function writeFileAtomic(filePath: string, content: string): Promise<void> {
+  await replaceFile(filePath, content);
+}
+
+/**
+ * Replace a file's content through a temporary file, unless the file changed since it was read
+ * For files also written by processes that do not take the lock (e.g. Cline). The modification time
+ * is compared once the temporary file is written, right before the rename.
+ * @param filePath Path of the file to write
+ * @param content New content
+ * @param expectedMtimeMs Modification time of the file when it was read, or null if it did not exist
+ * @returns True if the file was replaced, false if it changed and was left alone
+ */
+export async function writeFileAtomicIfUnchanged(filePath: string, content: string, expectedMtimeMs: number | null): Promise<boolean> {
+  return replaceFile(filePath, content, async () => {
+    const stats = await fs.stat(filePath).catch(() => null);
+    return (stats?.mtimeMs ?? null) === expectedMtimeMs;
+  });
+}
+
+/**
+ * Write a temporary file and rename it over a file
+ * @param filePath Path of the file to write
+ * @param content New content
+ * @param canReplace Checked after the temporary file is written; the file is left alone if it returns false
+ * @returns True if the file was replaced
+ */
+async function replaceFile(filePath: string, content: string, canReplace?: () => Promise<boolean>): Promise<boolean> {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, content, 'utf8');
+    if (canReplace && !await canReplace()) {
+      await fs.remove(tempPath);
+      return false;
+    }
+    await fs.rename(tempPath, filePath);
+    return true;
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => undefined);
+    throw error;
+  }
+}
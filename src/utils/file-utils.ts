@@ -4,10 +4,13 @@
  */
 
 import * as fs from 'fs-extra';
+import { readFile } from 'fs/promises';
 import { config } from '../config.js';
 import { Message } from '../models/task.js';
 import { logError, logWarning, logInfo } from './active-task.js';
 import { parseConversationContent, filterInvalidMessages } from './message-utils.js';
+import { isAbortError, throwIfAborted } from './cancellation.js';
+import { createFileCache } from './file-cache.js';
 
 /**
  * Error codes for file operations
@@ -20,42 +23,35 @@ export enum FileErrorCode {
   TIMEOUT_ERROR = 'TIMEOUT_ERROR'
 }
 
-/**
- * Cache for storing recently read messages
- */
-interface MessageCache {
-  [filePath: string]: {
-    messages: Message[];
-    timestamp: number;
-  };
-}
-
-// In-memory cache for messages
-const messageCache: MessageCache = {};
+// Parsed conversation files, re-read only when a file changes
+const apiMessagesCache = createFileCache<Message[]>('API messages');
+const uiMessagesCache = createFileCache<Message[]>('UI messages');
 
 /**
  * Clear message cache
  */
 export function clearMessageCache(): void {
-  Object.keys(messageCache).forEach(key => {
-    delete messageCache[key];
-  });
+  apiMessagesCache.clear();
+  uiMessagesCache.clear();
   logInfo('Message cache cleared');
 }
 
 /**
  * Read a file with retry logic
  * @param filePath Path to the file to read
+ * @param signal Optional abort signal; an aborted read is not retried
  * @returns File content as string
+ * @throws AbortError if the signal fires
  */
-export async function readWithRetry(filePath: string): Promise<string> {
+export async function readWithRetry(filePath: string, signal?: AbortSignal): Promise<string> {
   let retries = 0;
   let lastError: Error | null = null;
   
   while (retries < config.errorHandling.maxRetries) {
     try {
-      return await fs.readFile(filePath, 'utf8');
+      return await readFile(filePath, { encoding: 'utf8', signal });
     } catch (error) {
+      if (isAbortError(error)) throw error;
       lastError = error as Error;
       retries++;
       
@@ -72,39 +68,36 @@ export async function readWithRetry(filePath: string): Promise<string> {
 }
 
 /**
- * Get cached messages for a file if available and not expired
- * @param filePath Path to the conversation file
- * @returns Cached messages or null if not available
- */
-export function getCachedMessages(filePath: string): Message[] | null {
-  const cached = messageCache[filePath];
-  
-  if (cached && Date.now() - cached.timestamp < config.cache.expirationTime) {
-    return cached.messages;
-  }
-  
-  return null;
-}
-
-/**
- * Cache messages for a file
- * @param filePath Path to the conversation file
- * @param messages Messages to cache
+ * Read and parse every message of a conversation file
+ * The result is cached until the file's size or modification time changes
+ * @param filePath Path to api_conversation_history.json or ui_messages.json
+ * @param isUiFormat Whether the file holds UI messages
+ * @param signal Optional abort signal
+ * @returns All messages sorted by timestamp; shared between callers, so never modify it
+ * @throws Error if the file cannot be read
+ * @throws AbortError if the signal fires
  */
-export function cacheMessages(filePath: string, messages: Message[]): void {
-  messageCache[filePath] = {
-    messages,
-    timestamp: Date.now()
-  };
+export function readAllConversationMessages(filePath: string, isUiFormat: boolean = false, signal?: AbortSignal): Promise<Message[]> {
+  const cache = isUiFormat ? uiMessagesCache : apiMessagesCache;
+  return cache.get(filePath, async () => {
+    const content = await readWithRetry(filePath, signal);
+    throwIfAborted(signal);
+    if (content.length >= config.messages.smallFileThreshold) {
+      logInfo(`Parsing large conversation file (${content.length} bytes): ${filePath}`);
+    }
+    return parseConversationContent(content, Number.MAX_SAFE_INTEGER, isUiFormat);
+  });
 }
 
 /**
  * Read conversation messages from a file
  * @param filePath Path to the conversation file
  * @param limit Maximum number of messages to retrieve
+ * @param signal Optional abort signal
  * @returns Array of messages
+ * @throws AbortError if the signal fires
  */
-export async function readConversationMessages(filePath: string, limit: number): Promise<Message[]> {
+export async function readConversationMessages(filePath: string, limit: number, signal?: AbortSignal): Promise<Message[]> {
   try {
     // Check if file exists
     if (!await fs.pathExists(filePath)) {
@@ -112,45 +105,13 @@ export async function readConversationMessages(filePath: string, limit: number):
       return [];
     }
     
-    // Check cache first
-    const cachedMessages = getCachedMessages(filePath);
-    if (cachedMessages) {
-      logInfo(`Using cached messages for ${filePath}`);
-      return cachedMessages.slice(-limit);
-    }
-    
-    // Check file size
-    const stats = await fs.stat(filePath);
-    
-    // For small files, read the entire file at once
-    if (stats.size < config.messages.smallFileThreshold) {
-      const content = await readWithRetry(filePath);
-      const messages = parseConversationContent(content, limit);
-      
-      // Filter invalid messages
-      const validMessages = filterInvalidMessages(messages);
-      
-      // Cache messages
-      cacheMessages(filePath, validMessages);
-      
-      return validMessages;
-    }
-    
-    // For large files, use a more efficient approach
-    // This is a simplified implementation - in a real-world scenario,
-    // you would use a streaming JSON parser or read the file in chunks from the end
-    logWarning(`Large file detected (${stats.size} bytes): ${filePath}`);
-    const content = await readWithRetry(filePath);
-    const messages = parseConversationContent(content, limit);
+    // Parsed once, then served from the cache until the file changes
+    const messages = await readAllConversationMessages(filePath, false, signal);
     
     // Filter invalid messages
-    const validMessages = filterInvalidMessages(messages);
-    
-    // Cache messages
-    cacheMessages(filePath, validMessages);
-    
-    return validMessages;
+    return filterInvalidMessages(messages.slice(-limit));
   } catch (error) {
+    if (isAbortError(error)) throw error;
     logError(FileErrorCode.READ_ERROR, `Error reading conversation file: ${filePath}`, error);
     return [];
   }
@@ -158,6 +119,7 @@ export async function readConversationMessages(filePath: string, limit: number):
 
 /**
  * Read conversation messages with timeout
+ * The read is aborted when the timeout expires, so it does not keep running in the background
  * @param filePath Path to the conversation file
  * @param limit Maximum number of messages to retrieve
  * @param timeoutMs Timeout in milliseconds
@@ -168,21 +130,13 @@ export async function readConversationMessagesWithTimeout(
   limit: number, 
   timeoutMs: number = 5000
 ): Promise<Message[]> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  
   try {
-    // Create a promise that rejects after the timeout
-    const timeoutPromise = new Promise<Message[]>((_, reject) => {
-      setTimeout(() => {
-        reject(new Error(`Timeout reading conversation file: ${filePath}`));
-      }, timeoutMs);
-    });
-    
-    // Race the file reading against the timeout
-    return await Promise.race([
-      readConversationMessages(filePath, limit),
-      timeoutPromise
-    ]);
+    return await readConversationMessages(filePath, limit, controller.signal);
   } catch (error) {
-    if ((error as Error).message.includes('Timeout')) {
+    if (isAbortError(error)) {
       logError(FileErrorCode.TIMEOUT_ERROR, `Timeout reading conversation file: ${filePath}`);
     } else {
       logError(FileErrorCode.READ_ERROR, `Error reading conversation file: ${filePath}`, error);
@@ -190,5 +144,7 @@ export async function readConversationMessagesWithTimeout(
     
     // Return empty array on error
     return [];
+  } finally {
+    clearTimeout(timer);
   }
 }
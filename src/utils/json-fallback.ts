@@ -5,6 +5,7 @@
 
 import fs from 'fs-extra';
 import { MessageFilterOptions } from './json-streaming.js';
+import { isAbortError, throwIfAborted } from './cancellation.js';
 
 /**
  * Read and parse a JSON array file directly
@@ -127,3 +128,34 @@ export async function countJsonArrayItemsDirect(filePath: string): Promise<numbe
     throw new Error(`Error counting JSON array items: ${(error as Error).message}`);
   }
 }
+
+/**
+ * Visit every item of a JSON array file by reading it directly
+ * @param filePath Path to the JSON file containing an array
+ * @param onItem Callback invoked for each item with its index; return false to stop early
+ * @param options Optional abort signal
+ * @returns Promise resolving to the number of items visited
+ */
+export async function forEachJsonArrayItemDirect<T>(
+  filePath: string,
+  onItem: (item: T, index: number) => boolean | void,
+  options: { signal?: AbortSignal } = {}
+): Promise<number> {
+  try {
+    throwIfAborted(options.signal);
+    const fileContent = await fs.readFile(filePath, 'utf8');
+    const allItems = JSON.parse(fileContent) as T[];
+    for (let i = 0; i < allItems.length; i++) {
+      throwIfAborted(options.signal);
+      if (onItem(allItems[i], i) === false) {
+        return i + 1;
+      }
+    }
+    return allItems.length;
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    throw new Error(`Error reading JSON array items: ${(error as Error).message}`);
+  }
+}
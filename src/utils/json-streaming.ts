@@ -1,27 +1,96 @@
 /**
  * JSON streaming utilities for the Claude Task Reader MCP Server
  * Provides memory-efficient processing of large JSON files
+ *
+ * Every stream accepts an optional AbortSignal, which destroys the whole pipeline (including
+ * the file read stream) and rejects with an AbortError, and a callback reporting bytes read.
  */
 
 import fs from 'fs';
 import { createRequire } from 'module';
 import { chain } from 'stream-chain';
 import { Message } from '../models/task.js';
+import { createAbortError, isAbortError } from './cancellation.js';
 
 const require = createRequire(import.meta.url);
-const { Parser } = require('stream-json/Parser');
-const { StreamArray } = require('stream-json/streamers/StreamArray');
+const Parser = require('stream-json/Parser');
+const StreamArray = require('stream-json/streamers/StreamArray');
+
+/**
+ * Cancellation and progress options for a stream
+ */
+export interface StreamOptions {
+  signal?: AbortSignal;
+  onBytesRead?: (bytesRead: number) => void;  // Called as the file is read, with the bytes read so far
+}
 
 /**
  * Message filter options
  */
-export interface MessageFilterOptions {
+export interface MessageFilterOptions extends StreamOptions {
   limit?: number;
   since?: number;
   search?: string;
   filterFn?: (message: Message) => boolean;
 }
 
+/**
+ * Open a file as the source of a streaming pipeline, reporting bytes read
+ * @param filePath Path to the file
+ * @param options Stream options
+ * @returns File read stream
+ */
+export function createSourceStream(filePath: string, options: StreamOptions): fs.ReadStream {
+  const source = fs.createReadStream(filePath);
+  const { onBytesRead } = options;
+  if (onBytesRead) {
+    source.on('data', () => onBytesRead(source.bytesRead));
+  }
+  return source;
+}
+
+/**
+ * Destroy a pipeline and every stream in it
+ * Destroying the chain alone leaves the file stream reading in the background
+ * @param pipeline Pipeline created by chain()
+ */
+function destroyPipeline(pipeline: ReturnType<typeof chain>): void {
+  for (const stream of (pipeline as any).streams || []) {
+    stream.destroy();
+  }
+  pipeline.destroy();
+}
+
+/**
+ * Destroy a pipeline and reject when the signal aborts
+ * @param pipeline Pipeline created by chain()
+ * @param signal Optional abort signal
+ * @param reject Rejects the operation's promise
+ * @returns Function removing the abort listener once the operation settles
+ */
+export function abortPipelineOnSignal(
+  pipeline: ReturnType<typeof chain>,
+  signal: AbortSignal | undefined,
+  reject: (error: Error) => void
+): () => void {
+  if (!signal) {
+    return () => undefined;
+  }
+
+  const onAbort = () => {
+    destroyPipeline(pipeline);
+    reject(createAbortError());
+  };
+
+  if (signal.aborted) {
+    onAbort();
+    return () => undefined;
+  }
+
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
 /**
  * Stream and filter a JSON array file, processing one item at a time
  * @param filePath Path to the JSON file containing an array
@@ -45,7 +114,7 @@ export function streamJsonArray<T>(
     
     // Create the streaming pipeline
     const pipeline = chain([
-      fs.createReadStream(filePath),
+      createSourceStream(filePath, options),
       new Parser({ jsonStreaming: true }),
       new StreamArray(),
       (data: { value: T }) => {
@@ -84,6 +153,7 @@ export function streamJsonArray<T>(
         return item;
       }
     ]);
+    const detachAbort = abortPipelineOnSignal(pipeline, options.signal, reject);
     
     // Handle data, end, and error events
     pipeline.on('data', (item: T) => {
@@ -93,10 +163,12 @@ export function streamJsonArray<T>(
     });
     
     pipeline.on('end', () => {
+      detachAbort();
       resolve(results);
     });
     
     pipeline.on('error', (err: Error) => {
+      detachAbort();
       reject(new Error(`Error streaming JSON file: ${err.message}`));
     });
   });
@@ -107,12 +179,14 @@ export function streamJsonArray<T>(
  * @param filePath Path to the JSON file
  * @param propertyPath Dot-notation path to the property to extract (e.g., 'user.name')
  * @param limit Maximum number of items to process
+ * @param options Cancellation and progress options
  * @returns Promise resolving to the extracted property values
  */
 export function streamJsonProperty<T>(
   filePath: string, 
   propertyPath: string, 
-  limit: number = 1000
+  limit: number = 1000,
+  options: StreamOptions = {}
 ): Promise<T[]> {
   return new Promise((resolve, reject) => {
     const results: T[] = [];
@@ -122,7 +196,7 @@ export function streamJsonProperty<T>(
     const pathParts = propertyPath.split('.');
     
     const pipeline = chain([
-      fs.createReadStream(filePath),
+      createSourceStream(filePath, options),
       new Parser({ jsonStreaming: true }),
       (data: { value: any }) => {
         // Extract the specified property
@@ -141,6 +215,7 @@ export function streamJsonProperty<T>(
         return value;
       }
     ]);
+    const detachAbort = abortPipelineOnSignal(pipeline, options.signal, reject);
     
     pipeline.on('data', (value: T) => {
       if (value !== undefined && count < limit) {
@@ -150,10 +225,12 @@ export function streamJsonProperty<T>(
     });
     
     pipeline.on('end', () => {
+      detachAbort();
       resolve(results);
     });
     
     pipeline.on('error', (err: Error) => {
+      detachAbort();
       reject(new Error(`Error streaming JSON property: ${err.message}`));
     });
   });
@@ -162,56 +239,119 @@ export function streamJsonProperty<T>(
 /**
  * Count the number of items in a JSON array file
  * @param filePath Path to the JSON file containing an array
+ * @param options Cancellation and progress options
  * @returns Promise resolving to the count of items
  */
-export function countJsonArrayItems(filePath: string): Promise<number> {
+export function countJsonArrayItems(filePath: string, options: StreamOptions = {}): Promise<number> {
   return new Promise((resolve, reject) => {
     let count = 0;
     
     const pipeline = chain([
-      fs.createReadStream(filePath),
+      createSourceStream(filePath, options),
       new Parser({ jsonStreaming: true }),
       new StreamArray()
     ]);
+    const detachAbort = abortPipelineOnSignal(pipeline, options.signal, reject);
     
     pipeline.on('data', () => {
       count++;
     });
     
     pipeline.on('end', () => {
+      detachAbort();
       resolve(count);
     });
     
     pipeline.on('error', (err: Error) => {
+      detachAbort();
       reject(new Error(`Error counting JSON array items: ${err.message}`));
     });
   });
 }
 
+/**
+ * Visit every item of a JSON array file in a single streaming pass
+ * @param filePath Path to the JSON file containing an array
+ * @param onItem Callback invoked for each item with its index; return false to stop early
+ * @param options Cancellation and progress options
+ * @returns Promise resolving to the number of items visited
+ */
+export function forEachJsonArrayItem<T>(
+  filePath: string,
+  onItem: (item: T, index: number) => boolean | void,
+  options: StreamOptions = {}
+): Promise<number> {
+  return new Promise((resolve, reject) => {
+    let count = 0;
+    let stopped = false;
+    
+    const pipeline = chain([
+      createSourceStream(filePath, options),
+      new Parser({ jsonStreaming: true }),
+      new StreamArray()
+    ]);
+    const detachAbort = abortPipelineOnSignal(pipeline, options.signal, error => {
+      stopped = true;
+      reject(error);
+    });
+    
+    pipeline.on('data', (data: { key: number, value: T }) => {
+      if (stopped) return;
+      try {
+        if (onItem(data.value, count++) === false) {
+          // Stop reading the rest of the file
+          stopped = true;
+          detachAbort();
+          destroyPipeline(pipeline);
+          resolve(count);
+        }
+      } catch (err) {
+        stopped = true;
+        detachAbort();
+        destroyPipeline(pipeline);
+        reject(isAbortError(err) ? err as Error : new Error(`Error streaming JSON array items: ${(err as Error).message}`));
+      }
+    });
+    
+    pipeline.on('end', () => {
+      detachAbort();
+      resolve(count);
+    });
+    
+    pipeline.on('error', (err: Error) => {
+      detachAbort();
+      reject(new Error(`Error streaming JSON array items: ${err.message}`));
+    });
+  });
+}
+
 /**
  * Search for a term within a JSON array file
  * @param filePath Path to the JSON file containing an array
  * @param searchTerm Term to search for
  * @param contextLength Number of characters to include around the match
  * @param limit Maximum number of results to return
+ * @param options Cancellation and progress options
  * @returns Promise resolving to an array of search results with context
  */
 export function searchJsonArray<T>(
   filePath: string, 
   searchTerm: string, 
   contextLength: number = 100,
-  limit: number = 20
+  limit: number = 20,
+  options: StreamOptions = {}
 ): Promise<Array<{ item: T, snippet: string }>> {
   return new Promise((resolve, reject) => {
     const results: Array<{ item: T, snippet: string }> = [];
     const lowerSearchTerm = searchTerm.toLowerCase();
     
     const pipeline = chain([
-      fs.createReadStream(filePath),
+      createSourceStream(filePath, options),
       new Parser({ jsonStreaming: true }),
       new StreamArray(),
       (data: { value: T }) => data.value as T
     ]);
+    const detachAbort = abortPipelineOnSignal(pipeline, options.signal, reject);
     
     pipeline.on('data', (item: T) => {
       if (results.length >= limit) return;
@@ -237,10 +377,12 @@ export function searchJsonArray<T>(
     });
     
     pipeline.on('end', () => {
+      detachAbort();
       resolve(results);
     });
     
     pipeline.on('error', (err: Error) => {
+      detachAbort();
       reject(new Error(`Error searching JSON array: ${err.message}`));
     });
   });
@@ -3,7 +3,7 @@
  * Handles message transformation and standardization
  */
 
-import { Message } from '../models/task.js';
+import { Message, MessageRole } from '../models/task.js';
 import { logError, logWarning } from './active-task.js';
 import { parseJsonWithRepair } from './json-repair.js';
 
@@ -74,6 +74,27 @@ export function standardizeMessageContent(messages: Message[]): Message[] {
   }
 }
 
+/**
+ * Determine the role of a UI message from ui_messages.json
+ * @param item UI message with say/ask fields
+ * @returns Message role
+ */
+export function getUiMessageRole(item: any): MessageRole {
+  return item?.say === 'text' ? 'human' : 'assistant';
+}
+
+/**
+ * Normalize an API conversation role to the roles used by this server
+ * The Anthropic API uses 'user' where this server uses 'human'
+ * @param role Role from api_conversation_history.json
+ * @returns Message role
+ */
+export function normalizeMessageRole(role: string | undefined): MessageRole {
+  if (role === 'user' || role === 'human') return 'human';
+  if (role === 'system') return 'system';
+  return 'assistant';
+}
+
 /**
  * Parse conversation content and extract messages
  * @param content File content as string
@@ -94,7 +115,7 @@ export function parseConversationContent(content: string, limit: number, isUiFor
     // Handle UI messages format - array of objects with text property
     if (Array.isArray(data)) {
       messages = data.map(item => ({
-        role: item.say === 'text' ? 'human' : 'assistant',
+        role: getUiMessageRole(item),
         content: item.text || '',
         timestamp: item.ts
       }));
@@ -163,3 +184,131 @@ export function filterInvalidMessages(messages: any[]): Message[] {
   
   return validMessages;
 }
+
+/**
+ * Position of a page boundary inside a conversation
+ * Messages are ordered by timestamp; `skip` disambiguates messages sharing the boundary timestamp
+ */
+export interface MessageCursor {
+  task_id: string;
+  before_ts: number;
+  skip: number;
+  after_ts?: number;
+}
+
+/**
+ * Options for paginating a conversation
+ */
+export interface MessagePageOptions {
+  limit: number;
+  beforeTs?: number;
+  afterTs?: number;
+  cursor?: MessageCursor;
+}
+
+/**
+ * A single page of conversation messages
+ */
+export interface MessagePage {
+  messages: Message[];
+  // Messages in the time window up to and including this page
+  totalMatching: number;
+  hasMore: boolean;
+  nextCursor?: MessageCursor;
+}
+
+/**
+ * Encode a message cursor as an opaque string
+ * @param cursor Cursor to encode
+ * @returns Base64url encoded cursor
+ */
+export function encodeMessageCursor(cursor: MessageCursor): string {
+  return Buffer.from(JSON.stringify(cursor), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor string
+ * @param value Cursor string previously returned by encodeMessageCursor
+ * @returns Decoded cursor or null if the value is not a valid cursor
+ */
+export function decodeMessageCursor(value: string): MessageCursor | null {
+  try {
+    const decoded = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    
+    if (
+      !decoded ||
+      typeof decoded.task_id !== 'string' ||
+      typeof decoded.before_ts !== 'number' ||
+      typeof decoded.skip !== 'number' ||
+      (decoded.after_ts !== undefined && typeof decoded.after_ts !== 'number')
+    ) {
+      return null;
+    }
+    
+    return decoded as MessageCursor;
+  } catch (error) {
+    logWarning('Failed to decode message cursor:', error);
+    return null;
+  }
+}
+
+/**
+ * Select one page of messages, walking backwards from the newest message
+ * @param messages Messages sorted by timestamp (oldest first), e.g. from parseConversationContent
+ * @param taskId Task ID the messages belong to, embedded in the returned cursor
+ * @param options Page size, time window and optional cursor from a previous page
+ * @returns The requested page (oldest first) and a cursor for the next older page
+ */
+export function paginateMessages(messages: Message[], taskId: string, options: MessagePageOptions): MessagePage {
+  const afterTs = options.cursor?.after_ts ?? options.afterTs;
+  const beforeTs = options.cursor?.before_ts ?? options.beforeTs;
+  
+  // Apply the time window
+  let window = messages.filter(message => {
+    const ts = message.timestamp || 0;
+    if (afterTs !== undefined && ts <= afterTs) return false;
+    if (beforeTs !== undefined && ts > beforeTs) return false;
+    // An explicit before_ts is exclusive, a cursor boundary is handled below
+    if (beforeTs !== undefined && !options.cursor && ts === beforeTs) return false;
+    return true;
+  });
+  
+  // Drop the messages at the cursor boundary that were already returned
+  if (options.cursor && options.cursor.skip > 0) {
+    const boundary = options.cursor.before_ts;
+    let toSkip = options.cursor.skip;
+    for (let i = window.length - 1; i >= 0 && toSkip > 0; i--) {
+      if ((window[i].timestamp || 0) !== boundary) break;
+      window.splice(i, 1);
+      toSkip--;
+    }
+  }
+  
+  const start = Math.max(0, window.length - options.limit);
+  const page = window.slice(start);
+  const hasMore = start > 0;
+  
+  let nextCursor: MessageCursor | undefined;
+  if (hasMore && page.length > 0) {
+    const oldestTs = page[0].timestamp || 0;
+    // Count how many messages at the boundary timestamp have now been returned
+    let skip = page.filter(message => (message.timestamp || 0) === oldestTs).length;
+    if (options.cursor && options.cursor.before_ts === oldestTs) {
+      skip += options.cursor.skip;
+    }
+    
+    nextCursor = {
+      task_id: taskId,
+      before_ts: oldestTs,
+      skip,
+      after_ts: afterTs
+    };
+  }
+  
+  return {
+    messages: page,
+    totalMatching: window.length,
+    hasMore,
+    nextCursor
+  };
+}
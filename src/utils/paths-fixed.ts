@@ -7,7 +7,7 @@
 import os from 'os';
 import path from 'path';
 import fs from 'fs-extra';
-import { config, getActiveTasksFallbackPaths } from '../config.js';
+import { getStorageRoots } from './storage-roots.js';
 import { 
   logError, 
   logWarning, 
@@ -335,8 +335,8 @@ export async function getActiveTasksData(): Promise<{
 }> {
   logInfo('Getting active tasks data');
   
-  // Get all fallback paths
-  const fallbackPaths = getActiveTasksFallbackPaths();
+  // Get the active tasks file of every storage root
+  const fallbackPaths = getStorageRoots().map(root => root.activeTasksFile);
   
   // Try each path in order
   for (const activeTasksPath of fallbackPaths) {
@@ -4,87 +4,47 @@
  * Fixed version with improved error handling and diagnostic logging
  */
 
-import os from 'os';
 import path from 'path';
 import fs from 'fs-extra';
-import { config, getActiveTasksFallbackPaths } from '../config.js';
+import { config } from '../config.js';
 import { 
   logError, 
   logWarning, 
   logInfo, 
   logDebug, 
-  LogLevel 
+  LogLevel,
+  getDiagnosticLogPath
 } from './diagnostic-logger.js';
 import { parseJsonWithRepair } from './json-repair.js';
+import { getStorageRoots, StorageRoot } from './storage-roots.js';
 
 /**
- * Get the platform-specific path to the VS Code extension tasks directory
- * @param taskId Optional task ID to check for existence
- * @returns Array containing the absolute path to the VS Code extension tasks directory
+ * Get the tasks directories of every discovered storage root (see storage-roots.ts)
+ * @param taskId Optional task ID, for logging
+ * @returns Absolute paths of the tasks directories, in storage root priority order
  */
 export function getVSCodeTasksDirectory(taskId?: string): string[] {
-  const homedir = os.homedir();
-  logDebug('Getting VS Code tasks directory', { homedir, taskId });
-  
-  // Define path for standard Cline extension based on platform
-  const getPath = () => {
-    switch (process.platform) {
-      case 'win32':
-        const winPath = [
-          // Standard Cline path - use path.resolve for absolute path
-          path.resolve(process.env.APPDATA || '', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'tasks')
-        ];
-        logDebug('Windows tasks paths', winPath);
-        return winPath;
-      case 'darwin':
-        const macPath = [
-          // Standard Cline path - use path.resolve for absolute path
-          path.resolve(homedir, 'Library', 'Application Support', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'tasks')
-        ];
-        logDebug('macOS tasks paths', macPath);
-        return macPath;
-      case 'linux':
-        const linuxPath = [
-          // Standard Cline path - use path.resolve for absolute path
-          path.resolve(homedir, '.config', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'tasks')
-        ];
-        logDebug('Linux tasks paths', linuxPath);
-        return linuxPath;
-      default:
-        const errorMsg = `Unsupported platform: ${process.platform}`;
-        logError(errorMsg);
-        throw new Error(errorMsg);
-    }
-  };
-  
-  const paths = getPath();
-  
-  // Check if paths exist and log results
-  for (const p of paths) {
-    const exists = fs.existsSync(p);
-    logDebug(`Tasks directory exists check: ${p}`, { exists });
-  }
-  
+  const paths = getStorageRoots().map(root => root.tasksDir);
+  logDebug('Tasks directories', { taskId, paths });
   return paths;
 }
 
 /**
- * Find a task across all possible paths
+ * Find a task across all storage roots
  * @param taskId Task ID to find
- * @returns Object containing the task directory and base path, or null if not found
+ * @returns Object containing the task directory, tasks directory and storage root, or null if not found
  */
-export async function findTaskAcrossPaths(taskId: string): Promise<{ taskDir: string, basePath: string } | null> {
+export async function findTaskAcrossPaths(taskId: string): Promise<{ taskDir: string, basePath: string, root: StorageRoot } | null> {
   logDebug(`Finding task across paths: ${taskId}`);
-  const allPaths = getVSCodeTasksDirectory();
   
-  for (const basePath of allPaths) {
-    const taskDir = path.join(basePath, taskId);
+  for (const root of getStorageRoots()) {
+    const taskDir = path.join(root.tasksDir, taskId);
     logDebug(`Checking task directory: ${taskDir}`);
     
     try {
       if (await fs.pathExists(taskDir)) {
         logInfo(`Found task directory: ${taskDir}`);
-        return { taskDir, basePath };
+        return { taskDir, basePath: root.tasksDir, root };
       }
     } catch (error) {
       logWarning(`Error checking if task directory exists: ${taskDir}`, error);
@@ -241,57 +201,17 @@ export function formatFileSize(bytes: number): string {
 }
 
 /**
- * Get the platform-specific path to the VS Code extension crash reports directory
- * @returns Array containing the absolute path to the VS Code extension crash reports directory
+ * Get the crash reports directories of every discovered storage root
+ * @returns Absolute paths of the crash reports directories, in storage root priority order
  */
 export function getCrashReportsDirectories(): string[] {
-  const homedir = os.homedir();
-  logDebug('Getting crash reports directories', { homedir });
-  
-  // Define path for standard Cline extension based on platform
-  const getPath = () => {
-    switch (process.platform) {
-      case 'win32':
-        const winPath = [
-          // Standard Cline path - use path.resolve for absolute path
-          path.resolve(process.env.APPDATA || '', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'crashReports')
-        ];
-        logDebug('Windows crash reports paths', winPath);
-        return winPath;
-      case 'darwin':
-        const macPath = [
-          // Standard Cline path - use path.resolve for absolute path
-          path.resolve(homedir, 'Library', 'Application Support', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'crashReports')
-        ];
-        logDebug('macOS crash reports paths', macPath);
-        return macPath;
-      case 'linux':
-        const linuxPath = [
-          // Standard Cline path - use path.resolve for absolute path
-          path.resolve(homedir, '.config', 'Code', 'User', 'globalStorage', 'saoudrizwan.claude-dev', 'crashReports')
-        ];
-        logDebug('Linux crash reports paths', linuxPath);
-        return linuxPath;
-      default:
-        const errorMsg = `Unsupported platform: ${process.platform}`;
-        logError(errorMsg);
-        throw new Error(errorMsg);
-    }
-  };
-  
-  const paths = getPath();
-  
-  // Check if paths exist and log results
-  for (const p of paths) {
-    const exists = fs.existsSync(p);
-    logDebug(`Crash reports directory exists check: ${p}`, { exists });
-  }
-  
+  const paths = getStorageRoots().map(root => root.crashReportsDir);
+  logDebug('Crash reports directories', paths);
   return paths;
 }
 
 /**
- * Get the appropriate crash reports directory
+ * Get the crash reports directory of the highest-priority storage root
  * @returns The crash reports directory path
  */
 export function getCrashReportsDirectory(): string {
@@ -302,14 +222,23 @@ export function getCrashReportsDirectory(): string {
 
 /**
  * Get the dismissed crash reports directory
+ * @param crashReportsDir Crash reports directory (default: that of the highest-priority storage root)
  * @returns The dismissed crash reports directory path
  */
-export function getDismissedCrashReportsDirectory(): string {
-  const dir = path.resolve(getCrashReportsDirectory(), 'Dismissed');
+export function getDismissedCrashReportsDirectory(crashReportsDir: string = getCrashReportsDirectory()): string {
+  const dir = path.resolve(crashReportsDir, 'Dismissed');
   logDebug(`Dismissed crash reports directory: ${dir}`);
   return dir;
 }
 
+/**
+ * Get the search index file path, stored beside the diagnostic log
+ * @returns The search index file path
+ */
+export function getSearchIndexFilePath(): string {
+  return path.join(path.dirname(getDiagnosticLogPath()), config.searchIndex.fileName);
+}
+
 /**
  * Check if a path is within the standard Cline extension
  * @param dirPath Directory path to check
@@ -322,7 +251,7 @@ export function isStandardClineExtensionPath(dirPath: string): boolean {
 }
 
 /**
- * Read the active tasks file with fallback paths
+ * Read the first readable active tasks file among the storage roots
  * @returns Promise resolving to the active tasks data
  */
 export async function getActiveTasksData(): Promise<{ 
@@ -336,8 +265,8 @@ export async function getActiveTasksData(): Promise<{
 }> {
   logInfo('Getting active tasks data');
   
-  // Get all fallback paths
-  const fallbackPaths = getActiveTasksFallbackPaths();
+  // Active tasks files of every storage root, in priority order
+  const fallbackPaths = getStorageRoots().map(root => root.activeTasksFile);
   
   // Try each path in order
   for (const activeTasksPath of fallbackPaths) {
@@ -384,10 +313,40 @@ export async function getActiveTasksData(): Promise<{
   return { activeTasks: [] };
 }
 
+/**
+ * Parse an ACTIVE_<label> task reference
+ * @param taskIdOrReference Task ID or reference such as ACTIVE_A or ACTIVE_frontend
+ * @returns The label, or null if the value is not an active task reference
+ */
+export function parseActiveTaskReference(taskIdOrReference: string): string | null {
+  const prefix = config.activeTasks.referencePrefix;
+  if (!taskIdOrReference.startsWith(prefix) || taskIdOrReference.length === prefix.length) {
+    return null;
+  }
+  return taskIdOrReference.slice(prefix.length);
+}
+
+/**
+ * Pick the task to use when neither a task ID nor a label is given
+ * Labels in config.activeTasks.labelPriority win in order; otherwise the most recently activated task
+ * @param activeTasks Tasks from active_tasks.json
+ * @returns The preferred active task, or undefined if there are none
+ */
+export function selectDefaultActiveTask<T extends { label: string; lastActivated: number }>(activeTasks: T[]): T | undefined {
+  for (const label of config.activeTasks.labelPriority) {
+    const task = activeTasks.find(t => t.label === label);
+    if (task) {
+      return task;
+    }
+  }
+  
+  return [...activeTasks].sort((a, b) => (b.lastActivated || 0) - (a.lastActivated || 0))[0];
+}
+
 /**
  * Get active task by ID or label
  * @param taskId Optional task ID to find
- * @param label Optional label (A, B, C, D) to find
+ * @param label Optional label (any string, e.g. A or frontend) to find
  * @returns The active task if found, undefined otherwise
  */
 export async function getActiveTask(taskId?: string, label?: string): Promise<{
@@ -428,26 +387,25 @@ export async function getActiveTask(taskId?: string, label?: string): Promise<{
     return task;
   }
   
-  // If neither is provided, return the most recently activated task
-  const sortedTasks = [...activeTasksData.activeTasks].sort((a, b) => b.lastActivated - a.lastActivated);
-  const task = sortedTasks[0];
-  logInfo('Found most recently activated task', task);
+  // If neither is provided, return the task with the highest-priority label
+  const task = selectDefaultActiveTask(activeTasksData.activeTasks);
+  logInfo('Found default active task', task);
   return task;
 }
 
 /**
- * Ensure the crash reports directories exist
+ * Ensure a crash reports directory and its Dismissed directory exist
+ * @param crashReportsDir Crash reports directory (default: that of the highest-priority storage root)
  * @returns Object containing the created directories
  */
-export async function ensureCrashReportsDirectories(): Promise<{ 
+export async function ensureCrashReportsDirectories(crashReportsDir: string = getCrashReportsDirectory()): Promise<{ 
   crashReportsDir: string; 
   dismissedDir: string; 
   created: boolean;
 }> {
   logDebug('Ensuring crash reports directories exist');
   
-  const crashReportsDir = getCrashReportsDirectory();
-  const dismissedDir = getDismissedCrashReportsDirectory();
+  const dismissedDir = getDismissedCrashReportsDirectory(crashReportsDir);
   
   let created = false;
   
@@ -0,0 +1,41 @@
+/**
+ * Registry of editors and Cline-family extensions whose storage is read
+ * Kept free of imports so the configuration can validate editor and extension IDs against it
+ */
+
+/**
+ * Editor whose user data directory holds extension storage
+ */
+export interface EditorProvider {
+  id: string;             // Stable ID used in task sources, e.g. cursor
+  name: string;           // Display name
+  dataDirName: string;    // User data directory name under the platform's application data directory
+}
+
+/**
+ * Cline-family extension
+ */
+export interface ExtensionProvider {
+  id: string;             // Marketplace extension ID, which names its globalStorage directory
+  name: string;           // Display name, reported as the task's extension type
+}
+
+/**
+ * Editors searched for extension storage, in priority order
+ */
+export const EDITOR_PROVIDERS: EditorProvider[] = [
+  { id: 'vscode', name: 'VS Code', dataDirName: 'Code' },
+  { id: 'vscode-insiders', name: 'VS Code Insiders', dataDirName: 'Code - Insiders' },
+  { id: 'vscodium', name: 'VSCodium', dataDirName: 'VSCodium' },
+  { id: 'cursor', name: 'Cursor', dataDirName: 'Cursor' },
+  { id: 'windsurf', name: 'Windsurf', dataDirName: 'Windsurf' }
+];
+
+/**
+ * Extensions whose storage is read, in priority order
+ */
+export const EXTENSION_PROVIDERS: ExtensionProvider[] = [
+  { id: 'saoudrizwan.claude-dev', name: 'Cline' },
+  { id: 'rooveterinaryinc.roo-cline', name: 'Roo Code' },
+  { id: 'custom.claude-dev-ultra', name: 'Cline Ultra' }
+];
@@ -0,0 +1,149 @@
+/**
+ * Storage roots for the Cline Chat Reader MCP Server
+ *
+ * Cline-family extensions keep their tasks, crash reports and active_tasks.json in the editor's
+ * globalStorage/<extension ID> directory. A storage root is one editor × extension pair; every
+ * pair in the registry whose directory exists is searched, so tasks from Cline, Roo Code and
+ * Cline Ultra in VS Code, its forks and VS Code Insiders are all visible together. The
+ * configuration can narrow the registry (config.storage.editors/extensions), turn discovery off,
+ * and add roots of its own (config.storage.roots).
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { config } from '../config.js';
+import { EDITOR_PROVIDERS, EXTENSION_PROVIDERS, EditorProvider, ExtensionProvider } from './storage-providers.js';
+
+/**
+ * Storage directory of one extension in one editor
+ */
+export interface StorageRoot {
+  source: string;         // <editor ID>/<extension ID>, e.g. vscode/saoudrizwan.claude-dev
+  editor: EditorProvider;
+  extension: ExtensionProvider;
+  storageDir: string;
+  tasksDir: string;
+  crashReportsDir: string;
+  activeTasksFile: string;
+}
+
+/**
+ * Get an editor's user data directory on this platform
+ * @param editor Editor
+ * @returns Absolute path, e.g. ~/.config/Cursor on Linux
+ */
+export function getEditorDataDirectory(editor: EditorProvider): string {
+  switch (process.platform) {
+    case 'win32':
+      return path.resolve(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), editor.dataDirName);
+    case 'darwin':
+      return path.resolve(os.homedir(), 'Library', 'Application Support', editor.dataDirName);
+    default:
+      // Linux and other Unix-like platforms follow the XDG layout
+      return path.resolve(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), editor.dataDirName);
+  }
+}
+
+/**
+ * Build the storage root of an extension in an editor
+ * @param editor Editor
+ * @param extension Extension
+ * @returns Storage root; its directories may not exist
+ */
+export function createStorageRoot(editor: EditorProvider, extension: ExtensionProvider): StorageRoot {
+  return buildStorageRoot(editor, extension, path.join(getEditorDataDirectory(editor), 'User', 'globalStorage', extension.id));
+}
+
+/**
+ * Build a storage root for a storage directory
+ * @param editor Editor
+ * @param extension Extension
+ * @param storageDir Directory holding tasks, crashReports and active_tasks.json
+ * @returns Storage root
+ */
+function buildStorageRoot(editor: EditorProvider, extension: ExtensionProvider, storageDir: string): StorageRoot {
+  return {
+    source: `${editor.id}/${extension.id}`,
+    editor,
+    extension,
+    storageDir,
+    tasksDir: path.join(storageDir, 'tasks'),
+    crashReportsDir: path.join(storageDir, 'crashReports'),
+    activeTasksFile: path.join(storageDir, 'active_tasks.json')
+  };
+}
+
+/**
+ * Build a storage root from a directory listed in config.storage.roots
+ * @param entry Directory, or directory with the editor and extension IDs to report
+ * @returns Storage root; known IDs are reported under their registry names
+ */
+function createConfiguredStorageRoot(entry: string | { path: string; editor?: string; extension?: string }): StorageRoot {
+  const options: { path: string; editor?: string; extension?: string } = typeof entry === 'string' ? { path: entry } : entry;
+  const editorId = options.editor || 'custom';
+  const extensionId = options.extension || path.basename(options.path);
+
+  const editor = EDITOR_PROVIDERS.find(e => e.id === editorId) || { id: editorId, name: editorId, dataDirName: '' };
+  const extension = EXTENSION_PROVIDERS.find(e => e.id === extensionId) || { id: extensionId, name: extensionId };
+
+  return buildStorageRoot(editor, extension, options.path);
+}
+
+/**
+ * Get every configured and registry storage root, in priority order
+ * @returns Roots from config.storage.roots, then each discoverable editor × extension pair
+ */
+export function getAllStorageRoots(): StorageRoot[] {
+  const { discover, editors, extensions, roots } = config.storage;
+  const configured = roots.map(createConfiguredStorageRoot);
+  if (!discover) {
+    return configured;
+  }
+  
+  const discoverable = EDITOR_PROVIDERS
+    .filter(editor => !editors || editors.includes(editor.id))
+    .flatMap(editor => EXTENSION_PROVIDERS
+      .filter(extension => !extensions || extensions.includes(extension.id))
+      .map(extension => createStorageRoot(editor, extension)));
+  
+  return [...configured, ...discoverable];
+}
+
+/**
+ * Get the storage root used when no extension storage exists yet
+ * @returns The first configured or discoverable root, or Cline in VS Code if there are none
+ */
+export function getDefaultStorageRoot(): StorageRoot {
+  return getAllStorageRoots()[0] || createStorageRoot(EDITOR_PROVIDERS[0], EXTENSION_PROVIDERS[0]);
+}
+
+/**
+ * Get the storage roots that exist on disk, in priority order
+ * Checked on every call, so an extension installed while the server runs is picked up.
+ * @returns Existing storage roots, or the default root if there are none
+ */
+export function getStorageRoots(): StorageRoot[] {
+  const roots = getAllStorageRoots().filter(root => fs.existsSync(root.storageDir));
+  return roots.length > 0 ? roots : [getDefaultStorageRoot()];
+}
+
+/**
+ * Find the storage root a path belongs to
+ * @param filePath Path of a storage, tasks or task directory, or of a file inside one
+ * @returns The storage root, or undefined if the path is outside every root
+ */
+export function getStorageRootForPath(filePath: string): StorageRoot | undefined {
+  const resolved = path.resolve(filePath);
+  return getAllStorageRoots().find(root => resolved === root.storageDir || resolved.startsWith(root.storageDir + path.sep));
+}
+
+/**
+ * Check whether a task source matches a source filter
+ * @param source Task source, <editor ID>/<extension ID>
+ * @param filter Full source, editor ID (e.g. cursor) or extension ID (e.g. rooveterinaryinc.roo-cline)
+ * @returns True if the filter names the source, its editor or its extension
+ */
+export function matchesStorageSource(source: string, filter: string): boolean {
+  return source === filter || source.startsWith(`${filter}/`) || source.endsWith(`/${filter}`);
+}
@@ -6,14 +6,14 @@
 import path from 'path';
 import fs from 'fs-extra';
 import { z } from 'zod';
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { ToolDefinition, ToolResponse, defineTool, toolResult } from './tool-registry.js';
+import { ToolError, ToolErrorCode } from './tool-errors.js';
 import { getVSCodeWorkspaces, getRecentlyModifiedFiles } from './utils/vscode-tracker.js';
 import { getRecentChanges, getFileHistory, findGitRepository } from './utils/git-analyzer.js';
 import { getWorkspaceSettings, getWorkspaceInfo, getLaunchConfigurations, getRecommendedExtensions } from './utils/vscode-settings.js';
 
 // Schema definitions for MCP tools
-export const GetVSCodeWorkspacesSchema = z.object({});
+export const GetVSCodeWorkspacesSchema = z.object({}).strict();
 
 export const AnalyzeWorkspaceSchema = z.object({
   workspacePath: z.string().describe('Path to the workspace to analyze'),
@@ -21,226 +21,268 @@ export const AnalyzeWorkspaceSchema = z.object({
     .optional()
     .describe('How many hours back to look for modified files (default: 24)')
     .default(24)
-});
+}).strict();
 
 export const GetFileHistorySchema = z.object({
   filePath: z.string().describe('Path to the file to get history for')
-});
+}).strict();
 
 export const AnalyzeCloneActivitySchema = z.object({
   hoursBack: z.number()
     .optional()
     .describe('How many hours back to look for activity (default: 24)')
     .default(24)
+}).strict();
+
+// Output schemas; the helpers return loosely typed data, so only the top-level shape is declared
+export const GetVSCodeWorkspacesOutputSchema = z.object({
+  workspaces: z.array(z.string()),
+  count: z.number().int()
+});
+
+export const AnalyzeWorkspaceOutputSchema = z.object({
+  workspace: z.unknown(),
+  settings: z.unknown(),
+  launchConfig: z.unknown(),
+  extensions: z.unknown(),
+  gitInfo: z.unknown(),
+  recentFiles: z.object({
+    count: z.number().int(),
+    byType: z.record(z.array(z.unknown())),
+    mostRecent: z.array(z.unknown())
+  })
+});
+
+export const GetFileHistoryOutputSchema = z.object({
+  isGitRepo: z.boolean(),
+  fileInfo: z.object({
+    path: z.string(),
+    lastModified: z.string(),
+    size: z.number(),
+    created: z.string()
+  }).optional()
+});
+
+export const AnalyzeClineActivityOutputSchema = z.object({
+  timestamp: z.string(),
+  workspaceCount: z.number().int(),
+  workspaces: z.array(z.object({
+    workspace: z.unknown(),
+    path: z.string(),
+    gitInfo: z.unknown(),
+    recentFileCount: z.number().int(),
+    mostRecentFiles: z.array(z.object({
+      path: z.string(),
+      lastModified: z.unknown()
+    }))
+  }))
 });
 
 /**
- * Register VS Code monitoring tools with the MCP server
- * @param {Server} server - MCP server instance
- * @returns Object containing handler functions for VS Code monitoring tools
+ * Tool names for VS Code monitoring
  */
-export function registerVSCodeMonitoringTools(server: Server): {
-  handleGetVSCodeWorkspaces: (args: unknown) => Promise<any>;
-  handleAnalyzeWorkspace: (args: unknown) => Promise<any>;
-  handleGetFileHistory: (args: unknown) => Promise<any>;
-  handleAnalyzeCloneActivity: (args: unknown) => Promise<any>;
-} {
-  // Handle get_vscode_workspaces tool call
-  async function handleGetVSCodeWorkspaces(args: unknown) {
-    const _ = GetVSCodeWorkspacesSchema.parse(args);
-    const workspaces = getVSCodeWorkspaces();
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            workspaces,
-            count: workspaces.length
-          }, null, 2)
-        }
-      ]
-    };
+export const VSCodeMonitoringToolNames = {
+  getVSCodeWorkspaces: 'get_vscode_workspaces',
+  analyzeWorkspace: 'analyze_workspace',
+  getFileHistory: 'get_file_history',
+  analyzeClineActivity: 'analyze_cline_activity'
+};
+
+/**
+ * Handle get_vscode_workspaces tool call
+ * @returns Tool response
+ */
+async function handleGetVSCodeWorkspaces(): Promise<ToolResponse> {
+  const workspaces = getVSCodeWorkspaces();
+  
+  return toolResult({
+    workspaces,
+    count: workspaces.length
+  });
+}
+
+/**
+ * Handle analyze_workspace tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleAnalyzeWorkspace(args: z.output<typeof AnalyzeWorkspaceSchema>): Promise<ToolResponse> {
+  const { workspacePath, hoursBack } = args;
+  
+  // Check if the workspace exists
+  if (!fs.existsSync(workspacePath)) {
+    throw new ToolError(ToolErrorCode.FILE_NOT_FOUND, `Workspace path does not exist: ${workspacePath}`, {
+      recommendation: 'Use get_vscode_workspaces to find workspace paths.'
+    });
   }
   
-  // Handle analyze_workspace tool call
-  async function handleAnalyzeWorkspace(args: unknown) {
-    const { workspacePath, hoursBack } = AnalyzeWorkspaceSchema.parse(args);
-    
-    // Check if the workspace exists
-    if (!fs.existsSync(workspacePath)) {
-      throw new McpError(
-        ErrorCode.InvalidParams,
-        `Workspace path does not exist: ${workspacePath}`
-      );
+  // Get workspace info
+  const workspaceInfo = getWorkspaceInfo(workspacePath);
+  
+  // Get VS Code settings
+  const settings = getWorkspaceSettings(workspacePath);
+  
+  // Get launch configurations
+  const launchConfig = getLaunchConfigurations(workspacePath);
+  
+  // Get recommended extensions
+  const extensions = getRecommendedExtensions(workspacePath);
+  
+  // Get Git info if it's a repo
+  const gitInfo = await getRecentChanges(workspacePath);
+  
+  // Get recently modified files
+  const recentFiles = getRecentlyModifiedFiles(workspacePath, hoursBack);
+  
+  // Group files by type for better analysis
+  const filesByType: Record<string, any[]> = {};
+  recentFiles.forEach((file: any) => {
+    const ext = file.extension || 'unknown';
+    if (!filesByType[ext]) filesByType[ext] = [];
+    filesByType[ext].push(file);
+  });
+  
+  // Prepare the result
+  const result = {
+    workspace: workspaceInfo,
+    settings,
+    launchConfig,
+    extensions,
+    gitInfo,
+    recentFiles: {
+      count: recentFiles.length,
+      byType: filesByType,
+      mostRecent: recentFiles.slice(0, 10) // Just the 10 most recent
     }
-    
-    // Get workspace info
-    const workspaceInfo = getWorkspaceInfo(workspacePath);
-    
-    // Get VS Code settings
-    const settings = getWorkspaceSettings(workspacePath);
-    
-    // Get launch configurations
-    const launchConfig = getLaunchConfigurations(workspacePath);
-    
-    // Get recommended extensions
-    const extensions = getRecommendedExtensions(workspacePath);
-    
-    // Get Git info if it's a repo
-    const gitInfo = await getRecentChanges(workspacePath);
-    
-    // Get recently modified files
-    const recentFiles = getRecentlyModifiedFiles(workspacePath, hoursBack);
-    
-    // Group files by type for better analysis
-    const filesByType: Record<string, any[]> = {};
-    recentFiles.forEach((file: any) => {
-      const ext = file.extension || 'unknown';
-      if (!filesByType[ext]) filesByType[ext] = [];
-      filesByType[ext].push(file);
+  };
+  
+  return toolResult(result);
+}
+
+/**
+ * Handle get_file_history tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleGetFileHistory(args: z.output<typeof GetFileHistorySchema>): Promise<ToolResponse> {
+  const { filePath } = args;
+  
+  // Check if the file exists
+  if (!fs.existsSync(filePath)) {
+    throw new ToolError(ToolErrorCode.FILE_NOT_FOUND, `File does not exist: ${filePath}`, {
+      recommendation: 'Pass an absolute path to an existing file.'
     });
-    
-    // Prepare the result
-    const result = {
-      workspace: workspaceInfo,
-      settings,
-      launchConfig,
-      extensions,
-      gitInfo,
-      recentFiles: {
-        count: recentFiles.length,
-        byType: filesByType,
-        mostRecent: recentFiles.slice(0, 10) // Just the 10 most recent
-      }
-    };
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2)
-        }
-      ]
-    };
   }
   
-  // Handle get_file_history tool call
-  async function handleGetFileHistory(args: unknown) {
-    const { filePath } = GetFileHistorySchema.parse(args);
-    
-    // Check if the file exists
-    if (!fs.existsSync(filePath)) {
-      throw new McpError(
-        ErrorCode.InvalidParams,
-        `File does not exist: ${filePath}`
-      );
-    }
-    
-    // Try to find the Git repo that contains this file
-    const repoPath = findGitRepository(filePath);
-    
-    if (repoPath) {
-      // Get Git history for the file
-      const history = await getFileHistory(repoPath, filePath);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(history, null, 2)
-          }
-        ]
-      };
-    }
+  // Try to find the Git repo that contains this file
+  const repoPath = findGitRepository(filePath);
+  
+  if (repoPath) {
+    // Get Git history for the file
+    const history = await getFileHistory(repoPath, filePath);
     
-    // If not in a Git repo, just return file info
-    try {
-      const stats = fs.statSync(filePath);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              isGitRepo: false,
-              fileInfo: {
-                path: filePath,
-                lastModified: stats.mtime,
-                size: stats.size,
-                created: stats.birthtime
-              }
-            }, null, 2)
-          }
-        ]
-      };
-    } catch (error) {
-      throw new McpError(
-        ErrorCode.InternalError,
-        `Failed to get file info: ${(error as Error).message}`
-      );
-    }
+    return toolResult(history);
   }
   
-  // Handle analyze_cline_activity tool call
-  async function handleAnalyzeCloneActivity(args: unknown) {
-    const { hoursBack } = AnalyzeCloneActivitySchema.parse(args);
+  // If not in a Git repo, just return file info
+  try {
+    const stats = fs.statSync(filePath);
     
-    // Get all VS Code workspaces
-    const workspaces = getVSCodeWorkspaces();
+    return toolResult({
+      isGitRepo: false,
+      fileInfo: {
+        path: filePath,
+        lastModified: stats.mtime.toISOString(),
+        size: stats.size,
+        created: stats.birthtime.toISOString()
+      }
+    });
+  } catch (error) {
+    throw new ToolError(ToolErrorCode.READ_ERROR, `Failed to get file info: ${(error as Error).message}`, { cause: error });
+  }
+}
+
+/**
+ * Handle analyze_cline_activity tool call
+ * @param args Validated tool arguments
+ * @returns Tool response
+ */
+async function handleAnalyzeCloneActivity(args: z.output<typeof AnalyzeCloneActivitySchema>): Promise<ToolResponse> {
+  const { hoursBack } = args;
+  
+  // Get all VS Code workspaces
+  const workspaces = getVSCodeWorkspaces();
+  
+  const results = [];
+  
+  for (const workspace of workspaces) {
+    // Skip if not a real path
+    if (!fs.existsSync(workspace)) continue;
     
-    const results = [];
+    // Get workspace info
+    const workspaceInfo = getWorkspaceInfo(workspace);
     
-    for (const workspace of workspaces) {
-      // Skip if not a real path
-      if (!fs.existsSync(workspace)) continue;
-      
-      // Get workspace info
-      const workspaceInfo = getWorkspaceInfo(workspace);
-      
-      // Check if it's a Git repo
-      const gitInfo = await getRecentChanges(workspace);
-      
-      // Get recently modified files
-      const recentFiles = getRecentlyModifiedFiles(workspace, hoursBack);
-      
-      // Only include workspaces with recent activity
-      if (recentFiles.length > 0 || (gitInfo.isGitRepo && gitInfo.commits && gitInfo.commits.length > 0)) {
-        results.push({
-          workspace: workspaceInfo,
-          path: workspace,
-          gitInfo,
-          recentFileCount: recentFiles.length,
-          mostRecentFiles: recentFiles.slice(0, 5).map((f: any) => ({
-            path: path.relative(workspace, f.path),
-            lastModified: f.lastModified
-          }))
-        });
-      }
-    }
+    // Check if it's a Git repo
+    const gitInfo = await getRecentChanges(workspace);
     
-    // Sort results by number of recent files (most active first)
-    results.sort((a, b) => b.recentFileCount - a.recentFileCount);
+    // Get recently modified files
+    const recentFiles = getRecentlyModifiedFiles(workspace, hoursBack);
     
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            timestamp: new Date().toISOString(),
-            workspaceCount: results.length,
-            workspaces: results
-          }, null, 2)
-        }
-      ]
-    };
+    // Only include workspaces with recent activity
+    if (recentFiles.length > 0 || (gitInfo.isGitRepo && gitInfo.commits && gitInfo.commits.length > 0)) {
+      results.push({
+        workspace: workspaceInfo,
+        path: workspace,
+        gitInfo,
+        recentFileCount: recentFiles.length,
+        mostRecentFiles: recentFiles.slice(0, 5).map((f: any) => ({
+          path: path.relative(workspace, f.path),
+          lastModified: f.lastModified
+        }))
+      });
+    }
   }
   
-  // Export the handler functions for use in the MCP server
-  return {
-    handleGetVSCodeWorkspaces,
-    handleAnalyzeWorkspace,
-    handleGetFileHistory,
-    handleAnalyzeCloneActivity
-  };
+  // Sort results by number of recent files (most active first)
+  results.sort((a, b) => b.recentFileCount - a.recentFileCount);
+  
+  return toolResult({
+    timestamp: new Date().toISOString(),
+    workspaceCount: results.length,
+    workspaces: results
+  });
 }
+
+/**
+ * VS Code monitoring tool declarations
+ */
+export const vscodeMonitoringTools: ToolDefinition[] = [
+  defineTool({
+    name: VSCodeMonitoringToolNames.getVSCodeWorkspaces,
+    description: 'List recently opened VS Code workspaces',
+    inputSchema: GetVSCodeWorkspacesSchema,
+    outputSchema: GetVSCodeWorkspacesOutputSchema,
+    handler: handleGetVSCodeWorkspaces
+  }),
+  defineTool({
+    name: VSCodeMonitoringToolNames.analyzeWorkspace,
+    description: 'Analyze a VS Code workspace: settings, launch configurations, recommended extensions, Git status and recently modified files',
+    inputSchema: AnalyzeWorkspaceSchema,
+    outputSchema: AnalyzeWorkspaceOutputSchema,
+    handler: handleAnalyzeWorkspace
+  }),
+  defineTool({
+    name: VSCodeMonitoringToolNames.getFileHistory,
+    description: 'Get the Git history of a file, or its file info if it is not in a Git repository',
+    inputSchema: GetFileHistorySchema,
+    outputSchema: GetFileHistoryOutputSchema,
+    handler: handleGetFileHistory
+  }),
+  defineTool({
+    name: VSCodeMonitoringToolNames.analyzeClineActivity,
+    description: 'Summarize recent file and Git activity across all VS Code workspaces',
+    inputSchema: AnalyzeCloneActivitySchema,
+    outputSchema: AnalyzeClineActivityOutputSchema,
+    handler: handleAnalyzeCloneActivity
+  })
+];
@@ -0,0 +1,37 @@
+/**
+ * Parsing of cline:// resource URIs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { importBuild } from './helpers.js';
+
+const { parseResourceUri, getTaskResourceUri, getActiveResourceUri } = await importBuild('cline-resources.js');
+const { ErrorCode } = await import('@modelcontextprotocol/sdk/types.js');
+
+test('task and active resource URIs round-trip', () => {
+  assert.deepEqual(parseResourceUri(getTaskResourceUri('1700000000000', 'api_history')), {
+    type: 'task',
+    taskId: '1700000000000',
+    kind: 'api_history'
+  });
+  assert.deepEqual(parseResourceUri(getActiveResourceUri('front end')), { type: 'active', label: 'front end' });
+});
+
+test('malformed resource URIs are rejected as invalid params', () => {
+  const uris = [
+    'not a uri',
+    'file:///etc/passwd',
+    'cline://tasks/1700000000000/checkpoints',
+    'cline://tasks/1700000000000',
+    'cline://tasks/%E0%A4%A/ui_messages',
+    'cline://tasks/..%2F..%2Fsecrets/ui_messages',
+    'cline://tasks/%2E%2E/ui_messages',
+    'cline://tasks/./ui_messages',
+    'cline://other/1700000000000'
+  ];
+
+  for (const uri of uris) {
+    assert.throws(() => parseResourceUri(uri), error => error.code === ErrorCode.InvalidParams, uri);
+  }
+});
@@ -0,0 +1,84 @@
+/**
+ * Scheduled delivery and expiry of external advice
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { createTask, importBuild } from './helpers.js';
+
+const { getAdviceDirectories, listAdvice, processDueAdvice } = await importBuild('utils/external-advice.js');
+const { withFileLock } = await importBuild('utils/file-lock.js');
+
+const NOW = Date.now();
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Write an advice file into one of a task's advice folders
+ * @param taskDir Task directory
+ * @param folder adviceDir, dismissedDir or scheduledDir
+ * @param advice Advice fields besides the defaults
+ * @returns Path of the advice file
+ */
+async function writeAdvice(taskDir, folder, advice) {
+  const dir = getAdviceDirectories(taskDir)[folder];
+  const advicePath = path.join(dir, `${advice.id}.json`);
+  await fs.ensureDir(dir);
+  await fs.writeJson(advicePath, { content: 'Check the tests', timestamp: NOW - 60 * 1000, read: false, ...advice });
+  return advicePath;
+}
+
+/**
+ * Get the status of each advice of a task
+ * @param taskId Task ID
+ * @returns Advice ID to status
+ */
+async function getStatuses(taskId) {
+  const entries = await listAdvice({ targetTaskId: taskId });
+  return Object.fromEntries(entries.map(entry => [entry.advice.id, entry.status]));
+}
+
+test('processDueAdvice delivers due advice and expires unread advice only', async () => {
+  const taskDir = await createTask('vscode', '1700000010000', { ui: [] });
+  await writeAdvice(taskDir, 'adviceDir', { id: 'expired-unread', expires_at: NOW - 1000 });
+  await writeAdvice(taskDir, 'adviceDir', { id: 'expired-read', expires_at: NOW - 1000, read: true, read_at: NOW - 2000 });
+  await writeAdvice(taskDir, 'adviceDir', { id: 'not-yet-expired', expires_at: NOW + 60 * 1000 });
+  await writeAdvice(taskDir, 'scheduledDir', { id: 'due', deliver_after: NOW - 1000 });
+  await writeAdvice(taskDir, 'scheduledDir', { id: 'later', deliver_after: NOW + 30 * 1000 });
+  await writeAdvice(taskDir, 'scheduledDir', { id: 'expired-before-delivery', deliver_after: NOW - 2000, expires_at: NOW - 1000 });
+
+  const result = await processDueAdvice(NOW);
+
+  assert.deepEqual(result, { delivered: 1, expired: 2, nextDueAt: NOW + 30 * 1000 });
+  assert.deepEqual(await getStatuses('1700000010000'), {
+    'expired-unread': 'dismissed',
+    'expired-read': 'read',
+    'not-yet-expired': 'unread',
+    due: 'unread',
+    later: 'scheduled',
+    'expired-before-delivery': 'dismissed'
+  });
+
+  const { dismissedDir } = getAdviceDirectories(taskDir);
+  const expired = await fs.readJson(path.join(dismissedDir, 'expired-unread.json'));
+  assert.equal(expired.dismissed_reason, 'expired');
+  assert.equal(expired.read, false);
+});
+
+test('advice read while processDueAdvice waits for its lock is not expired', async () => {
+  const taskDir = await createTask('vscode', '1700000020000', { ui: [] });
+  const advicePath = await writeAdvice(taskDir, 'adviceDir', { id: 'read-meanwhile', expires_at: NOW - 1000 });
+
+  // processDueAdvice lists the advice as unread, then has to wait for the reader's lock
+  let pending;
+  await withFileLock(advicePath, async () => {
+    pending = processDueAdvice(NOW);
+    await delay(300);
+    const advice = await fs.readJson(advicePath);
+    await fs.writeJson(advicePath, { ...advice, read: true, read_at: NOW });
+  });
+
+  assert.equal((await pending).expired, 0);
+  assert.deepEqual(await getStatuses('1700000020000'), { 'read-meanwhile': 'read' });
+});
@@ -0,0 +1,78 @@
+/**
+ * Advisory file locks, atomic writes and the active_tasks.json updates built on them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { TEMP_DIR, STORAGE_DIRS, createTask, importBuild } from './helpers.js';
+
+const { withFileLock, writeFileAtomicIfUnchanged, getLockFilePath } = await importBuild('utils/file-lock.js');
+const { setActiveTaskLabel } = await importBuild('utils/active-task-fixed.js');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('withFileLock runs one holder at a time and releases the lock', async () => {
+  const filePath = path.join(TEMP_DIR, 'locks', 'serial.json');
+  const events = [];
+
+  const hold = async name => withFileLock(filePath, async () => {
+    events.push(`${name} start`);
+    await delay(100);
+    events.push(`${name} end`);
+  });
+  await Promise.all([hold('a'), hold('b')]);
+
+  assert.deepEqual(events.slice(0, 2), [events[0], events[0].replace('start', 'end')]);
+  assert.equal(await fs.pathExists(getLockFilePath(filePath)), false);
+});
+
+test('withFileLock breaks a stale lock but waits for a fresh one', async () => {
+  const filePath = path.join(TEMP_DIR, 'locks', 'stale.json');
+  const lockPath = getLockFilePath(filePath);
+  await fs.ensureDir(path.dirname(filePath));
+
+  await fs.writeJson(lockPath, { pid: 999999, acquiredAt: Date.now() - 60 * 1000, nonce: 'crashed' });
+  assert.equal(await withFileLock(filePath, async () => 'ran'), 'ran');
+  assert.equal(await fs.pathExists(lockPath), false);
+
+  await fs.writeJson(lockPath, { pid: 999999, acquiredAt: Date.now(), nonce: 'held' });
+  await assert.rejects(withFileLock(filePath, async () => 'ran', { timeoutMs: 200 }));
+  assert.equal((await fs.readJson(lockPath)).nonce, 'held');
+  await fs.remove(lockPath);
+});
+
+test('writeFileAtomicIfUnchanged leaves a file alone once it changed', async () => {
+  const filePath = path.join(TEMP_DIR, 'atomic.json');
+
+  assert.equal(await writeFileAtomicIfUnchanged(filePath, 'created', null), true);
+  const { mtimeMs } = await fs.stat(filePath);
+
+  // Another writer replaces the file after it was read
+  await delay(20);
+  await fs.writeFile(filePath, 'theirs');
+  assert.equal(await writeFileAtomicIfUnchanged(filePath, 'ours', mtimeMs), false);
+  assert.equal(await fs.readFile(filePath, 'utf8'), 'theirs');
+
+  const current = await fs.stat(filePath);
+  assert.equal(await writeFileAtomicIfUnchanged(filePath, 'ours', current.mtimeMs), true);
+  assert.equal(await fs.readFile(filePath, 'utf8'), 'ours');
+  assert.deepEqual((await fs.readdir(TEMP_DIR)).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('concurrent setActiveTaskLabel calls keep every label', async () => {
+  await createTask('vscode', '1700000001000', { ui: [] });
+  await createTask('vscode', '1700000002000', { ui: [] });
+
+  await Promise.all([
+    setActiveTaskLabel('A', '1700000001000'),
+    setActiveTaskLabel('B', '1700000002000')
+  ]);
+
+  const { activeTasks } = await fs.readJson(path.join(STORAGE_DIRS.vscode, 'active_tasks.json'));
+  assert.deepEqual(
+    activeTasks.map(task => [task.label, task.id]).sort(),
+    [['A', '1700000001000'], ['B', '1700000002000']]
+  );
+});
@@ -0,0 +1,80 @@
+/**
+ * Shared setup for the tests
+ *
+ * Importing this module points the server at two empty storage roots (a VS Code one and a Cursor
+ * one) in a temporary directory, through a configuration file named by CLINE_MCP_CONFIG. It must be
+ * imported before any module from the build, since the configuration is read when config.js loads.
+ * The tests run against the TypeScript output in .test-build (see `npm test`).
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+/**
+ * Directory holding the compiled server
+ */
+export const BUILD_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '.test-build');
+
+/**
+ * Temporary directory holding the storage roots, configuration and log; removed on exit
+ */
+export const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cline-mcp-test-'));
+
+/**
+ * globalStorage/<extension ID> directories of the two storage roots
+ */
+export const STORAGE_DIRS = {
+  vscode: path.join(TEMP_DIR, 'vscode', 'saoudrizwan.claude-dev'),
+  cursor: path.join(TEMP_DIR, 'cursor', 'saoudrizwan.claude-dev')
+};
+
+const configFile = path.join(TEMP_DIR, 'cline-mcp.config.json');
+fs.writeJsonSync(configFile, {
+  storage: {
+    discover: false,
+    roots: [
+      { path: STORAGE_DIRS.vscode, editor: 'vscode' },
+      { path: STORAGE_DIRS.cursor, editor: 'cursor' }
+    ]
+  },
+  logging: { level: 'debug', file: path.join(TEMP_DIR, 'mcp-diagnostic.log'), console: false }
+});
+
+// Settings from the developer's environment must not leak into the tests
+for (const name of Object.keys(process.env)) {
+  if (name.startsWith('CLINE_MCP_')) delete process.env[name];
+}
+process.env.CLINE_MCP_CONFIG = configFile;
+process.env.HOME = TEMP_DIR;
+
+process.on('exit', () => fs.removeSync(TEMP_DIR));
+
+/**
+ * Import a module from the compiled server
+ * @param modulePath Path relative to the build directory, e.g. utils/file-lock.js
+ * @returns Module namespace
+ */
+export function importBuild(modulePath) {
+  return import(pathToFileURL(path.join(BUILD_DIR, modulePath)).href);
+}
+
+// Only the server applies logging.console itself; keep the test output readable
+const { disableConsoleLogging } = await importBuild('utils/diagnostic-logger.js');
+disableConsoleLogging();
+
+/**
+ * Create a task with the given conversation files
+ * @param root Storage root name (vscode or cursor)
+ * @param taskId Task ID
+ * @param files ui_messages.json and api_conversation_history.json content; omitted files are not created
+ * @returns Task directory
+ */
+export async function createTask(root, taskId, { ui, api } = {}) {
+  const taskDir = path.join(STORAGE_DIRS[root], 'tasks', taskId);
+  await fs.ensureDir(taskDir);
+  if (ui) await fs.writeJson(path.join(taskDir, 'ui_messages.json'), ui);
+  if (api) await fs.writeJson(path.join(taskDir, 'api_conversation_history.json'), api);
+  return taskDir;
+}
@@ -0,0 +1,61 @@
+/**
+ * Cursor pagination of conversation messages
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { importBuild } from './helpers.js';
+
+const { paginateMessages, encodeMessageCursor, decodeMessageCursor } = await importBuild('utils/message-utils.js');
+
+/**
+ * Build messages with the given timestamps
+ * @param timestamps Timestamp of each message, oldest first
+ * @returns Messages whose content is their position
+ */
+function createMessages(timestamps) {
+  return timestamps.map((timestamp, index) => ({ role: 'assistant', content: `m${index}`, timestamp }));
+}
+
+/**
+ * Walk every page backwards from the newest message, passing each cursor through its string form
+ * @param messages Conversation messages
+ * @param options Page size and time window
+ * @returns Contents of each page
+ */
+function collectPages(messages, options) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = paginateMessages(messages, '1700000000000', { ...options, cursor });
+    pages.push(page.messages.map(message => message.content));
+    cursor = page.nextCursor && decodeMessageCursor(encodeMessageCursor(page.nextCursor));
+    assert.equal(page.hasMore, cursor !== undefined);
+  } while (cursor);
+  return pages;
+}
+
+test('pages walk backwards without gaps or repeats, even across shared timestamps', () => {
+  const messages = createMessages([1, 2, 2, 2, 3, 4, 4, 5]);
+
+  assert.deepEqual(collectPages(messages, { limit: 3 }), [
+    ['m5', 'm6', 'm7'],
+    ['m2', 'm3', 'm4'],
+    ['m0', 'm1']
+  ]);
+  assert.deepEqual(collectPages(messages, { limit: 2 }).flat().sort(), messages.map(message => message.content).sort());
+});
+
+test('the time window applies to every page', () => {
+  const messages = createMessages([1, 2, 3, 4, 5, 6]);
+
+  assert.deepEqual(collectPages(messages, { limit: 2, afterTs: 1, beforeTs: 6 }), [
+    ['m3', 'm4'],
+    ['m1', 'm2']
+  ]);
+});
+
+test('cursors that are not ours decode to null', () => {
+  assert.equal(decodeMessageCursor('garbage'), null);
+  assert.equal(decodeMessageCursor(Buffer.from(JSON.stringify({ task_id: 1 })).toString('base64url')), null);
+});
@@ -0,0 +1,60 @@
+/**
+ * Persistent BM25 search index
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { STORAGE_DIRS, createTask, importBuild } from './helpers.js';
+
+const { rankedSearch, tokenize } = await importBuild('services/search-index.js');
+
+const TASK_ID = '1700000000000';
+
+/**
+ * Get the task ID and storage root of each result
+ * @param results Ranked search results
+ * @returns Sorted [taskId, taskSource] pairs
+ */
+function describeResults(results) {
+  return results.map(result => [result.taskId, result.taskSource]).sort();
+}
+
+test('tokenize lowercases and drops stop words and short tokens', () => {
+  assert.deepEqual(tokenize('The Parser is a BIG_problem, x'), ['parser', 'big_problem']);
+});
+
+test('tasks sharing an ID in two storage roots are both indexed and told apart', async () => {
+  await createTask('vscode', TASK_ID, { ui: [{ ts: 1, type: 'say', say: 'text', text: 'refactor the parser in vscode' }] });
+  await createTask('cursor', TASK_ID, { ui: [{ ts: 2, type: 'say', say: 'text', text: 'refactor the parser in cursor zebra' }] });
+
+  const shared = await rankedSearch('parser');
+  assert.deepEqual(describeResults(shared.results), [
+    [TASK_ID, 'cursor/saoudrizwan.claude-dev'],
+    [TASK_ID, 'vscode/saoudrizwan.claude-dev']
+  ]);
+  assert.equal(shared.update.tasksIndexed, 2);
+
+  const onlyCursor = await rankedSearch('zebra', { includeSnippets: true });
+  assert.deepEqual(describeResults(onlyCursor.results), [[TASK_ID, 'cursor/saoudrizwan.claude-dev']]);
+  assert.match(onlyCursor.results[0].snippet, /zebra/);
+});
+
+test('only changed tasks are re-indexed, and deleted tasks are dropped', async () => {
+  const unchanged = await rankedSearch('parser');
+  assert.equal(unchanged.update.tasksUpdated, 0);
+
+  await fs.writeJson(path.join(STORAGE_DIRS.cursor, 'tasks', TASK_ID, 'ui_messages.json'), [
+    { ts: 3, type: 'say', say: 'text', text: 'now about the lexer' }
+  ]);
+  const changed = await rankedSearch('lexer');
+  assert.equal(changed.update.tasksUpdated, 1);
+  assert.deepEqual(describeResults(changed.results), [[TASK_ID, 'cursor/saoudrizwan.claude-dev']]);
+  assert.deepEqual((await rankedSearch('zebra')).results, []);
+
+  await fs.remove(path.join(STORAGE_DIRS.vscode, 'tasks', TASK_ID));
+  const removed = await rankedSearch('parser');
+  assert.equal(removed.update.tasksRemoved, 1);
+  assert.deepEqual(removed.results, []);
+});
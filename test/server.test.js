@@ -0,0 +1,51 @@
+/**
+ * Starts the compiled server over stdio, as an MCP client would, and checks that it answers
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { BUILD_DIR, createTask } from './helpers.js';
+
+test('the built server starts over stdio and serves its tools', async () => {
+  await createTask('vscode', '1700000000000', {
+    ui: [
+      { ts: 1700000000001, type: 'say', say: 'text', text: 'first' },
+      { ts: 1700000000002, type: 'say', say: 'completion_result', text: 'second' }
+    ]
+  });
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(BUILD_DIR, 'index.js')],
+    env: { ...process.env },
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'server-test', version: '1.0.0' });
+  await client.connect(transport);
+
+  try {
+    const { tools } = await client.listTools();
+    const names = tools.map(tool => tool.name);
+    for (const name of ['read_messages', 'list_tasks', 'ranked_search', 'send_external_advice']) {
+      assert.ok(names.includes(name), `${name} is listed`);
+    }
+
+    // Advertised input schemas reject unknown arguments, and so do the tools
+    const listTasks = tools.find(tool => tool.name === 'list_tasks');
+    assert.equal(listTasks.inputSchema.additionalProperties, false);
+    const rejected = await client.callTool({ name: 'list_tasks', arguments: { limt: 5 } });
+    assert.equal(rejected.isError, true);
+    assert.match(rejected.content[0].text, /INVALID_ARGUMENTS/);
+
+    const page = await client.callTool({ name: 'read_messages', arguments: { task_id: '1700000000000', limit: 1 } });
+    assert.notEqual(page.isError, true);
+    assert.equal(page.structuredContent.is_active_task, false);
+    assert.equal(page.structuredContent.has_more, true);
+    assert.deepEqual(page.structuredContent.messages.map(message => message.content), ['second']);
+  } finally {
+    await client.close();
+  }
+});